@@ -0,0 +1,108 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const EncryptionError = require('../errors/EncryptionError')
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+/**
+ * Encrypts & decrypts strings with AES-256-GCM using the keys of a key provider, which has
+ * <ul>
+ * <li>`currentKeyId()`, which returns the id of the key with which to encrypt, &</li>
+ * <li>`getKey(keyId)`, which returns the 32-byte key with the given id as a `Buffer`, or `undefined` if there is none.</li>
+ * </ul>
+ * Both are synchronous because entities are mapped synchronously; providers whose keys live elsewhere, like {@link KmsKeyProvider}, load them beforehand.
+ *
+ * Ciphertexts are returned with the id of the key used, so that keys can be rotated: make a new key current & keep the old ones for decryption.
+ * Encryption is randomized unless `deterministic`, in which case the initialization vector is derived from the key, the additional authenticated data & the plaintext, so that equal plaintexts encrypted with the same key & data have equal ciphertexts & can be looked up by equality, at the cost of revealing which values are equal.
+ * Ciphertexts can be bound to a context, like where they're stored, via additional authenticated data (`aad`), which isn't stored but must be given again to decrypt them.
+ */
+class FieldCipher {
+  /**
+   * @param {{currentKeyId: function(): string, getKey: function(string): Buffer}} keys The key provider.
+   */
+  constructor (keys) {
+    this._keys = keys
+  }
+
+  /**
+   * Encrypts the given string with the current key.
+   *
+   * @param {string} plaintext
+   * @param {boolean} [deterministic]
+   * @param {string} [aad] The additional authenticated data.
+   * @return {{keyId: string, value: string}} The key id & the base64 encoding of the initialization vector, authentication tag & ciphertext.
+   * @throws {EncryptionError} If the current key is missing or invalid.
+   */
+  encrypt (plaintext, { deterministic = false, aad } = {}) {
+    const keyId = this._keys.currentKeyId()
+    const key = this._keyOf(keyId)
+
+    const aadBytes = aad === undefined ? undefined : Buffer.from(aad, 'utf8')
+    const iv = deterministic ? this._deterministicIv(key, aadBytes, plaintext) : crypto.randomBytes(IV_LENGTH)
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+    if (aadBytes) cipher.setAAD(aadBytes)
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+
+    return { keyId, value: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64') }
+  }
+
+  /**
+   * Decrypts the given value, as returned by {@link encrypt}, with the key of the given id.
+   *
+   * @param {string} keyId
+   * @param {string} value
+   * @param {string} [aad] The additional authenticated data given to {@link encrypt}.
+   * @return {string}
+   * @throws {EncryptionError} If the key is missing or invalid, or the value doesn't authenticate with it & the additional authenticated data.
+   */
+  decrypt ({ keyId, value }, { aad } = {}) {
+    const key = this._keyOf(keyId)
+    const data = Buffer.from(value || '', 'base64')
+    if (data.length < IV_LENGTH + TAG_LENGTH) throw new EncryptionError({ msg: `malformed value for key ${keyId}` })
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, data.slice(0, IV_LENGTH))
+      decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+      if (aad !== undefined) decipher.setAAD(Buffer.from(aad, 'utf8'))
+      return Buffer.concat([decipher.update(data.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8')
+    } catch (e) {
+      throw new EncryptionError({ msg: `value failed to decrypt with key ${keyId}`, cause: e })
+    }
+  }
+
+  /**
+   * Returns the initialization vector of the deterministic encryption of the given plaintext with the given key & additional authenticated data:
+   * an HMAC of the length-prefixed data followed by the plaintext, so that no two distinct pairs of data & plaintext share a nonce, which would reveal GCM's authentication key.
+   *
+   * @private
+   */
+  _deterministicIv (key, aad = Buffer.alloc(0), plaintext) {
+    const length = Buffer.alloc(8)
+    length.writeUInt32BE(Math.floor(aad.length / 0x100000000), 0)
+    length.writeUInt32BE(aad.length % 0x100000000, 4)
+
+    return crypto.createHmac('sha256', crypto.createHmac('sha256', key).update('iv').digest())
+      .update(length)
+      .update(aad)
+      .update(plaintext, 'utf8')
+      .digest()
+      .slice(0, IV_LENGTH)
+  }
+
+  _keyOf (keyId) {
+    const key = keyId && this._keys.getKey(keyId)
+    if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) throw new EncryptionError({ msg: `no valid key ${keyId}` })
+    return key
+  }
+}
+
+FieldCipher.ALGORITHM = ALGORITHM
+FieldCipher.KEY_LENGTH = KEY_LENGTH
+
+module.exports = FieldCipher
@@ -0,0 +1,66 @@
+'use strict'
+
+const _ = require('lodash')
+
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
+
+/**
+ * A key provider, as described in {@link FieldCipher}, whose keys are data keys wrapped (encrypted) by a Google Cloud KMS key, which is known as envelope encryption.
+ * Call {@link init} when the application starts to unwrap them, since KMS is only reachable asynchronously; the unwrapped keys are only held in memory.
+ *
+ * To make a data key, generate 32 random bytes, encrypt them with the KMS key, for example via `gcloud kms encrypt`, & configure the base64 ciphertext under a new key id.
+ */
+class KmsKeyProvider {
+  /**
+   * @param {KeyManagementServiceClient} client A Cloud KMS client, as from `@google-cloud/kms`, or anything else whose `decrypt({ name, ciphertext })` resolves to `[{ plaintext }]`.
+   * @param {string} keyName The resource name of the KMS key that wraps the data keys.
+   * @param {object} wrappedKeys The wrapped data keys by id, each as a `Buffer` or base64 string.
+   * @param {string} [currentKeyId] The id of the data key with which to encrypt; defaults to the last id of the given keys.
+   */
+  constructor ({ client, keyName, wrappedKeys = {}, currentKeyId } = {}) {
+    if (!client || !keyName) throw new IllegalArgumentError({ msg: 'client & keyName are required' })
+
+    this._client = client
+    this._keyName = keyName
+    this._wrappedKeys = wrappedKeys
+    this._currentKeyId = currentKeyId || Object.keys(wrappedKeys).pop()
+    if (!wrappedKeys[this._currentKeyId]) throw new IllegalArgumentError({ msg: `current key ${this._currentKeyId}` })
+
+    this._keys = null
+  }
+
+  /**
+   * Unwraps the data keys via KMS.
+   *
+   * @return {Promise<KmsKeyProvider>} This provider.
+   */
+  async init () {
+    const ids = Object.keys(this._wrappedKeys)
+    const keys = await Promise.all(ids.map(async id => {
+      const wrapped = this._wrappedKeys[id]
+      const [{ plaintext }] = await this._client.decrypt({
+        name: this._keyName,
+        ciphertext: Buffer.isBuffer(wrapped) ? wrapped : Buffer.from(wrapped, 'base64')
+      })
+      return Buffer.from(plaintext)
+    }))
+
+    this._keys = _.zipObject(ids, keys)
+    return this
+  }
+
+  currentKeyId () {
+    return this._currentKeyId
+  }
+
+  /**
+   * @throws {IllegalStateError} If {@link init} hasn't completed.
+   */
+  getKey (keyId) {
+    if (!this._keys) throw new IllegalStateError({ msg: 'KmsKeyProvider#init has not completed' })
+    return this._keys[keyId]
+  }
+}
+
+module.exports = KmsKeyProvider
@@ -0,0 +1,33 @@
+'use strict'
+
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+/**
+ * A key provider, as described in {@link FieldCipher}, whose keys are given to it, for use in tests & local development.
+ */
+class LocalKeyProvider {
+  /**
+   * @param {object} keys The 32-byte keys by id, each as a `Buffer` or base64 string.
+   * @param {string} [currentKeyId] The id of the key with which to encrypt; defaults to the last id of the given keys.
+   * @throws {IllegalArgumentError} If there is no key with the current key id.
+   */
+  constructor ({ keys = {}, currentKeyId } = {}) {
+    this._keys = Object.keys(keys).reduce((accum, id) => {
+      accum[id] = Buffer.isBuffer(keys[id]) ? keys[id] : Buffer.from(keys[id], 'base64')
+      return accum
+    }, {})
+    this._currentKeyId = currentKeyId || Object.keys(keys).pop()
+
+    if (!this._keys[this._currentKeyId]) throw new IllegalArgumentError({ msg: `current key ${this._currentKeyId}` })
+  }
+
+  currentKeyId () {
+    return this._currentKeyId
+  }
+
+  getKey (keyId) {
+    return this._keys[keyId]
+  }
+}
+
+module.exports = LocalKeyProvider
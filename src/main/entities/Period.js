@@ -1 +1,79 @@
-module.exports = require('@scispike/nodejs-support').entities.Period
+'use strict'
+
+const moment = require('moment-timezone')
+const BasePeriod = require('@scispike/nodejs-support').entities.Period
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+const zoneOf = it => (moment.isMoment(it) && it.tz()) || undefined
+
+/**
+ * A `Period` of `@scispike/nodejs-support` that keeps a time zone, so that repositories with zoned periods can store it & read it back in it.
+ * Its begin & end are still held in UTC, so that periods compare as before, but are returned in its zone, if any.
+ */
+class Period extends BasePeriod {
+  static beginningAtWithMinutes (begin, minutes) {
+    return new Period(begin.clone(), begin.clone().add(minutes, 'minutes'))
+  }
+
+  /**
+   * @param {moment} [begin]
+   * @param {moment} [end]
+   * @param {string} [zone] The IANA name of the time zone; defaults to that of the given begin, else that of the given end, if either is a `moment` in a zone.
+   * @throws {IllegalArgumentError} If the zone is unknown.
+   */
+  constructor (begin, end, zone) {
+    super(begin, end)
+
+    zone = zone || zoneOf(begin) || zoneOf(end)
+    if (zone) this.zone = zone
+  }
+
+  clone () {
+    return new Period(this._begin?.clone(), this._end?.clone(), this._zone)
+  }
+
+  /**
+   * The IANA name of this period's time zone, if any.
+   *
+   * @return {string|undefined}
+   */
+  get zone () {
+    return this._zone
+  }
+
+  /**
+   * @param {string} [value] The IANA name of the time zone, or a falsy value for none.
+   * @throws {IllegalArgumentError} If the zone is unknown.
+   */
+  set zone (value) {
+    if (value && !moment.tz.zone(value)) throw new IllegalArgumentError({ msg: `unknown time zone: ${value}` })
+    this._zone = value || undefined
+  }
+
+  withZone (value) {
+    this.zone = value
+    return this
+  }
+
+  get begin () {
+    return this._inZone(super.begin)
+  }
+
+  set begin (value) {
+    super.begin = value
+  }
+
+  get end () {
+    return this._inZone(super.end)
+  }
+
+  set end (value) {
+    super.end = value
+  }
+
+  _inZone (it) {
+    return it && this._zone ? it.tz(this._zone) : it
+  }
+}
+
+module.exports = Period
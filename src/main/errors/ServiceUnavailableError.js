@@ -0,0 +1,5 @@
+'use strict'
+
+const DatastoreError = require('./DatastoreError')
+
+module.exports = DatastoreError.subclass({ code: 'E_SERVICE_UNAVAILABLE' })
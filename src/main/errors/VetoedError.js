@@ -0,0 +1,5 @@
+'use strict'
+
+const CodedError = require('./CodedError')
+
+module.exports = CodedError({ code: 'E_VETOED' })
@@ -0,0 +1,63 @@
+'use strict'
+
+/**
+ * A lazy reference to a blob stored by a {@link CloudStorageRepository}, as loaded from a {@link FirestoreRepository} field of type `blob`.
+ */
+class BlobReference {
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {string} name The name of the blob, relative to its repository's prefix.
+   * @param {CloudStorageRepository} repository The repository that stores the blob.
+   */
+  constructor ({ name, repository }) {
+    this._name = name
+    this._repository = repository
+  }
+
+  get name () {
+    return this._name
+  }
+
+  /**
+   * The full name of the blob's object in its bucket.
+   *
+   * @return {string}
+   */
+  get path () {
+    return this._repository._blobpath(this._name)
+  }
+
+  get repository () {
+    return this._repository
+  }
+
+  /**
+   * Loads the referenced blob.
+   *
+   * @return {Promise<object>} The blob as described in {@link CloudStorageRepository#findBlob}, or `null` if it doesn't exist.
+   */
+  async get () {
+    return this._repository.findBlob(this._name)
+  }
+
+  /**
+   * Returns a stream of the referenced blob's content.
+   *
+   * @return {Readable}
+   */
+  stream () {
+    return this._repository.streamBlob(this._name)
+  }
+
+  /**
+   * Deletes the referenced blob.
+   *
+   * @return {Promise<boolean>} Whether the blob was deleted.
+   */
+  async delete () {
+    return this._repository.deleteBlob(this._name)
+  }
+}
+
+module.exports = BlobReference
@@ -0,0 +1,203 @@
+'use strict'
+
+const { Trait } = require('mutrait')
+const moment = require('moment-timezone')
+const { PassThrough, pipeline } = require('stream')
+
+const ObjectNotFoundError = require('../errors/ObjectNotFoundError')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+const BlobReference = require('./BlobReference')
+const translateError = require('./translateError')
+
+/**
+ * A repository of blobs, such as the attachments of entities, stored as the objects of a Cloud Storage bucket whose names begin with the repository's prefix.
+ * Blobs are named relative to the prefix, so a repository with prefix `invoices` stores the blob `42/scan.pdf` as the object `invoices/42/scan.pdf`.
+ *
+ * Give it a `Bucket` of the `@google-cloud/storage` client, as from `admin.storage().bucket()`, or, in tests, a {@link FileSystemBucket}.
+ * Entities of {@link FirestoreRepository}s refer to blobs via schema fields of type `blob`; see {@link FirestoreRepository#_schema}.
+ */
+const CloudStorageRepository = Trait(s => class extends s {
+  _bucket
+  _blobPrefix
+
+  /**
+   * Initializes this repository.
+   *
+   * @param {Bucket} bucket
+   * @param {string} [prefix] The prefix of the names of this repository's objects, without a trailing slash; defaults to none.
+   * @private
+   */
+  _initCloudStorageRepository (bucket, prefix = '') {
+    this._bucket = bucket
+    this._blobPrefix = prefix.replace(/\/+$/, '')
+  }
+
+  /**
+   * Stores the given content as the blob with the given name, replacing any existing one.
+   *
+   * @param {string} name
+   * @param {Buffer|string|Readable} data The content, which is streamed if it's a `Readable`.
+   * @param {string} [contentType] The MIME type of the content.
+   * @param {object} [metadata] Custom metadata as string values by key.
+   * @return {Promise<BlobReference>} A reference to the stored blob.
+   * @throws {IllegalArgumentError} If the name is invalid.
+   */
+  async saveBlob (name, data, { contentType, metadata } = {}) {
+    const file = this._bucket.file(this._blobpath(name))
+    const options = { resumable: false, contentType, metadata: { contentType, metadata } }
+
+    await this._tryStorage(async () => {
+      if (typeof data?.pipe !== 'function') return file.save(data, options)
+
+      return new Promise((resolve, reject) => pipeline(data, file.createWriteStream(options), e => e ? reject(e) : resolve()))
+    })
+
+    return this.blobReference(name)
+  }
+
+  /**
+   * Returns the blob with the given name, content included, or `null` if there is none.
+   *
+   * @param {string} name
+   * @return {Promise<{name: string, data: Buffer, contentType: string, size: number, updated: moment, metadata: object}|null>}
+   */
+  async findBlob (name) {
+    const file = this._bucket.file(this._blobpath(name))
+
+    return this._tryStorage(async () => {
+      try {
+        const [[data], [info]] = await Promise.all([file.download(), file.getMetadata()])
+        return { ...this._toBlobInfo(info), data }
+      } catch (e) {
+        if (e.code === 404) return null
+        throw e
+      }
+    })
+  }
+
+  /**
+   * Returns the blob with the given name as described in {@link findBlob}, failing if there is none.
+   *
+   * @param {string} name
+   * @return {Promise<object>}
+   * @throws {ObjectNotFoundError} If there is no such blob.
+   */
+  async getBlob (name) {
+    const it = await this.findBlob(name)
+    if (!it) throw new ObjectNotFoundError({ msg: this._blobpath(name) })
+    return it
+  }
+
+  /**
+   * Returns a stream of the content of the blob with the given name, which fails with an {@link ObjectNotFoundError} if there is none.
+   *
+   * @param {string} name
+   * @return {Readable}
+   */
+  streamBlob (name) {
+    const source = this._bucket.file(this._blobpath(name)).createReadStream()
+    const stream = new PassThrough()
+
+    source.on('error', e => stream.destroy(this._translateStorageError(e)))
+    return source.pipe(stream)
+  }
+
+  /**
+   * Returns a page of the blobs whose names begin with the given prefix, in order of name, without their content.
+   * The returned token is an opaque string to give back to get the next page, or `null` if there are no more pages.
+   *
+   * @param {string} [prefix] Defaults to all of this repository's blobs.
+   * @param {number} [pageSize] The maximum number of blobs in the page; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @param {string} [token] The token returned with the previous page, if any.
+   * @return {Promise<{items: [{name: string, contentType: string, size: number, updated: moment, metadata: object}], token: string|null}>}
+   */
+  async listBlobs ({ prefix = '', pageSize = DEFAULT_PAGE_SIZE, token } = {}) {
+    return this._tryStorage(async () => {
+      const [files, next] = await this._bucket.getFiles({
+        prefix: this._blobPrefix ? `${this._blobPrefix}/${prefix}` : prefix,
+        autoPaginate: false,
+        maxResults: pageSize,
+        pageToken: token || undefined
+      })
+
+      return {
+        items: files.map(it => this._toBlobInfo(it.metadata)),
+        token: next?.pageToken || null
+      }
+    })
+  }
+
+  /**
+   * Deletes the blob with the given name.
+   *
+   * @param {string} name
+   * @return {Promise<boolean>} Whether a blob was deleted.
+   */
+  async deleteBlob (name) {
+    const file = this._bucket.file(this._blobpath(name))
+
+    return this._tryStorage(async () => {
+      try {
+        await file.delete()
+        return true
+      } catch (e) {
+        if (e.code === 404) return false
+        throw e
+      }
+    })
+  }
+
+  /**
+   * Returns a reference to the blob with the given name, which need not exist.
+   *
+   * @param {string} name
+   * @return {BlobReference}
+   */
+  blobReference (name) {
+    this._blobpath(name)
+    return new BlobReference({ name, repository: this })
+  }
+
+  /**
+   * Returns the name of the object of the blob with the given name.
+   *
+   * @param {string} name
+   * @return {string}
+   * @throws {IllegalArgumentError} If the name is empty, or has empty, `.` or `..` segments.
+   * @private
+   */
+  _blobpath (name) {
+    if (typeof name !== 'string' || name.split('/').some(it => !it || it === '.' || it === '..')) {
+      throw new IllegalArgumentError({ msg: `blob name ${name}` })
+    }
+    return this._blobPrefix ? `${this._blobPrefix}/${name}` : name
+  }
+
+  _toBlobInfo ({ name, contentType, size, updated, metadata }) {
+    return {
+      name: this._blobPrefix ? name.substring(this._blobPrefix.length + 1) : name,
+      contentType: contentType || null,
+      size: Number(size),
+      updated: updated ? moment.utc(updated) : null,
+      metadata: metadata || {}
+    }
+  }
+
+  _translateStorageError (e) {
+    return translateError(e, HTTP_ERRORS)
+  }
+
+  async _tryStorage (it) {
+    try {
+      return await it()
+    } catch (x) {
+      throw this._translateStorageError(x)
+    }
+  }
+})
+
+const HTTP_ERRORS = CloudStorageRepository.HTTP_ERRORS = translateError.HTTP_ERRORS
+const DEFAULT_PAGE_SIZE = CloudStorageRepository.DEFAULT_PAGE_SIZE = 100
+
+module.exports = CloudStorageRepository
@@ -0,0 +1,102 @@
+'use strict'
+
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+/**
+ * A registry of converters between entity-level values & the values stored for them in Firestore, which {@link FirestoreRepository}s use in both directions of mapping.
+ *
+ * A converter is registered under a name, which schemas use as a field type, & has
+ * <ul>
+ * <li>`is(value)`, which returns whether the converter converts the given entity-level value; defaults to testing `instanceof type`,</li>
+ * <li>`toFirestore(value)`, which returns the value to store for the given entity-level value,</li>
+ * <li>`fromFirestore(stored, spec)`, which returns the entity-level value for the given stored value, never `null` or `undefined`, given the normalized field spec, &</li>
+ * <li>optionally `type`, a class that schemas may also use as a field type.</li>
+ * </ul>
+ * When more than one converter converts a value, the most recently registered one wins, so that registrations can refine the built-in ones.
+ */
+class ConverterRegistry {
+  constructor () {
+    this._converters = []
+  }
+
+  /**
+   * The names of the registered converters, in order of registration.
+   *
+   * @return {[string]}
+   */
+  get names () {
+    return this._converters.map(it => it.name)
+  }
+
+  /**
+   * Registers the given converter under the given name, replacing any registered under the same name.
+   *
+   * @param {string} name
+   * @param {function} [type]
+   * @param {function(*): boolean} [is]
+   * @param {function(*): *} [toFirestore] Defaults to the identity function.
+   * @param {function(*, object): *} [fromFirestore] Defaults to the identity function.
+   * @return {ConverterRegistry} This registry.
+   * @throws {IllegalArgumentError} If not given a name, or neither `is` nor `type`.
+   */
+  register (name, { type, is, toFirestore = it => it, fromFirestore = it => it } = {}) {
+    if (!name || typeof name !== 'string') throw new IllegalArgumentError({ msg: 'converter name' })
+    if (typeof is !== 'function' && typeof type !== 'function') throw new IllegalArgumentError({ msg: `converter ${name} needs is or type` })
+
+    this.unregister(name)
+    this._converters.push({ name, type, is: is || (it => it instanceof type), toFirestore, fromFirestore })
+
+    return this
+  }
+
+  /**
+   * Removes the converter registered under the given name, if any.
+   *
+   * @param {string} name
+   * @return {ConverterRegistry} This registry.
+   */
+  unregister (name) {
+    this._converters = this._converters.filter(it => it.name !== name)
+    return this
+  }
+
+  /**
+   * Returns the converter registered under the given name, if any.
+   *
+   * @param {string} name
+   * @return {object|undefined}
+   */
+  get (name) {
+    return this._converters.find(it => it.name === name)
+  }
+
+  /**
+   * Returns the most recently registered converter that converts the given value, if any.
+   *
+   * @param value
+   * @return {object|undefined}
+   */
+  of (value) {
+    if (value === null || value === undefined) return undefined
+
+    for (let i = this._converters.length - 1; i >= 0; i--) {
+      if (this._converters[i].is(value)) return this._converters[i]
+    }
+  }
+
+  /**
+   * Returns the most recently registered converter whose `type` is the given class, if any.
+   *
+   * @param {function} type
+   * @return {object|undefined}
+   */
+  ofType (type) {
+    if (typeof type !== 'function') return undefined
+
+    for (let i = this._converters.length - 1; i >= 0; i--) {
+      if (this._converters[i].type === type) return this._converters[i]
+    }
+  }
+}
+
+module.exports = ConverterRegistry
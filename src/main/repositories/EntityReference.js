@@ -0,0 +1,42 @@
+'use strict'
+
+/**
+ * A lazy reference to an entity stored by a {@link FirestoreRepository}, as loaded from a Firestore `DocumentReference`.
+ * Call {@link get} to load the referenced entity.
+ */
+class EntityReference {
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {DocumentReference} ref The Firestore reference to the entity's document.
+   * @param {FirestoreRepository} repository The repository that stores the referenced entity.
+   */
+  constructor ({ ref, repository }) {
+    this._ref = ref
+    this._repository = repository
+  }
+
+  get id () {
+    return this._ref.id
+  }
+
+  get path () {
+    return this._ref.path
+  }
+
+  get ref () {
+    return this._ref
+  }
+
+  /**
+   * Loads the referenced entity.
+   *
+   * @param {object} [options] The options as described in {@link FirestoreRepository#findById}.
+   * @return {Promise<*>} The entity, or `null` if it doesn't exist.
+   */
+  async get (options) {
+    return this._repository._findByRef(this._ref, options)
+  }
+}
+
+module.exports = EntityReference
@@ -5,13 +5,30 @@ const { Trait } = require('mutrait')
 
 const { Enum } = require('enumify')
 const moment = require('moment-timezone')
-const { Timestamp } = require('@google-cloud/firestore')
+const { Timestamp, FieldPath, DocumentReference, GeoPoint, AggregateField } = require('@google-cloud/firestore')
+const { StringDecoder } = require('string_decoder')
+const { EventEmitter } = require('events')
 const uuid = require('uuid/v4')
 
 const ObjectNotFoundError = require('../errors/ObjectNotFoundError')
 const ObjectExistsError = require('../errors/ObjectExistsError')
+const NonuniqueCriteriaError = require('../errors/NonuniqueCriteriaError')
+const ConcurrentModificationError = require('../errors/ConcurrentModificationError')
+const ValidationError = require('../errors/ValidationError')
+const VetoedError = require('../errors/VetoedError')
 const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
 const MethodNotImplementedError = require('@scispike/nodejs-support').errors.MethodNotImplementedError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
+
+const UnitOfWork = require('./UnitOfWork')
+const EntityReference = require('./EntityReference')
+const BlobReference = require('./BlobReference')
+const LruCache = require('./LruCache')
+const compareValues = require('./compareValues')
+const translateError = require('./translateError')
+const ConverterRegistry = require('./ConverterRegistry')
+
+const FieldCipher = require('../encryption/FieldCipher')
 
 const Period = require('../entities/Period')
 const DatePeriod = require('../entities/DatePeriod')
@@ -25,283 +42,2931 @@ const FirestoreRepository = Trait(s => class extends s {
   constructor (...args) {
     super(...args)
     this._mapperCache = {}
+    this._cacheState = { cache: undefined, hits: 0, misses: 0 }
+    this._hooks = { before: {}, after: {} }
+    this._emitter = new EventEmitter()
     this._bindMethods()
   }
 
   _bindMethods (target) {
     target = target || this
 
-    this._toMoment = this._toMoment.bind(target)
-    this._toTimestamp = this._toTimestamp.bind(target)
+    this._toMoment = this._toMoment.bind(target)
+    this._toTimestamp = this._toTimestamp.bind(target)
+  }
+
+  _getMapper (mapper, name) {
+    name = name || mapper.name
+    return this._mapperCache[name] || (this._mapperCache[name] = this._toArrayAwareMapper(mapper))
+  }
+
+  _toArrayAwareMapper (mapper) {
+    return ({ key, from, getterPrefix }) => {
+      const value = from[`${getterPrefix}${key}`]
+      if (value === undefined) return value
+      return Array.isArray(value) ? [...value.map(mapper)] : mapper(value)
+    }
+  }
+
+  _noOpMapper () {
+    return this._getMapper(it => it, 'noop')
+  }
+
+  _toMomentMapper () {
+    return this._getMapper(it => this._toMoment(it), 'moment')
+  }
+
+  _toStringMapper () {
+    return this._getMapper(it => it?.toString(), 'string')
+  }
+
+  _toFloatMapper () {
+    return this._getMapper(it => parseFloat(it), 'float')
+  }
+
+  _toIntMapper () {
+    return this._getMapper(it => parseInt(it), 'int')
+  }
+
+  _toBooleanMapper () {
+    return this._getMapper(it => Boolean(it), 'boolean')
+  }
+
+  _toEnumMapper ({ enumeration }) {
+    return this._getMapper(enumeration.of, `enum:${enumeration.name}`)
+  }
+
+  /**
+   * Initializes this repository.
+   * If this repository has {@link _tenancy} but isn't given a tenant, it can only be used to get repositories for tenants via {@link forTenant}.
+   *
+   * @param {Firestore} db
+   * @param {string} name The name of the collection of this repository's documents.
+   * @param {string|DocumentReference} [parent] The parent document, or its path, if the collection is a subcollection.
+   * @param {string} [tenant] The id of the tenant to which this repository is scoped, if it has {@link _tenancy}.
+   * @throws {IllegalArgumentError} If the tenancy mode or the tenant is invalid, or, with `path` tenancy, the parent isn't the tenant's.
+   * @private
+   */
+  _initFirestoreRepository (db, name, { parent, tenant } = {}) {
+    this._db = db
+    this._name = name
+    this._parent = typeof parent === 'string' ? this._db.doc(parent) : parent
+    this._tenant = undefined
+
+    const tenancy = this._tenancy
+    if (tenancy) {
+      if (!TENANCY_MODES.includes(tenancy)) throw new IllegalArgumentError({ msg: `unknown tenancy mode: ${tenancy}` })
+      if (tenant !== undefined && (typeof tenant !== 'string' || !tenant || tenant.includes('/'))) throw new IllegalArgumentError({ msg: `tenant ${tenant}` })
+      this._tenant = tenant
+      if (!tenant) {
+        this._collection = null
+        this._path = undefined
+        return
+      }
+    }
+
+    let base = this._parent
+    if (tenancy === 'path') {
+      const root = this._db.doc(`${TENANTS}/${tenant}`)
+      if (base && !base.path.startsWith(`${root.path}/`)) throw new IllegalArgumentError({ msg: `${base.path} is not within ${root.path}` })
+      base = base || root
+    }
+
+    this._collection = base ? base.collection(name) : this._db.collection(name)
+    this._path = this._collection.path
+  }
+
+  /**
+   * Returns a repository like this one, but whose collection is the subcollection of the given parent document.
+   * For example, given a repository of order lines named `lines`, `repo.scopedTo('orders/42')` stores lines in `orders/42/lines`.
+   * The returned repository is scoped to this one's tenant, if any.
+   *
+   * @param {string|DocumentReference} parent The parent document, or its path.
+   * @return {FirestoreRepository}
+   */
+  scopedTo (parent) {
+    const scoped = Object.create(this)
+    scoped._initFirestoreRepository(this._db, this._name, { parent, tenant: this._tenant })
+    return scoped
+  }
+
+  /**
+   * How this repository isolates the entities of the tenants that share its Firestore project, or `null`, the default, if it doesn't.
+   * Override this getter to return either
+   * <ul>
+   * <li>`'path'`, to store each tenant's documents under its own document, so that a tenant's repository named `orders` stores them in `tenants/{tenant}/orders`, or</li>
+   * <li>`'field'`, to store all tenants' documents in the same collection, each stamped with its tenant's id as `_tenantId`, which every query is filtered by & every read & write is checked against.</li>
+   * </ul>
+   * The tenant is given to {@link _initFirestoreRepository} at construction or to {@link forTenant} per call.
+   * Either way, a tenant's repository can't read, write or delete another tenant's entities: with `field` tenancy, they're as good as missing, except that their ids can't be reused.
+   * Repositories referenced by {@link _schema}s must be scoped to the same tenant, for example via `repository: () => customers.forTenant(this._tenant)`.
+   *
+   * @return {string|null}
+   * @private
+   */
+  get _tenancy () {
+    return null
+  }
+
+  /**
+   * Returns a repository like this one, but scoped to the given tenant.
+   *
+   * @param {string} tenant The id of the tenant.
+   * @return {FirestoreRepository}
+   * @throws {IllegalStateError} If this repository doesn't have {@link _tenancy}.
+   * @throws {IllegalArgumentError} If the tenant id is invalid.
+   */
+  forTenant (tenant) {
+    if (!this._tenancy) throw new IllegalStateError({ msg: `${this._name} is not multi-tenant` })
+    if (!tenant) throw new IllegalArgumentError({ msg: 'tenant is required' })
+
+    const scoped = Object.create(this)
+    scoped._initFirestoreRepository(this._db, this._name, { parent: this._parent, tenant })
+    return scoped
+  }
+
+  _requireTenant () {
+    if (this._tenancy && !this._tenant) throw new IllegalStateError({ msg: `${this._name} is multi-tenant, so requires a tenant; see forTenant` })
+  }
+
+  /**
+   * Returns whether the given existing document belongs to this repository's tenant, if it has {@link _tenancy}.
+   *
+   * @param {DocumentSnapshot} snapshot
+   * @return {boolean}
+   * @private
+   */
+  _isTenantOwned (snapshot) {
+    switch (this._tenancy) {
+      case 'path':
+        return snapshot.ref.path.startsWith(`${TENANTS}/${this._tenant}/`)
+      case 'field':
+        return snapshot.get(TENANT_ID) === this._tenant
+      default:
+        return true
+    }
+  }
+
+  /**
+   * Registers the given hook to be called before each operation of the given kind, which is one of {@link HOOK_OPERATIONS}:
+   * <ul>
+   * <li>`insert` & `upsert` hooks are called before the entity is validated & mapped,</li>
+   * <li>`delete` hooks are called once the entity is known to exist, before its document is deleted,</li>
+   * <li>`restore` hooks are called with the soft-deleted entity as loaded, before it's validated & mapped, &</li>
+   * <li>`load` hooks are called with each entity found by the `find*` & `get*` methods, before it's returned.</li>
+   * </ul>
+   * Each hook is awaited in the order registered & is given an event of the form `{ operation, id, entity, context, unitOfWork }`, where `context` is the one given to the write, if any.
+   * A hook can change the entity, either in place or by returning another one, except when deleting.
+   * A hook can veto the operation by throwing an error, which is rethrown, or by returning `false`, in which case a {@link VetoedError} is thrown.
+   *
+   * Hooks are registered for this repository & every repository derived from it via {@link scopedTo} & {@link forTenant}.
+   * Writes with hooks run within a new transaction unless a unit of work is given, which the hooks can use to read & write, so hooks must be safe to call again if Firestore retries it.
+   *
+   * @param {string} operation
+   * @param {function(object): Promise<*>} hook
+   * @return {FirestoreRepository} This repository.
+   * @throws {IllegalArgumentError} If the operation is unknown.
+   */
+  before (operation, hook) {
+    return this._addHook('before', operation, hook)
+  }
+
+  /**
+   * Registers the given hook to be called after each operation of the given kind, as described in {@link before}.
+   * Write hooks are called within the write's unit of work once its writes are made, so that they can write more atomically, & their return values are ignored.
+   *
+   * @param {string} operation
+   * @param {function(object): Promise<*>} hook
+   * @return {FirestoreRepository} This repository.
+   * @throws {IllegalArgumentError} If the operation is unknown.
+   */
+  after (operation, hook) {
+    return this._addHook('after', operation, hook)
+  }
+
+  /**
+   * Unregisters the given hook, registered via {@link before} or {@link after}.
+   *
+   * @param {string} operation
+   * @param {function(object): Promise<*>} hook
+   * @return {FirestoreRepository} This repository.
+   */
+  removeHook (operation, hook) {
+    Object.values(this._hooks).forEach(it => _.pull(it[operation] || [], hook))
+    return this
+  }
+
+  _addHook (phase, operation, hook) {
+    if (!HOOK_OPERATIONS.includes(operation)) throw new IllegalArgumentError({ msg: `unknown operation: ${operation}` })
+    if (typeof hook !== 'function') throw new IllegalArgumentError({ msg: 'hook must be a function' })
+
+    const hooks = this._hooks[phase]
+    hooks[operation] = [...(hooks[operation] || []), hook]
+    return this
+  }
+
+  /**
+   * Registers the given listener for the events of the given operation, as with Node.js's `EventEmitter#on`.
+   * Once an operation of the kind, as described in {@link before}, has been committed, or, when loading, once each entity is loaded, the listener is called synchronously with an event of the form `{ operation, id, entity, context }`.
+   * Since the write has already been committed, errors thrown by listeners are emitted as `error` events, or ignored if there are no `error` listeners.
+   *
+   * @param {string} operation One of {@link HOOK_OPERATIONS}, or `error`.
+   * @param {function(object)} listener
+   * @return {FirestoreRepository} This repository.
+   */
+  on (operation, listener) {
+    this._emitter.on(operation, listener)
+    return this
+  }
+
+  once (operation, listener) {
+    this._emitter.once(operation, listener)
+    return this
+  }
+
+  off (operation, listener) {
+    this._emitter.off(operation, listener)
+    return this
+  }
+
+  /**
+   * Whether this repository writes an event for each insert, upsert, deletion & restoration to the `_outbox` collection, via the same unit of work as the write itself, so that an {@link OutboxRelay} can publish them.
+   * Events are of the form
+   * <pre>
+   * {
+   *   operation: 'upsert', // or 'insert', 'delete' or 'restore'
+   *   collection: 'orders', // the path of this repository's collection
+   *   id: '42',
+   *   data: { ... }, // the document as stored after the write, or null if it was deleted
+   *   actor: 'alice', // the actor of the context given to the write, if any, else null
+   *   tenant: 'acme', // this repository's tenant, if it has tenancy, else null
+   *   at: Timestamp,
+   *   sequence: 1583020800000001 // the key by which events are relayed, as described in {@link _nextOutboxSequence}
+   * }
+   * </pre>
+   * Writes of repositories with an outbox run within a new transaction unless a unit of work is given.
+   * Imports, migrations & re-encryptions don't write events.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _outbox () {
+    return false
+  }
+
+  _isHooked (operation) {
+    return Boolean(this._hooks.before[operation]?.length || this._hooks.after[operation]?.length)
+  }
+
+  _isObserved (operation) {
+    return this._isHooked(operation) || this._emitter.listenerCount(operation) > 0
+  }
+
+  /**
+   * Runs the before hooks of the given operation, as described in {@link before}, returning the possibly replaced entity.
+   *
+   * @private
+   */
+  async _runBeforeHooks (operation, { id, entity, context, unitOfWork }) {
+    for (const hook of this._hooks.before[operation] || []) {
+      const result = await hook({ operation, id, entity, context, unitOfWork })
+      if (result === false) throw new VetoedError({ msg: `${operation} of ${this._path}/${id}`, info: { operation, id } })
+      if (result && typeof result === 'object' && operation !== 'delete') entity = result
+    }
+    return entity
+  }
+
+  /**
+   * Writes the outbox event, runs the after hooks & schedules the notification of listeners of the given write.
+   *
+   * @private
+   */
+  async _afterWrite (operation, { ref, entity, doc, context }, unitOfWork) {
+    unitOfWork = this._unitOfWork({ unitOfWork })
+
+    if (this._outbox) {
+      const at = this._clock()
+      await unitOfWork.set(this._db.collection(OUTBOX).doc(), {
+        operation,
+        collection: this._path,
+        id: ref.id,
+        data: doc,
+        actor: context?.actor === undefined ? null : this._toFirestoreDocument(this._toTree(context.actor)),
+        tenant: this._tenant || null,
+        at,
+        sequence: this._nextOutboxSequence(at)
+      })
+    }
+
+    const event = { operation, id: ref.id, entity, context }
+    for (const hook of this._hooks.after[operation] || []) await hook({ ...event, unitOfWork })
+
+    if (this._emitter.listenerCount(operation)) await unitOfWork.afterCommit(() => this._emit(event))
+  }
+
+  /**
+   * Returns the sequence of an outbox event written at the given time: the time in microseconds since the epoch,
+   * but greater than the last sequence returned in this process if need be, so that the events of successive writes are relayed in order even when written within the same millisecond.
+   * The events of writes made by different processes are ordered by their clocks.
+   *
+   * @param {Timestamp} at
+   * @return {number}
+   * @private
+   */
+  _nextOutboxSequence (at) {
+    lastOutboxSequence = Math.max(at.seconds * 1e6 + Math.floor(at.nanoseconds / 1e3), lastOutboxSequence + 1)
+    return lastOutboxSequence
+  }
+
+  /**
+   * Runs the load hooks of the given entity & notifies the listeners of its loading, returning the possibly replaced entity.
+   *
+   * @private
+   */
+  async _loaded (entity, { unitOfWork } = {}) {
+    if (!this._isObserved('load')) return entity
+
+    entity = await this._runBeforeHooks('load', { id: entity._id, entity, unitOfWork })
+    const event = { operation: 'load', id: entity._id, entity }
+    for (const hook of this._hooks.after.load || []) await hook({ ...event, unitOfWork })
+    this._emit(event)
+
+    return entity
+  }
+
+  async _allLoaded (entities, options) {
+    if (!this._isObserved('load')) return entities
+
+    const loaded = []
+    for (const entity of entities) loaded.push(await this._loaded(entity, options))
+    return loaded
+  }
+
+  _emit (event) {
+    try {
+      this._emitter.emit(event.operation, event)
+    } catch (e) {
+      this._reportError(e)
+    }
+  }
+
+  _reportError (e) {
+    if (this._emitter.listenerCount('error')) this._emitter.emit('error', e)
+  }
+
+  /**
+   * Stores the given entity, which must not already exist.
+   * The existence check & the write are atomic: unless a unit of work is given, they run within a new transaction.
+   * If this repository {@link _softDeletes}, a soft-deleted document with the entity's id is replaced, ignoring any given `SetOptions`, so that none of its fields outlive it;
+   * if this repository is also {@link _versioned}, the replacement's version follows the deleted document's, whatever the entity's, & its `_createdAt` is reset.
+   *
+   * @param entity
+   * @param {object} [options] The options as described in {@link upsert}.
+   * @return {Promise<*>}
+   * @throws {ObjectExistsError} If the entity already exists.
+   */
+  async insert (entity, options) {
+    return this._tryAsync(async () => this._transactionally({ unitOfWork: options?.unitOfWork }, async unitOfWork => {
+      const snapshot = entity.id && await unitOfWork.get(this._db.doc(this._docpath(entity.id)))
+      if (snapshot && snapshot.exists && !this._isSoftDeleted(snapshot)) {
+        throw new ObjectExistsError({ msg: `${entity.constructor?.name}@${entity.id}` })
+      }
+      const replacing = Boolean(snapshot && snapshot.exists)
+      return this._upsert(entity, replacing ? { context: options?.context, unitOfWork, merge: false } : { ...options, unitOfWork }, 'insert', { replacing })
+    }))
+  }
+
+  /**
+   * Stores the given entity, merging it into any existing document by default.
+   * If this repository {@link _softDeletes}, the document is (re)written as not deleted, meaning that upserting a soft-deleted entity restores it.
+   * If this repository is {@link _versioned}, the write is checked against & increments the stored version; see {@link _upsertVersioned}.
+   * If this repository is {@link _audited}, the write is recorded in the document's history; see {@link _upsertAudited}.
+   * If this repository has `field` {@link _tenancy}, the document is stamped with this repository's tenant, & the write runs within a new transaction unless a unit of work is given.
+   * Hooks registered via {@link before} & {@link after} are run & listeners registered via {@link on} are notified as described there.
+   *
+   * @param entity
+   * @param {object} [options] Firestore `SetOptions`, which default to {@link _setOptions}, plus an optional {@link UnitOfWork} as `unitOfWork` & an optional `context`, whose `actor` is recorded in the history of {@link _audited} repositories.
+   * @return {Promise<*>}
+   * @throws {ValidationError} If the entity violates this repository's {@link _validationRules}.
+   * @throws {ConcurrentModificationError} If this repository is {@link _versioned} & the stored version differs from the entity's.
+   * @throws {ObjectExistsError} If this repository has `field` {@link _tenancy} & the document belongs to another tenant.
+   * @throws {IllegalStateError} If this repository has {@link _tenancy} but no tenant.
+   * @throws {VetoedError} If a before hook vetoes the write.
+   */
+  async upsert (entity, options) {
+    return this._upsert(entity, options, 'upsert')
+  }
+
+  async _upsert (entity, options, operation, { replacing = false } = {}) {
+    this._requireTenant()
+    let { unitOfWork, context, ...setOptions } = options || {}
+    if (!Object.keys(setOptions).length) setOptions = this._setOptions
+
+    const upsert = async unitOfWork => {
+      entity = await this._runBeforeHooks(operation, { id: entity._id, entity, context, unitOfWork })
+      this._validate(entity)
+      if (!entity._id) entity._id = uuid()
+
+      const ref = this._db.doc(this._docpath(entity._id))
+      const doc = this._encryptDocument(this._toDocument(entity), ref.path)
+      if (this._softDeletes) doc[DELETED_AT] = null
+      if (this._tenancy === 'field') doc[TENANT_ID] = this._tenant
+
+      if (this._tenancy === 'field') {
+        const snapshot = await unitOfWork.get(ref)
+        if (snapshot.exists && !this._isTenantOwned(snapshot)) throw new ObjectExistsError({ msg: this._docpath(entity._id) })
+      }
+
+      const result = await this._write(entity, doc, ref, setOptions, { operation, context, replacing }, unitOfWork)
+      await this._afterWrite(operation, { ref, entity, doc, context }, unitOfWork)
+      return result
+    }
+
+    return this._tryAsync(async () => this._tenancy === 'field' || this._outbox || this._isHooked(operation)
+      ? this._transactionally({ unitOfWork }, upsert)
+      : upsert(unitOfWork))
+  }
+
+  /**
+   * Writes the given document of the given entity as described in {@link upsert}.
+   *
+   * @private
+   */
+  async _write (entity, doc, ref, setOptions, { operation, context, replacing }, unitOfWork) {
+    if (this._audited) {
+      return this._transactionally({ unitOfWork }, it => this._upsertAudited(entity, doc, ref, setOptions, { operation, context, replacing }, it))
+    }
+    if (this._versioned) return this._transactionally({ unitOfWork }, it => this._upsertVersioned(entity, doc, ref, setOptions, it, undefined, { replacing }))
+
+    unitOfWork = this._unitOfWork({ unitOfWork })
+    const result = await unitOfWork.set(ref, doc, setOptions)
+    await this._uncache(ref, unitOfWork)
+    return result
+  }
+
+  /**
+   * Compares the stored `_version` with the given entity's `_version`, then writes the given document with the next version & audit `Timestamp`s.
+   * A missing version, whether stored or on the entity, is considered to be version `0`.
+   * When replacing a soft-deleted document, the versions aren't compared & the document is stamped as created now.
+   * On success, the entity's `_version`, `_createdAt` & `_updatedAt` are updated to match what was stored.
+   *
+   * @param entity
+   * @param doc The document produced from the entity.
+   * @param {DocumentReference} ref
+   * @param {object} options Firestore `SetOptions`.
+   * @param {UnitOfWork} unitOfWork
+   * @param {DocumentSnapshot} [snapshot] The stored document, if already read via the unit of work.
+   * @param {boolean} [replacing] Whether the write replaces a soft-deleted document.
+   * @return {Promise<*>}
+   * @private
+   */
+  async _upsertVersioned (entity, doc, ref, options, unitOfWork, snapshot, { replacing = false } = {}) {
+    const now = this._clock()
+
+    snapshot = snapshot || await unitOfWork.get(ref)
+    const stored = (snapshot.exists && snapshot.get(VERSION)) || 0
+    const loaded = entity[VERSION] || 0
+
+    if (!replacing && stored !== loaded) {
+      throw new ConcurrentModificationError({ msg: `${this._docpath(entity._id)}: stored version ${stored}, loaded version ${loaded}` })
+    }
+
+    doc[VERSION] = stored + 1
+    doc[CREATED_AT] = (!replacing && snapshot.exists && snapshot.get(CREATED_AT)) || now
+    doc[UPDATED_AT] = now
+
+    await unitOfWork.set(ref, doc, options)
+    await this._uncache(ref, unitOfWork)
+
+    entity[VERSION] = doc[VERSION]
+    entity[CREATED_AT] = this._toMoment(doc[CREATED_AT])
+    entity[UPDATED_AT] = this._toMoment(doc[UPDATED_AT])
+  }
+
+  /**
+   * Writes the given document as described in {@link upsert}, versioned if this repository is {@link _versioned}, & records the write in the document's history via the same unit of work.
+   *
+   * @param entity
+   * @param doc The document produced from the entity.
+   * @param {DocumentReference} ref
+   * @param {object} options Firestore `SetOptions`.
+   * @param {string} operation One of `'insert'`, `'upsert'` or `'restore'`.
+   * @param {object} [context]
+   * @param {boolean} [replacing] Whether the write replaces a soft-deleted document.
+   * @param {UnitOfWork} unitOfWork
+   * @return {Promise<*>}
+   * @private
+   */
+  async _upsertAudited (entity, doc, ref, options, { operation, context, replacing }, unitOfWork) {
+    const [snapshot, sequence] = await Promise.all([unitOfWork.get(ref), this._lastHistorySequence(ref, unitOfWork)])
+
+    if (this._versioned) {
+      await this._upsertVersioned(entity, doc, ref, options, unitOfWork, snapshot, { replacing })
+    } else {
+      await unitOfWork.set(ref, doc, options)
+      await this._uncache(ref, unitOfWork)
+    }
+
+    const before = snapshot.exists ? snapshot.data() : null
+    await this._writeHistory(ref, { operation, context, sequence, before, apply: it => this._afterSet(it, doc, options) }, unitOfWork)
+  }
+
+  /**
+   * Returns the entity with the given id, or `null` if there is none.
+   * If this repository {@link _softDeletes}, soft-deleted entities are not returned unless `includeDeleted` is truthy.
+   *
+   * @param {string} id
+   * @param {object} [options]
+   * @param {boolean} [options.includeDeleted]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<*>}
+   */
+  async findById (id, options) {
+    if (!id) return null
+
+    return this._findByRef(this._db.doc(this._docpath(id)), options)
+  }
+
+  /**
+   * Returns the entity whose document is referred to by the given `DocumentReference` as described in {@link findById}.
+   * References in the entity that are {@link _schema}d as eager are resolved.
+   *
+   * @param {DocumentReference} ref
+   * @param {object} [options] The options as described in {@link findById}.
+   * @return {Promise<*>}
+   * @private
+   */
+  async _findByRef (ref, { includeDeleted, unitOfWork } = {}) {
+    return this._tryAsync(async () => {
+      const snapshot = await this._getThroughCache(ref, { unitOfWork })
+      return this._toFoundEntity(snapshot, { includeDeleted, unitOfWork })
+    })
+  }
+
+  /**
+   * Returns the entities with the given ids, reading their documents in chunks via `getAll` instead of one at a time.
+   * Ids are deduplicated, so the result has an element for each distinct id in the order in which the ids were first given, which is `null` if there is no such entity.
+   *
+   * @param {[string]} ids
+   * @param {object} [options]
+   * @param {boolean} [options.includeDeleted] As described in {@link findById}.
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @param {number} [options.chunkSize] The maximum number of documents to read per round trip; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {Promise<[*]>}
+   */
+  async findByIds (ids, { includeDeleted, unitOfWork, chunkSize = DEFAULT_PAGE_SIZE } = {}) {
+    const unique = _.uniq(ids)
+
+    return this._tryAsync(async () => {
+      const snapshots = []
+      for (const chunk of _.chunk(unique.filter(it => it), chunkSize)) {
+        snapshots.push(...await this._getAllThroughCache(chunk.map(it => this._db.doc(this._docpath(it))), { unitOfWork }))
+      }
+
+      const entities = await Promise.all(snapshots.map(it => this._toFoundEntity(it, { includeDeleted, unitOfWork })))
+      const byId = _.zipObject(snapshots.map(it => it.id), entities)
+
+      return unique.map(it => (it && byId[it]) || null)
+    })
+  }
+
+  /**
+   * Returns the entities with the given ids as described in {@link findByIds}, failing unless they all exist.
+   *
+   * @param {[string]} ids
+   * @param {object} [options] The options as described in {@link findByIds}.
+   * @return {Promise<[*]>}
+   * @throws {ObjectNotFoundError} If any of the entities doesn't exist; its `info.ids` are the missing ids.
+   */
+  async getByIds (ids, options) {
+    const unique = _.uniq(ids)
+    const entities = await this.findByIds(unique, options)
+
+    const missing = unique.filter((it, i) => !entities[i])
+    if (missing.length) throw new ObjectNotFoundError({ msg: `${this._path}: ${missing.join(', ')}`, info: { ids: missing } })
+
+    return entities
+  }
+
+  /**
+   * Returns the entity of the given snapshot, or `null` if it doesn't exist, belongs to another tenant, or is soft-deleted & `includeDeleted` isn't truthy.
+   * References in the entity that are {@link _schema}d as eager are resolved.
+   *
+   * @private
+   */
+  async _toFoundEntity (snapshot, { includeDeleted, unitOfWork } = {}) {
+    if (snapshot.exists && !this._isTenantOwned(snapshot)) return null
+    if (!includeDeleted && this._isSoftDeleted(snapshot)) return null
+
+    const entity = this._fromSnapshot(snapshot)
+    const schema = this._schema
+    if (entity && schema) await this._resolveReferences({ entity, schema, setterPrefix: '_', getterPrefix: '_', options: { unitOfWork } })
+
+    return entity && this._loaded(entity, { unitOfWork })
+  }
+
+  async getById (id, options) {
+    const it = await this.findById(id, options)
+    if (!it) throw new ObjectNotFoundError({ msg: this._docpath(id) })
+    return it
+  }
+
+  /**
+   * Deletes the entity with the given id.
+   * If this repository {@link _softDeletes}, the document is stamped with a `_deletedAt` `Timestamp` instead of being removed.
+   * Otherwise, the blobs that the entity refers to via {@link _schema} fields of type `blob` are deleted once the deletion is committed; failures to delete them are emitted as `error` events, if anyone listens via {@link on}.
+   * Unless a unit of work is given, the existence check & the deletion run within a new transaction.
+   *
+   * @param {string} id
+   * @param {object} [options]
+   * @param {boolean} [options.strict] Whether to throw an {@link ObjectNotFoundError} if there is no entity with the given id.
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @param {object} [options.context] The context as described in {@link upsert}.
+   * @return {Promise<boolean>} Whether an entity was deleted.
+   * @throws {VetoedError} If a before hook vetoes the deletion.
+   */
+  async deleteById (id, { strict, unitOfWork, context } = {}) {
+    return this._tryAsync(async () => this._transactionally({ unitOfWork }, async unitOfWork => {
+      const ref = this._db.doc(this._docpath(id))
+      const snapshot = await unitOfWork.get(ref)
+
+      if (!snapshot.exists || !this._isTenantOwned(snapshot) || this._isSoftDeleted(snapshot)) {
+        if (strict) throw new ObjectNotFoundError({ msg: this._docpath(id) })
+        return false
+      }
+
+      const blobbed = !this._softDeletes && this._hasBlobFields(this._schema)
+      const entity = blobbed || this._isObserved('delete') ? this._fromSnapshot(snapshot) : undefined
+      await this._runBeforeHooks('delete', { id, entity, context, unitOfWork })
+
+      const sequence = this._audited && await this._lastHistorySequence(ref, unitOfWork)
+      const deletedAt = this._clock()
+
+      if (this._softDeletes) await unitOfWork.update(ref, { [DELETED_AT]: deletedAt })
+      else await unitOfWork.delete(ref)
+      await this._uncache(ref, unitOfWork)
+
+      const after = this._softDeletes ? { ...snapshot.data(), [DELETED_AT]: deletedAt } : null
+      if (this._audited) {
+        await this._writeHistory(ref, { operation: 'delete', context, sequence, before: snapshot.data(), apply: it => after && { ...it, [DELETED_AT]: deletedAt } }, unitOfWork)
+      }
+      await this._afterWrite('delete', { ref, entity, doc: after, context }, unitOfWork)
+
+      if (blobbed) {
+        const blobs = this._blobReferencesOf({ entity, schema: this._schema })
+        if (blobs.length) await unitOfWork.afterCommit(() => this._deleteBlobs(blobs))
+      }
+
+      return true
+    }))
+  }
+
+  /**
+   * Deletes the given entity.
+   *
+   * @param entity
+   * @param {object} [options] The options as described in {@link deleteById}.
+   * @return {Promise<boolean>} Whether the entity was deleted.
+   */
+  async delete (entity, options) {
+    return this.deleteById(entity._id, options)
+  }
+
+  /**
+   * Restores the soft-deleted entity with the given id by upserting it as loaded, but as a `restore` operation, so that it's versioned, recorded & hooked as described in {@link upsert}.
+   * Restoring an entity that isn't deleted has no effect.
+   *
+   * @param {string} id
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @param {object} [options.context] The context as described in {@link upsert}.
+   * @return {Promise<*>} The restored entity.
+   * @throws {ObjectNotFoundError} If there is no entity with the given id, deleted or not.
+   * @throws {IllegalStateError} If this repository doesn't {@link _softDeletes}.
+   * @throws {VetoedError} If a before hook vetoes the restoration.
+   */
+  async restore (id, { unitOfWork, context } = {}) {
+    if (!this._softDeletes) throw new IllegalStateError({ msg: `${this._path} does not soft-delete` })
+
+    return this._tryAsync(async () => this._transactionally({ unitOfWork }, async unitOfWork => {
+      const snapshot = await unitOfWork.get(this._db.doc(this._docpath(id)))
+      if (!snapshot.exists || !this._isTenantOwned(snapshot)) throw new ObjectNotFoundError({ msg: this._docpath(id) })
+
+      const entity = await this._toFoundEntity(snapshot, { includeDeleted: true, unitOfWork })
+      if (this._isSoftDeleted(snapshot)) await this._upsert(entity, { unitOfWork, context }, 'restore')
+
+      return entity
+    }))
+  }
+
+  /**
+   * Whether this repository keeps the history of its documents.
+   * When `true`, every insert, upsert, deletion & restoration is recorded, via the same unit of work as the write itself, in a `_history` subcollection of the document as a record of the form
+   * <pre>
+   * {
+   *   sequence: 3, // the 1-based position of the record in the document's history, which is also its zero-padded id
+   *   operation: 'upsert', // or 'insert', 'delete' or 'restore'
+   *   actor: 'alice', // the actor of the context given to the write, if any, else null
+   *   at: Timestamp,
+   *   exists: true, // whether the document exists after the write
+   *   changes: { _name: { from: 'al', to: 'alice' }, _nickname: { from: 'al' } } // the stored values of the changed fields, where a missing from or to means that the field was missing
+   * }
+   * </pre>
+   * Writes of audited repositories always read the stored document, so they run within a new transaction unless a unit of work is given.
+   * Encrypted fields are compared by their decrypted values but recorded as stored.
+   * Histories survive hard deletes of their documents, but imports, migrations & re-encryptions aren't recorded.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _audited () {
+    return false
+  }
+
+  /**
+   * Returns the history of the entity with the given id, as described in {@link _audited}, in order, with each record's `at` as a `moment` & encrypted values decrypted.
+   *
+   * @param {string} id
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<[{sequence: number, operation: string, actor: *, at: moment, exists: boolean, changes: object}]>}
+   */
+  async historyOf (id, { unitOfWork } = {}) {
+    return this._tryAsync(async () => {
+      const records = await this._historyRecordsOf(id, { unitOfWork })
+
+      return records.map(it => ({
+        ...it,
+        at: this._toMoment(it.at),
+        changes: _.mapValues(it.changes, (change, field) => _.mapValues(change, value => this._decryptDocument({ [field]: value }, this._docpath(id))[field]))
+      }))
+    })
+  }
+
+  /**
+   * Returns the entity with the given id as it was at the given instant, rebuilt from its history, or `null` if it didn't exist then.
+   * The rebuilt entity is only complete if every write of its document was recorded, that is, since it was created in an {@link _audited} repository.
+   * If this repository {@link _softDeletes}, entities soft-deleted at the time are not returned unless `includeDeleted` is truthy.
+   *
+   * @param {string} id
+   * @param {moment|Date|Timestamp} at
+   * @param {object} [options]
+   * @param {boolean} [options.includeDeleted]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<*>}
+   */
+  async findAsOf (id, at, { includeDeleted, unitOfWork } = {}) {
+    const millis = this._toMoment(at).valueOf()
+
+    return this._tryAsync(async () => {
+      let state = null
+      for (const record of await this._historyRecordsOf(id, { unitOfWork })) {
+        if (record.at.toMillis() > millis) break
+        state = record.exists ? this._applyChanges(state || {}, record.changes) : null
+      }
+
+      if (!state || (this._softDeletes && state[DELETED_AT] && !includeDeleted)) return null
+      return this._fromSnapshot(this._toCachedSnapshot(this._db.doc(this._docpath(id)), state))
+    })
+  }
+
+  async _historyRecordsOf (id, { unitOfWork } = {}) {
+    let query = this._db.doc(this._docpath(id)).collection(HISTORY)
+    if (this._tenancy === 'field') query = query.where('tenant', '==', this._tenant)
+    query = query.orderBy('sequence')
+    return (await this._unitOfWork({ unitOfWork }).get(query)).docs.map(it => it.data())
+  }
+
+  /**
+   * Returns the sequence of the last record in the history of the document at the given reference, including any written by the given unit of work but not yet committed.
+   *
+   * @private
+   */
+  async _lastHistorySequence (ref, unitOfWork) {
+    const pending = pendingHistories.get(unitOfWork)?.get(ref.path)
+    if (pending) return pending.sequence
+
+    const snapshot = await unitOfWork.get(ref.collection(HISTORY).orderBy('sequence', 'desc').limit(1))
+    return snapshot.empty ? 0 : snapshot.docs[0].get('sequence')
+  }
+
+  /**
+   * Records a write of the document at the given reference in its history, given the stored document, or `null` if it doesn't exist,
+   * & a function that applies the write to a stored document, returning the resulting document, or `null` if it no longer exists.
+   * Records are created rather than set, so that a record is never overwritten, even by a concurrent batched unit of work, which fails instead.
+   * Within a unit of work, successive writes of the same document are recorded with successive sequences, each relative to the one before.
+   *
+   * @private
+   */
+  async _writeHistory (ref, { operation, context, sequence, before, apply }, unitOfWork) {
+    const pending = pendingHistories.get(unitOfWork) || new Map()
+    if (pending.has(ref.path)) before = pending.get(ref.path).after
+    const after = apply(before)
+
+    const record = {
+      sequence: sequence + 1,
+      operation,
+      actor: context?.actor === undefined ? null : this._toFirestoreDocument(this._toTree(context.actor)),
+      at: this._clock(),
+      exists: after !== null,
+      changes: this._diffDocuments(before, after, ref.path)
+    }
+    if (this._tenancy === 'field') record.tenant = this._tenant
+
+    await unitOfWork.create(ref.collection(HISTORY).doc(_.padStart(record.sequence, HISTORY_ID_LENGTH, '0')), record)
+
+    if (!unitOfWork.direct) {
+      pending.set(ref.path, { sequence: record.sequence, after })
+      pendingHistories.set(unitOfWork, pending)
+    }
+  }
+
+  /**
+   * Returns the stored document that results from setting the given document with the given `SetOptions` over the given stored document, if any.
+   *
+   * @private
+   */
+  _afterSet (before, doc, { merge, mergeFields } = {}) {
+    if (!before || (!merge && !mergeFields)) return doc
+
+    if (mergeFields) {
+      return mergeFields.reduce((it, path) => {
+        const value = _.get(doc, path)
+        if (value === undefined) _.unset(it, path)
+        else _.set(it, path, value)
+        return it
+      }, this._cloneDocument(before))
+    }
+
+    return _.mergeWith(this._cloneDocument(before), doc, (from, to) => _.isPlainObject(from) && _.isPlainObject(to) ? undefined : to)
+  }
+
+  /**
+   * Returns the changes, as described in {@link _audited}, between the given stored documents at the given path, either of which may be `null`.
+   *
+   * @private
+   */
+  _diffDocuments (before, after, path) {
+    const decrypted = it => it ? this._decryptDocument(this._cloneDocument(it), path) : {}
+    const from = decrypted(before)
+    const to = decrypted(after)
+    const isEqual = (a, b) => _.isEqualWith(a, b, (x, y) => typeof x?.isEqual === 'function' && x.constructor === y?.constructor ? x.isEqual(y) : undefined)
+
+    return _.union(Object.keys(from), Object.keys(to)).sort().reduce((changes, field) => {
+      if (isEqual(from[field], to[field])) return changes
+
+      const change = {}
+      if (before?.[field] !== undefined) change.from = before[field]
+      if (after?.[field] !== undefined) change.to = after[field]
+      changes[field] = change
+
+      return changes
+    }, {})
+  }
+
+  _applyChanges (state, changes) {
+    return Object.keys(changes).reduce((it, field) => {
+      if ('to' in changes[field]) it[field] = changes[field].to
+      else delete it[field]
+      return it
+    }, state)
+  }
+
+  /**
+   * Returns the {@link UnitOfWork} given in the options, if any, otherwise a direct one.
+   *
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {UnitOfWork}
+   * @private
+   */
+  _unitOfWork ({ unitOfWork } = {}) {
+    return unitOfWork || new UnitOfWork({ db: this._db })
+  }
+
+  /**
+   * Calls the given function with the {@link UnitOfWork} given in the options, if any, otherwise within a new transactional one.
+   * Use this for check-then-act operations.
+   *
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @param {function(UnitOfWork): Promise<*>} fn
+   * @return {Promise<*>}
+   * @private
+   */
+  async _transactionally ({ unitOfWork } = {}, fn) {
+    return unitOfWork ? fn(unitOfWork) : UnitOfWork.transactionally(this._db, fn)
+  }
+
+  /**
+   * The caching options of this repository, or `null`, the default, if it doesn't cache.
+   * Override this getter to opt in, returning
+   * <pre>
+   * {
+   *   ttl: 60000, // the time-to-live of cached documents in milliseconds; defaults to the cache's own default
+   *   maxSize: 1000, // the maximum number of cached documents of the default cache
+   *   cache: new RedisCacheAdapter() // an implementation of the LruCache adapter interface; defaults to a new LruCache
+   * }
+   * </pre>
+   * When caching, {@link findById} & {@link getById} read documents through the cache unless given a unit of work, & writes made through this repository invalidate the documents they write once they're committed.
+   * Writes made by other means, including other processes, aren't seen until their cached documents expire, so give a `ttl` if that matters.
+   *
+   * @return {object|null}
+   * @private
+   */
+  get _cacheOptions () {
+    return null
+  }
+
+  get _cache () {
+    if (this._cacheState.cache === undefined) {
+      const options = this._cacheOptions
+      this._cacheState.cache = options ? options.cache || new LruCache(options) : null
+    }
+    return this._cacheState.cache
+  }
+
+  /**
+   * The number of cache hits & misses of {@link findById} & {@link getById} since this repository was created, for export to metrics.
+   *
+   * @return {{hits: number, misses: number}}
+   */
+  get cacheStats () {
+    return { hits: this._cacheState.hits, misses: this._cacheState.misses }
+  }
+
+  /**
+   * Removes all documents from this repository's cache, if any.
+   *
+   * @return {Promise<void>}
+   */
+  async clearCache () {
+    if (this._cache) await this._cache.clear()
+  }
+
+  /**
+   * Reads the given document, through this repository's cache if it has one & no unit of work is given.
+   * Existing documents are cached whether soft-deleted or not; missing ones aren't cached.
+   *
+   * @param {DocumentReference} ref
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<DocumentSnapshot>} The snapshot, or a stand-in for it that supports `exists`, `id`, `ref`, `data()` & `get(field)`.
+   * @private
+   */
+  async _getThroughCache (ref, { unitOfWork } = {}) {
+    const cache = this._cache
+    if (!cache || unitOfWork) return this._unitOfWork({ unitOfWork }).get(ref)
+
+    const data = await cache.get(ref.path)
+    if (data !== undefined) {
+      this._cacheState.hits++
+      return this._toCachedSnapshot(ref, data)
+    }
+
+    this._cacheState.misses++
+    const snapshot = await ref.get()
+    await this._cacheSnapshot(snapshot)
+    return snapshot
+  }
+
+  /**
+   * Reads the given documents in a single round trip as described in {@link _getThroughCache}, only reading those not cached.
+   *
+   * @param {[DocumentReference]} refs
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<[DocumentSnapshot]>} The snapshots or their stand-ins, in the order of the given references.
+   * @private
+   */
+  async _getAllThroughCache (refs, { unitOfWork } = {}) {
+    const cache = this._cache
+    if (!cache || unitOfWork) return this._unitOfWork({ unitOfWork }).getAll(...refs)
+
+    const cached = await Promise.all(refs.map(it => cache.get(it.path)))
+    const uncached = refs.filter((it, i) => cached[i] === undefined)
+
+    this._cacheState.hits += refs.length - uncached.length
+    this._cacheState.misses += uncached.length
+
+    const snapshots = uncached.length ? await this._db.getAll(...uncached) : []
+    await Promise.all(snapshots.map(it => this._cacheSnapshot(it)))
+
+    return refs.map((ref, i) => cached[i] === undefined ? snapshots.shift() : this._toCachedSnapshot(ref, cached[i]))
+  }
+
+  async _cacheSnapshot (snapshot) {
+    if (snapshot.exists) await this._cache.set(snapshot.ref.path, snapshot.data(), { ttl: this._cacheOptions.ttl })
+  }
+
+  _toCachedSnapshot (ref, data) {
+    return { exists: true, id: ref.id, ref, data: () => this._cloneDocument(data), get: field => _.get(data, field) }
+  }
+
+  async _uncache (ref, unitOfWork) {
+    const cache = this._cache
+    if (cache) await unitOfWork.afterCommit(() => cache.delete(ref.path))
+  }
+
+  _cloneDocument (data) {
+    return _.cloneDeepWith(data, it => it instanceof Timestamp || it instanceof GeoPoint || this._isDocumentReference(it) ? it : undefined)
+  }
+
+  /**
+   * The source of the current time for the audit stamps, deletion times, history records & outbox events that this repository writes.
+   * Override this getter to return another function, for example a fake clock in tests.
+   *
+   * @return {function(): Timestamp}
+   * @private
+   */
+  get _clock () {
+    return () => Timestamp.now()
+  }
+
+  /**
+   * Whether this repository soft-deletes entities.
+   * Queries exclude soft-deleted documents by requiring a `null` `_deletedAt`, which every write stores, but Firestore can't match missing fields,
+   * so documents written before opting in are excluded from queries until they're backfilled via {@link migrateAll}.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _softDeletes () {
+    return false
+  }
+
+  /**
+   * Whether this repository uses optimistic concurrency control via a `_version` counter on each document, along with `_createdAt` & `_updatedAt` audit `Timestamp`s.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _versioned () {
+    return false
+  }
+
+  _isSoftDeleted (snapshot) {
+    return Boolean(this._softDeletes && snapshot.exists && snapshot.get(DELETED_AT))
+  }
+
+  /**
+   * Returns all entities whose documents match the given criteria.
+   * Criteria take the following form, where all properties are optional:
+   * <pre>
+   * {
+   *   where: {
+   *     _status: Status.ACTIVE, // equality
+   *     _begin: { '>=': moment(), '<': moment().add(1, 'day') }, // range
+   *     _day: { in: [DayOfWeek.MONDAY, DayOfWeek.FRIDAY] },
+   *     _tags: { 'array-contains': 'urgent' }
+   *   },
+   *   orderBy: ['_begin', ['_name', 'desc']],
+   *   limit: 10
+   * }
+   * </pre>
+   * The keys of `where` are document field paths, that is, property names as they are stored, not as they are exposed by the entity.
+   * The values of `where` are entity-level values (`moment`s, `Date`s, `enumify` `Enum`s, etc), which are converted via {@link _toCriterionValue}.
+   * If you need to give the same operator more than once, give `where` as an array of `[fieldPath, operator, value]` triples instead.
+   * Firestore has no `in` filter, so `in` criteria are run as one query per value as described in {@link _toQueries}, & the results merged.
+   *
+   * A single `orderBy` entry can be given as a string; otherwise, it must be an array of entries, each of which is either a field path or a `[fieldPath, direction]` pair.
+   *
+   * If this repository {@link _softDeletes}, soft-deleted entities are excluded unless the criteria include a truthy `includeDeleted`.
+   *
+   * @param {object} [criteria] The criteria; if not given, all entities are returned.
+   * @param {object} [options]
+   * @param {UnitOfWork} [options.unitOfWork]
+   * @return {Promise<[*]>} The matching entities.
+   */
+  async findAll (criteria, { unitOfWork } = {}) {
+    return this._tryAsync(async () => {
+      const snapshots = await this._getAll(this._toQueries(criteria), criteria, this._unitOfWork({ unitOfWork }))
+      return this._allLoaded(snapshots.map(it => this._fromSnapshot(it)), { unitOfWork })
+    })
+  }
+
+  /**
+   * Returns the first entity matching the given criteria, or `null` if there is none.
+   * Any `limit` in the given criteria is ignored.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {object} [options] The options as described in {@link findAll}.
+   * @return {Promise<*>}
+   */
+  async findOne (criteria, options) {
+    const [it] = await this.findAll({ ...criteria, limit: 1 }, options)
+    return it || null
+  }
+
+  /**
+   * Returns the only entity matching the given criteria, or `null` if there is none.
+   * Any `limit` in the given criteria is ignored.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {object} [options] The options as described in {@link findAll}.
+   * @return {Promise<*>}
+   * @throws {NonuniqueCriteriaError} If more than one entity matches.
+   */
+  async findUnique (criteria, options) {
+    const found = await this.findAll({ ...criteria, limit: 2 }, options)
+    if (found.length > 1) throw new NonuniqueCriteriaError({ msg: this._path, info: criteria })
+    return found[0] || null
+  }
+
+  /**
+   * Returns the entities whose period at the given document field path overlaps the given period or, if given an instant, contains it.
+   * Periods are taken to include their begin & exclude their end, & missing begins & ends are unbounded, so that, for example, a period without an end overlaps every period that ends after it begins.
+   *
+   * Firestore only allows range filters on a single field, so only one bound of the stored periods, by default their end, is compared by Firestore, along with any `where` criteria, & the other is compared in memory.
+   * Give `bound: 'begin'` in the options to have Firestore compare the stored begins instead when that's more selective.
+   * The entities are returned in order of their periods' begins, then ids.
+   *
+   * Periods that are unbounded on the side that Firestore compares can only be found by it if this repository has {@link _nullPeriodBounds}, so otherwise, both bounds are compared in memory.
+   * Likewise, Firestore doesn't compare either bound if the criteria include range criteria, as it doesn't allow range filters on more than one field.
+   *
+   * @param {string} field The document field path of the period, for example `'_delivery'`.
+   * @param {Period|DatePeriod|moment|Date|Timestamp} range The period or instant.
+   * @param {object} [criteria] Criteria as described in {@link findAll}, of which only `where` & `includeDeleted` apply.
+   * @param {object} [options] The options as described in {@link findAll}, plus `bound`, either `'begin'` or `'end'`.
+   * @return {Promise<[*]>}
+   */
+  async findOverlapping (field, range, criteria, options) {
+    if (!this._isPeriod(range)) return this.findContaining(field, range, criteria, options)
+
+    const query = this._toPeriodBounds(range)
+    return this._findByPeriod(field, range, it => it.begin < query.end && query.begin < it.end, {
+      begin: { op: '<=', value: query.end, nulls: true },
+      end: { op: '>=', value: query.begin, nulls: true },
+      preferred: 'end'
+    }, criteria, options)
+  }
+
+  /**
+   * Returns the entities whose period at the given document field path contains the given period or instant, as described in {@link findOverlapping}.
+   *
+   * @param {string} field The document field path of the period.
+   * @param {Period|DatePeriod|moment|Date|Timestamp} range The period or instant.
+   * @param {object} [criteria] Criteria as described in {@link findOverlapping}.
+   * @param {object} [options] The options as described in {@link findOverlapping}.
+   * @return {Promise<[*]>}
+   */
+  async findContaining (field, range, criteria, options) {
+    const query = this._toPeriodBounds(range)
+    const test = this._isPeriod(range)
+      ? it => it.begin <= query.begin && query.end <= it.end
+      : it => it.begin <= query.begin && query.begin < it.end
+
+    return this._findByPeriod(field, range, test, {
+      begin: { op: '<=', value: query.begin, nulls: true },
+      end: { op: '>=', value: query.end, nulls: true },
+      preferred: 'end'
+    }, criteria, options)
+  }
+
+  /**
+   * Returns the entities whose period at the given document field path is within the given period, as described in {@link findOverlapping}.
+   * Firestore compares the stored begins by default.
+   *
+   * @param {string} field The document field path of the period.
+   * @param {Period|DatePeriod} range The period.
+   * @param {object} [criteria] Criteria as described in {@link findOverlapping}.
+   * @param {object} [options] The options as described in {@link findOverlapping}.
+   * @return {Promise<[*]>}
+   * @throws {IllegalArgumentError} If not given a period.
+   */
+  async findWithin (field, range, criteria, options) {
+    if (!this._isPeriod(range)) throw new IllegalArgumentError({ msg: 'range must be a Period or DatePeriod' })
+
+    const query = this._toPeriodBounds(range)
+    return this._findByPeriod(field, range, it => query.begin <= it.begin && it.end <= query.end, {
+      begin: { op: '>=', value: query.begin, nulls: false },
+      end: { op: '<=', value: query.end, nulls: false },
+      preferred: 'begin'
+    }, criteria, options)
+  }
+
+  /**
+   * Queries for the entities whose period at the given field passes the given test, having Firestore compare one of the periods' bounds as described in {@link findOverlapping}.
+   * The comparison that Firestore makes may be looser than the test, but must not be stricter.
+   *
+   * @param {string} field
+   * @param range The period or instant being queried for.
+   * @param {function({begin: number, end: number}): boolean} test Tests the bounds of a stored period in milliseconds, where unbounded is infinite.
+   * @param {object} bounds The `{ op, value, nulls }` comparison for Firestore to make for each of `begin` & `end`, where `nulls` is whether unbounded periods pass, plus the `preferred` bound.
+   * @private
+   */
+  async _findByPeriod (field, range, test, bounds, { where, includeDeleted } = {}, { bound, unitOfWork } = {}) {
+    if (bound && !bounds[bound]) throw new IllegalArgumentError({ msg: `bound must be 'begin' or 'end': ${bound}` })
+
+    const ranged = this._toWhereClauses(where).some(([path, op]) => RANGE_OPERATORS.includes(op))
+    const side = !ranged && (bound || [bounds.preferred, bounds.preferred === 'end' ? 'begin' : 'end'].find(it => isFinite(bounds[it].value)))
+    const bases = this._toQueries({ where, includeDeleted })
+    let queries = bases
+
+    if (side && (!bounds[side].nulls || this._nullPeriodBounds)) {
+      const { op, value, nulls } = bounds[side]
+      const path = `${field}._${side}`
+
+      if (isFinite(value)) queries = bases.map(it => it.where(path, op, this._toPeriodBound(field, range, value)))
+      else if ((op === '<=') !== (value > 0)) queries = [] // unbounded in the restrictive direction, so only unbounded periods can pass
+      if (nulls && queries !== bases) queries = [...queries, ...bases.map(it => it.where(path, '==', null))]
+    }
+
+    return this._tryAsync(async () => {
+      const unitOfWork_ = this._unitOfWork({ unitOfWork })
+      const snapshots = _.uniqBy(_.flatMap(await Promise.all(queries.map(it => unitOfWork_.get(it))), it => it.docs), it => it.id)
+
+      return this._allLoaded(_.sortBy(snapshots
+        .map(snapshot => ({ snapshot, period: snapshot.get(field) }))
+        .filter(({ period }) => period && typeof period === 'object')
+        .map(it => ({ ...it, bounds: this._toPeriodBounds(it.period) }))
+        .filter(({ bounds }) => test(bounds)), [it => it.bounds.begin, it => it.snapshot.id])
+        .map(({ snapshot }) => this._fromSnapshot(snapshot)), { unitOfWork })
+    })
+  }
+
+  /**
+   * Returns the bounds in milliseconds of the given period, period document or instant, where unbounded is infinite.
+   *
+   * @return {{begin: number, end: number}}
+   * @private
+   */
+  _toPeriodBounds (it) {
+    if (this._isPeriod(it) || (it && !moment.isMoment(it) && !(it instanceof Date) && !this._isTimestampLike(it, true) && ('_begin' in it || '_end' in it || ['Period', 'DatePeriod'].includes(it._type)))) {
+      return {
+        begin: it._begin ? this._toMoment(it._begin).valueOf() : -Infinity,
+        end: it._end ? this._toMoment(it._end).valueOf() : Infinity
+      }
+    }
+
+    const instant = this._toMoment(it)
+    if (!instant) throw new IllegalArgumentError({ msg: 'range must be a Period, DatePeriod or instant' })
+    return { begin: instant.valueOf(), end: instant.valueOf() }
+  }
+
+  /**
+   * Returns the given bound in milliseconds in the form in which periods at the given field are stored: a calendar date if they're {@link _zonedPeriods} {@link DatePeriod}s, else a `Timestamp`.
+   *
+   * @private
+   */
+  _toPeriodBound (field, range, millis) {
+    const dated = this._zonedPeriods && (range instanceof DatePeriod || this._schemaFieldTypeOf(field) === 'DatePeriod')
+    return dated ? moment.utc(millis).format(CALENDAR_DATE_FORMAT) : Timestamp.fromMillis(millis)
+  }
+
+  _schemaFieldTypeOf (field) {
+    const schema = this._schema
+    if (!schema) return undefined
+
+    const { getterPrefix } = this._schemaPrefixes(schema)
+    const key = Object.keys(schema.fields).find(it => `${getterPrefix}${it}` === field)
+    return key && this._toFieldSpec(schema.fields[key]).type
+  }
+
+  /**
+   * Returns a page of entities matching the given criteria along with a continuation token to use to get the next page.
+   * The returned token is an opaque, URL-safe string that can be handed to clients & given back later, or `null` if there are no more pages.
+   * The document id is always appended to the given criteria's `orderBy` so that pages are stable.
+   * Because Firestore requires queries with range criteria to be ordered by the range field first, it's prepended to the `orderBy` if need be.
+   * The token only identifies the last document of the page, whose current values position the next page, so it fails with an {@link IllegalArgumentError} if that document has since been deleted, unless the pages are in document id order.
+   * Any `limit` in the given criteria is ignored in favor of the page size.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {number} [pageSize] The maximum number of entities in the page; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @param {string} [token] The token returned with the previous page, if any.
+   * @return {Promise<{items: [*], token: string|null}>}
+   */
+  async findPage (criteria, { pageSize = DEFAULT_PAGE_SIZE, token } = {}) {
+    const page = await this._findSnapshotPage(criteria, { pageSize, token })
+
+    return {
+      items: await this._allLoaded(page.snapshots.map(it => this._fromSnapshot(it))),
+      token: page.token
+    }
+  }
+
+  /**
+   * Returns a page of `DocumentSnapshot`s as described in {@link findPage}.
+   *
+   * @return {Promise<{snapshots: [DocumentSnapshot], token: string|null}>}
+   * @private
+   */
+  async _findSnapshotPage (criteria, { pageSize = DEFAULT_PAGE_SIZE, token } = {}) {
+    criteria = criteria || {}
+    const orderBy = [...this._toPagingOrderByClauses(criteria), [FieldPath.documentId()]]
+
+    return this._tryAsync(async () => {
+      const paged = { ...criteria, orderBy, limit: pageSize + 1 }
+      const queries = this._toQueries(paged)
+      const cursor = token && await this._fromPageToken(token, orderBy)
+
+      const snapshots = await this._getAll(cursor ? queries.map(it => it.startAfter(cursor)) : queries, paged, this._unitOfWork())
+      const more = snapshots.length > pageSize
+      if (more) snapshots.length = pageSize
+
+      return {
+        snapshots,
+        token: more ? this._toPageToken(snapshots[snapshots.length - 1].id) : null
+      }
+    })
+  }
+
+  /**
+   * Returns the given criteria's `orderBy` clauses, led by the field of their range criteria, if any, as Firestore requires.
+   *
+   * @private
+   */
+  _toPagingOrderByClauses ({ where, orderBy }) {
+    const orders = this._toOrderByClauses(orderBy)
+    const range = this._toWhereClauses(where).find(([path, op]) => RANGE_OPERATORS.includes(op))
+    if (!range || (orders.length && _.isEqual(orders[0][0], range[0]))) return orders
+
+    return [[range[0], 'asc'], ...orders.filter(([path]) => !_.isEqual(path, range[0]))]
+  }
+
+  /**
+   * Asynchronously iterates all entities matching the given criteria, retrieving them page by page via {@link findPage}.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {number} [pageSize] The number of entities to retrieve per page; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {AsyncIterableIterator<*>}
+   */
+  async * iterate (criteria, { pageSize } = {}) {
+    let token
+    do {
+      const page = await this.findPage(criteria, { pageSize, token })
+      yield * page.items
+      token = page.token
+    } while (token)
+  }
+
+  /**
+   * Returns the number of entities matching the given criteria.
+   * Like the other aggregations, this uses a Firestore aggregation query if the Firestore SDK in use supports it, otherwise it reads the matching documents page by page, as {@link iterate} does, without keeping them.
+   *
+   * @param {object} [criteria] Criteria as described in {@link findAll}, of which only `where` & `includeDeleted` apply.
+   * @param {number} [pageSize] The number of documents to read per page when not using an aggregation query; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {Promise<number>}
+   */
+  async count (criteria, { pageSize } = {}) {
+    return this._aggregate('count', undefined, criteria, { pageSize })
+  }
+
+  /**
+   * Returns the sum of the numeric values at the given document field path of the entities matching the given criteria, as described in {@link count}.
+   * As in Firestore, values that aren't numbers are ignored, & the sum of none is `0`.
+   *
+   * @param {string} field The document field path, for example `'_quantity'`.
+   * @param {object} [criteria] Criteria as described in {@link count}.
+   * @param {object} [options] Options as described in {@link count}.
+   * @return {Promise<number>}
+   */
+  async sum (field, criteria, options) {
+    return this._aggregate('sum', field, criteria, options)
+  }
+
+  /**
+   * Returns the average of the numeric values at the given document field path of the entities matching the given criteria, as described in {@link sum}, or `null` if there are none.
+   *
+   * @param {string} field The document field path.
+   * @param {object} [criteria] Criteria as described in {@link count}.
+   * @param {object} [options] Options as described in {@link count}.
+   * @return {Promise<number|null>}
+   */
+  async average (field, criteria, options) {
+    return this._aggregate('average', field, criteria, options)
+  }
+
+  /**
+   * Returns the number of entities matching the given criteria per distinct stored value at the given document field path, as `{ value, count }` objects in descending order of count, then in order of appearance.
+   * Values are compared as stored, so enums are grouped by name & `Timestamp`s by instant, & entities without the field are counted under `undefined`.
+   * Firestore has no grouping aggregation, so this always reads the matching documents page by page, as described in {@link count}.
+   *
+   * @param {string} field The document field path.
+   * @param {object} [criteria] Criteria as described in {@link count}.
+   * @param {object} [options] Options as described in {@link count}.
+   * @return {Promise<[{value: *, count: number}]>}
+   */
+  async groupBy (field, criteria, options) {
+    const groups = new Map()
+
+    await this._forEachSnapshotPage(criteria, options, snapshots => snapshots.forEach(snapshot => {
+      const value = snapshot.get(field)
+      const key = value === undefined ? '' : JSON.stringify(this._toExportValue(value))
+
+      const group = groups.get(key) || { value, count: 0 }
+      group.count++
+      groups.set(key, group)
+    }))
+
+    return _.sortBy([...groups.values()], it => -it.count)
+  }
+
+  /**
+   * Computes the given aggregation, one of `'count'`, `'sum'` & `'average'`, as described in {@link count}.
+   *
+   * @private
+   */
+  async _aggregate (op, field, criteria, options) {
+    const { where, includeDeleted } = criteria || {}
+
+    // the queries are disjoint, so counts & sums, but not averages, can be added up
+    const queries = this._toQueries({ where, includeDeleted })
+    if (op === 'count' && queries.every(it => typeof it.count === 'function')) {
+      return this._tryAsync(async () => _.sum(await Promise.all(queries.map(async it => (await it.count().get()).data().count))))
+    }
+    if (AggregateField && queries.every(it => typeof it.aggregate === 'function') && (op !== 'average' || queries.length === 1)) {
+      return this._tryAsync(async () => _.sum(await Promise.all(queries.map(async it => (await it.aggregate({ value: AggregateField[op](field) }).get()).data().value))))
+    }
+
+    let count = 0
+    let sum = 0
+    await this._forEachSnapshotPage(criteria, options, snapshots => {
+      if (op === 'count') {
+        count += snapshots.length
+        return
+      }
+
+      snapshots.map(it => it.get(field)).filter(it => typeof it === 'number' && !isNaN(it)).forEach(it => {
+        count++
+        sum += it
+      })
+    })
+
+    if (op === 'count') return count
+    if (op === 'sum') return sum
+    return count ? sum / count : null
+  }
+
+  /**
+   * Calls the given function with each page of `DocumentSnapshot`s matching the given criteria, of which only `where` & `includeDeleted` apply.
+   *
+   * @private
+   */
+  async _forEachSnapshotPage (criteria, { pageSize = DEFAULT_PAGE_SIZE } = {}, fn) {
+    const { where, includeDeleted } = criteria || {}
+
+    let token
+    do {
+      const page = await this._findSnapshotPage({ where, includeDeleted }, { pageSize, token })
+      await fn(page.snapshots)
+      token = page.token
+    } while (token)
+  }
+
+  /**
+   * Listens for changes to the entity with the given id.
+   * The given Node.js-style callback is called with an error, translated via {@link _translateError}, or a change of the form `{ type, id, entity }`,
+   * where `type` is `'added'` when the entity comes into existence (including when the listener is first attached to an existing entity),
+   * `'modified'` when it's changed & `'removed'` when it's deleted, in which case `entity` is the entity as it last was.
+   * If this repository {@link _softDeletes}, soft-deleting & restoring are reported as removal & addition, respectively.
+   *
+   * @param {string} id
+   * @param {function(Error, {type: string, id: string, entity: *})} callback
+   * @return {function()} A function that stops listening when called.
+   */
+  watchById (id, callback) {
+    let previous = null
+
+    return this._db.doc(this._docpath(id)).onSnapshot(snapshot => {
+      let entity
+      try {
+        entity = snapshot.exists && this._isTenantOwned(snapshot) && !this._isSoftDeleted(snapshot) ? this._fromSnapshot(snapshot) : null
+      } catch (e) {
+        return callback(this._translateError(e))
+      }
+
+      let type
+      if (entity) type = previous ? 'modified' : 'added'
+      else if (previous) type = 'removed'
+
+      const it = entity || previous
+      previous = entity
+      if (type) callback(null, { type, id, entity: it })
+    }, e => callback(this._translateError(e)))
+  }
+
+  /**
+   * Listens for changes to the entities matching the given criteria.
+   * The given Node.js-style callback is called as described in {@link watchById} for each change reported by Firestore.
+   * When the listener is first attached, every matching entity is reported as `'added'`.
+   * An entity is reported as `'removed'` when it stops matching the criteria as well as when it's deleted.
+   * Given `in` criteria, there is a listener per value, so an entity whose value changes from one of them to another is reported as both `'removed'` & `'added'`, in either order.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {function(Error, {type: string, id: string, entity: *})} callback
+   * @return {function()} A function that stops listening when called.
+   */
+  watch (criteria, callback) {
+    const unsubscribes = this._toQueries(criteria).map(query => query.onSnapshot(snapshot => {
+      snapshot.docChanges().forEach(change => {
+        let entity
+        try {
+          entity = this._fromSnapshot(change.doc)
+        } catch (e) {
+          return callback(this._translateError(e))
+        }
+        callback(null, { type: change.type, id: change.doc.id, entity })
+      })
+    }, e => callback(this._translateError(e))))
+
+    return () => unsubscribes.forEach(it => it())
+  }
+
+  /**
+   * Encodes the id of the last document in a page into an opaque, URL-safe continuation token.
+   *
+   * @param {string} id
+   * @return {string}
+   * @private
+   */
+  _toPageToken (id) {
+    return Buffer.from(id).toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '')
+  }
+
+  /**
+   * Returns the cursor after which the page following the one whose token is given begins, given the order of the pages:
+   * the id of its last document if in document id order, else a snapshot of it.
+   *
+   * @return {Promise<string|DocumentSnapshot>}
+   * @throws {IllegalArgumentError} If the token is malformed or, unless in document id order, its document no longer exists.
+   * @private
+   */
+  async _fromPageToken (token, orderBy) {
+    const id = typeof token === 'string' ? Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString() : ''
+    if (!id || id.includes('/') || this._toPageToken(id) !== token) throw new IllegalArgumentError({ msg: `token ${token}` })
+    if (orderBy.length === 1) return id
+
+    const snapshot = await this._collection.doc(id).get()
+    if (!snapshot.exists) throw new IllegalArgumentError({ msg: `token ${token} of deleted document ${id}` })
+    return snapshot
+  }
+
+  /**
+   * Converts the given criteria into Firestore `Query`s whose results, taken together, are the entities matching the criteria.
+   * Firestore doesn't support `in` filters, so each `in` criterion is split into one `==` query per distinct value, so that the queries are disjoint.
+   * Given several `in` criteria, there is a query per combination of their values, & none if any of them has no values.
+   *
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {Query} [query] The query to which to add the criteria; defaults to this repository's collection.
+   * @return {[Query]}
+   * @private
+   */
+  _toQueries ({ where, orderBy, limit, includeDeleted } = {}, query = this._collection) {
+    this._requireTenant()
+    if (this._tenancy === 'field') query = query.where(TENANT_ID, '==', this._tenant)
+    if (this._softDeletes && !includeDeleted) query = query.where(DELETED_AT, '==', null)
+
+    const queries = this._toWhereClauses(where)
+      .map(([path, op, value]) => this._toEncryptedWhereClause(path, op, this._toCriterionValue(value)))
+      .reduce((accum, [path, op, value]) => op === 'in'
+        ? _.flatMap(accum, it => _.uniqWith(value, _.isEqual).map(element => it.where(path, '==', element)))
+        : accum.map(it => it.where(path, op, value)), [query])
+
+    return queries.map(it => {
+      it = this._toOrderByClauses(orderBy).reduce((accum, [path, direction]) => accum.orderBy(path, direction), it)
+      return limit ? it.limit(limit) : it
+    })
+  }
+
+  /**
+   * Gets the `DocumentSnapshot`s matching the given queries as returned by {@link _toQueries} for the given criteria.
+   * The results of several queries are merged in the order that Firestore would have returned them in, had it run a single query, up to the criteria's `limit`.
+   *
+   * @param {[Query]} queries
+   * @param {object} [criteria] The criteria as described in {@link findAll}.
+   * @param {UnitOfWork} unitOfWork
+   * @return {Promise<[DocumentSnapshot]>}
+   * @private
+   */
+  async _getAll (queries, { where, orderBy, limit } = {}, unitOfWork) {
+    const results = await Promise.all(queries.map(it => unitOfWork.get(it)))
+    if (results.length === 1) return results[0].docs
+
+    const snapshots = _.flatMap(results, it => it.docs).sort(this._snapshotComparator(where, orderBy))
+    return limit ? snapshots.slice(0, limit) : snapshots
+  }
+
+  /**
+   * Returns a function that compares `DocumentSnapshot`s the way Firestore orders the results of a query with the given criteria:
+   * by the `orderBy` fields, or by the field of any range criterion if there are none, then by document id.
+   *
+   * @private
+   */
+  _snapshotComparator (where, orderBy) {
+    const orders = this._toOrderByClauses(orderBy)
+    if (!orders.length) {
+      const [range] = this._toWhereClauses(where).filter(([path, op]) => RANGE_OPERATORS.includes(op))
+      if (range) orders.push([range[0], 'asc'])
+    }
+    if (!orders.length || !this._isDocumentId(orders[orders.length - 1][0])) {
+      orders.push([FieldPath.documentId(), orders.length ? orders[orders.length - 1][1] : 'asc'])
+    }
+
+    const valueOf = (snapshot, path) => this._isDocumentId(path) ? snapshot.ref : snapshot.get(path)
+
+    return (a, b) => {
+      for (const [path, direction] of orders) {
+        const comparison = compareValues(valueOf(a, path), valueOf(b, path))
+        if (comparison) return direction === 'desc' ? -comparison : comparison
+      }
+      return 0
+    }
+  }
+
+  _isDocumentId (path) {
+    return path === '__name__' || (path instanceof FieldPath && path.isEqual(FieldPath.documentId()))
+  }
+
+  _toWhereClauses (where) {
+    if (!where) return []
+
+    const clauses = Array.isArray(where)
+      ? where
+      : Object.keys(where).reduce((accum, path) => {
+        const value = where[path]
+        if (this._isOperatorObject(value)) {
+          Object.keys(value).forEach(op => accum.push([path, op, value[op]]))
+        } else {
+          accum.push([path, '==', value])
+        }
+        return accum
+      }, [])
+
+    clauses.forEach(([path, op, value]) => {
+      if (!CRITERIA_OPERATORS.includes(op)) throw new IllegalArgumentError({ msg: `operator ${op} on ${path}` })
+      if (op === 'in' && !Array.isArray(value)) throw new IllegalArgumentError({ msg: `operator in on ${path} requires an array` })
+    })
+
+    return clauses
+  }
+
+  _isOperatorObject (it) {
+    if (!_.isPlainObject(it)) return false
+
+    const keys = Object.keys(it)
+    return keys.length > 0 && keys.every(k => CRITERIA_OPERATORS.includes(k))
+  }
+
+  _toOrderByClauses (orderBy) {
+    if (!orderBy) return []
+    if (!Array.isArray(orderBy)) orderBy = [orderBy]
+
+    return orderBy.map(it => Array.isArray(it) ? it : [it, 'asc'])
+  }
+
+  /**
+   * Converts the given entity-level value into the value that would be stored for it, using the same conversions as {@link _toDocument}.
+   *
+   * @param value
+   * @return {*}
+   * @private
+   */
+  _toCriterionValue (value) {
+    return this._toFirestoreDocument(this._toTree(value))
+  }
+
+  /**
+   * Returns the entity for the given `DocumentSnapshot`, or `null` if the snapshot's document doesn't exist.
+   * The snapshot's document is decrypted via {@link _decryptDocument} & upgraded via {@link _migrate} before it's given to {@link _fromDocument}.
+   * If this repository is {@link _versioned}, the document's `_version`, `_createdAt` & `_updatedAt` are set on the entity, so {@link _fromDocument} needn't map them.
+   *
+   * @param {DocumentSnapshot} snapshot
+   * @return {*}
+   * @private
+   */
+  _fromSnapshot (snapshot) {
+    if (!snapshot.exists) return null
+
+    const plain = this._migrate(this._decryptDocument(snapshot.data(), snapshot.ref.path))
+    const entity = this._fromDocument({ plain, setterPrefix: '_', getterPrefix: '_' })
+
+    if (this._versioned && entity) {
+      entity[VERSION] = plain[VERSION]
+      entity[CREATED_AT] = this._toMoment(plain[CREATED_AT])
+      entity[UPDATED_AT] = this._toMoment(plain[UPDATED_AT])
+    }
+
+    return entity
+  }
+
+  _docpath (...it) {
+    this._requireTenant()
+    if (this._tenancy && it.some(segment => String(segment).includes('/'))) throw new IllegalArgumentError({ msg: `id ${it.join('/')}` })
+    return [this._path, ...it].join('/')
+  }
+
+  /**
+   * The customizer function to use when {@link _toTree} calls lodash's `cloneDeepWith` function.
+   *
+   * This default customizer returns a function that only
+   * <ul>
+   * <li>converts values that one of {@link _converters} converts, via its `toFirestore` function,</li>
+   * <li>converts {@link EntityReference}s to their `DocumentReference`s, leaving `DocumentReference`s unchanged, &</li>
+   * <li>converts {@link BlobReference}s to their names.</li>
+   * </ul>
+   * If you need to convert another type of value, prefer registering a converter in {@link _registerConverters}; if you need more sophisticated behavior, either override this method or override {@link _toTree}.
+   *
+   * @returns {*}
+   * @private
+   */
+  get _toTreeCustomizer () {
+    return it => {
+      // remember: only return something if you're converting it!
+      // see https://github.com/lodash/lodash/issues/2846
+
+      const converter = this._converters.of(it)
+      if (converter) return converter.toFirestore(it)
+      if (this._isDocumentReference(it)) return it
+      if (it instanceof EntityReference) return it.ref
+      if (it instanceof BlobReference) return it.name
+    }
+  }
+
+  /**
+   * The {@link ConverterRegistry} of this repository, created on first use via {@link _registerConverters}.
+   *
+   * @return {ConverterRegistry}
+   * @private
+   */
+  get _converters () {
+    return this._converterRegistry || (this._converterRegistry = this._registerConverters(new ConverterRegistry()))
+  }
+
+  /**
+   * Registers this repository's converters in the given {@link ConverterRegistry} & returns it.
+   *
+   * This default implementation registers the built-in converters, whose names are also schema field types:
+   * <ul>
+   * <li>`Timestamp`, which stores `Timestamp`s unchanged,</li>
+   * <li>`Date`, which stores `Date`s as `Timestamp`s,</li>
+   * <li>`moment`, which stores `moment`s as `Timestamp`s & loads them as UTC `moment`s,</li>
+   * <li>`enum`, which stores `enumify` `Enum` instances as their symbolic names & loads them via the field spec's `enumeration`, &</li>
+   * <li>`Period` & `DatePeriod`, which store periods via {@link _toPeriodDocument}, before their `moment`s lose their zones, & load them via {@link _fromPeriodDocument}.</li>
+   * </ul>
+   * To add a type, override this method, call `super`'s & register the type's converter on the result, for example:
+   * <pre>
+   * _registerConverters (converters) {
+   *   return super._registerConverters(converters)
+   *     .register('Decimal', { type: Decimal, toFirestore: it => it.toString(), fromFirestore: it => new Decimal(it) })
+   * }
+   * </pre>
+   * Since stored values may be converted again, a converter's `is` should only match values that its `toFirestore` returns if it returns them unchanged.
+   *
+   * @param {ConverterRegistry} converters
+   * @return {ConverterRegistry}
+   * @private
+   */
+  _registerConverters (converters) {
+    return converters
+      .register('Timestamp', {
+        type: Timestamp,
+        fromFirestore: it => this._isTimestampLike(it, false) ? this._fromTimestampDocument(it) : this._toTimestamp(it)
+      })
+      .register('Date', {
+        type: Date,
+        toFirestore: it => Timestamp.fromDate(it),
+        fromFirestore: it => this._toMoment(it).toDate()
+      })
+      .register('moment', {
+        is: it => moment.isMoment(it),
+        toFirestore: it => Timestamp.fromMillis(it.valueOf()),
+        fromFirestore: it => this._toMoment(it)
+      })
+      .register('enum', {
+        is: it => this._isEnumLike(it),
+        toFirestore: it => it.name,
+        fromFirestore: (it, { enumeration }) => enumeration.of(it)
+      })
+      .register('Period', {
+        type: Period,
+        toFirestore: it => this._toPeriodDocument(it),
+        fromFirestore: it => this._fromPeriodDocument({ plain: it })
+      })
+      .register('DatePeriod', {
+        type: DatePeriod,
+        toFirestore: it => this._toPeriodDocument(it),
+        fromFirestore: it => this._fromDatePeriodDocument({ plain: it })
+      })
+  }
+
+  _isPeriod (it) {
+    return it instanceof Period || it instanceof DatePeriod
+  }
+
+  _isDocumentReference (it) {
+    return it instanceof DocumentReference || it?.constructor?.name === 'DocumentReference'
+  }
+
+  _isEnumLike (it) {
+    return it instanceof Enum || (Array.isArray(it?.enumValues) && typeof it?.enumValues[0] === 'object' && it?.name)
+  }
+
+  /**
+   * Returns the given argument as a Google Firestore `Timestamp`.
+   * See https://firebase.google.com/docs/reference/js/firebase.firestore.Timestamp for more info.
+   *
+   * @param it {number|Timestamp|Date|moment}
+   * @return {Timestamp}
+   * @private
+   */
+  _toTimestamp (it) {
+    if (it instanceof Timestamp) it = it.toMillis()
+    else if (moment.isMoment(it)) it = it.valueOf()
+    else if (it instanceof Date) it = it.getTime()
+
+    try {
+      return Timestamp.fromMillis(it)
+    } catch (e) {
+      throw new IllegalArgumentError({ msg: it })
+    }
+  }
+
+  /**
+   * Returns the given argument as a UTC `moment` instance.
+   * See http://momentjs.com/docs/#/parsing/ for supported argument types.
+   * This method has explicit support for Google Firestore `Timestamp` types.
+   * If you don't need `Timestamp` support, just use `moment(it).utc()`, because that's all this method does after
+   * converting the `Timestamp` to milliseconds.
+   * See https://firebase.google.com/docs/reference/js/firebase.firestore.Timestamp for more info.
+   *
+   * @param it {*}
+   * @returns {moment}
+   * @private
+   */
+  _toMoment (it) {
+    if (!it) return it
+    if (this._isTimestampLike(it, false)) it = this._fromTimestampDocument(it)
+    if (it instanceof Timestamp) it = it.toMillis()
+
+    const m = moment.utc(it)
+    if (!m.isValid()) throw new IllegalArgumentError({ msg: it })
+
+    return m
+  }
+
+  _fromTimestampDocument (plain) {
+    return plain && new Timestamp(plain._seconds, plain._nanoseconds)
+  }
+
+  _isTimestampLike (it, valueIfInstanceOf) {
+    if (it instanceof Timestamp) return valueIfInstanceOf
+    return typeof it?._seconds === 'number' && typeof it?._nanoseconds === 'number'
+  }
+
+  /**
+   * Whether this repository stores periods with their time zones.
+   * When `true`, {@link _toPeriodDocument} stores the IANA name of a {@link Period}'s {@link Period#zone} as `_zone` & a {@link DatePeriod}'s begin & end as `YYYY-MM-DD` calendar dates instead of instants, so that they don't drift when read in other zones.
+   * Periods are read back in their zones regardless of this setting, & documents stored without it can still be read.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _zonedPeriods () {
+    return false
+  }
+
+  /**
+   * Whether this repository stores a period's missing begin or end as `null` rather than omitting it.
+   * Firestore can't query for missing fields, so without this, {@link findOverlapping} & {@link findContaining} read every entity matching the other criteria & compare both bounds in memory.
+   * When `true`, Firestore compares one of the bounds, but documents stored beforehand without `null` bounds aren't found until they're rewritten,
+   * for example by a migration (see {@link _migrations}) that sets their missing bounds to `null`.
+   * Override this getter to return `true` to opt in.
+   *
+   * @return {boolean}
+   * @private
+   */
+  get _nullPeriodBounds () {
+    return false
+  }
+
+  /**
+   * Returns a new {@link Period} instance from the given period document, which uses {@link Timestamp}s, or calendar dates in the case of zoned {@link DatePeriod}s.
+   * If the document has a `_zone`, it's given to the period as its {@link Period#zone}.
+   *
+   * @param plain
+   * @param context
+   * @return {Period}
+   * @private
+   */
+  _fromPeriodDocument ({ plain, entity = new Period(), context = {}, setterPrefix = '' } = {}) {
+    if (!plain) return entity
+
+    entity = this._mapProps({
+      keys: ['begin', 'end'],
+      from: plain,
+      to: entity,
+      setterPrefix,
+      getterPrefix: '_',
+      mappers: this._toMomentMapper()
+    })
+
+    if (plain._zone && entity instanceof Period) entity.zone = plain._zone
+
+    return entity
+  }
+
+  /**
+   * Returns a new {@link DatePeriod} instance from the given period document as described in {@link _fromPeriodDocument}.
+   *
+   * @param plain
+   * @param context
+   * @return {DatePeriod}
+   * @private
+   */
+  _fromDatePeriodDocument ({ plain, entity = new DatePeriod(), context = {}, setterPrefix = '' } = {}) {
+    return this._fromPeriodDocument({ plain, entity, context, setterPrefix })
+  }
+
+  /**
+   * Returns a plain JavaScript object of the period with {@link Timestamp}s instead of `moment`s.
+   * If this repository has {@link _zonedPeriods}, a {@link DatePeriod}'s `moment`s are stored as `YYYY-MM-DD` calendar dates instead, & a {@link Period}'s {@link Period#zone}, if any, as `_zone`.
+   * A missing begin or end is omitted, unless this repository has {@link _nullPeriodBounds}, in which case it's stored as `null`.
+   *
+   * @param period
+   * @param context
+   * @return {{_type: string, _begin: Timestamp|string, _end: Timestamp|string, _zone: string}}
+   * @private
+   */
+  _toPeriodDocument (period, context) {
+    const result = {
+      _type: period instanceof DatePeriod ? 'DatePeriod' : 'Period'
+    }
+    const dated = this._zonedPeriods && result._type === 'DatePeriod'
+    const convert = it => dated ? this._toMoment(it).format(CALENDAR_DATE_FORMAT) : this._toTimestamp(it)
+
+    if (period._begin) {
+      result._begin = convert(period._begin)
+    } else if (this._nullPeriodBounds) {
+      result._begin = null
+    }
+    if (period._end) {
+      result._end = convert(period._end)
+    } else if (this._nullPeriodBounds) {
+      result._end = null
+    }
+
+    const zone = this._zonedPeriods && !dated && period.zone
+    if (zone) result._zone = zone
+
+    return result
+  }
+
+  /**
+   * Converts the given entity graph into a tree structure.
+   * This method is called by {@link _toDocument}.
+   *
+   * Subclasses must override this if the root entity of this repository type forms a graph.
+   * If the root entity only forms a tree, this method can probably be used.
+   * This default implementation uses {@link _toTreeCustomizer}.
+   *
+   * @param entity
+   * @returns {any}
+   * @private
+   * @see _toTreeCustomizer
+   * @see _toDocument
+   */
+  _toTree (entity) {
+    return _.cloneDeepWith(entity, this._toTreeCustomizer)
+  }
+
+  /**
+   * Converts the given entity into a plain, JavaScript object suitable for persistence into Firestore.
+   * Values that one of {@link _converters} converts are converted via its `toFirestore` function, so `Timestamp`s are preserved unchanged.
+   *
+   * @param it
+   * @return {*}
+   */
+  _toFirestoreDocument (it) {
+    if (typeof it === 'function') throw new IllegalArgumentError({ msg: `functions cannot be converted to a Firestore document` })
+    const converter = this._converters.of(it)
+    if (converter) return converter.toFirestore(it)
+    if (this._isDocumentReference(it)) return it
+    if (Array.isArray(it)) return it.map(it => this._toFirestoreDocument(it))
+
+    if (it && typeof it === 'object') {
+      return Object.keys(it)
+        .filter(k => (typeof it[k] !== 'function') && (it[k] !== undefined))
+        .map(k => ({ [k]: this._toFirestoreDocument(it[k]) }))
+        .reduce((accum, next) => Object.assign(accum, next), {})
+    }
+
+    return it
+  }
+
+  /**
+   * Extracts the persistable state of the given entity into a plain JavaScript tree structure, representing the document that will be stored.
+   * This method calls {@link _toTree} before extracting the persistable state.
+   *
+   * @param entity
+   * @returns {*}
+   * @private
+   * @see _toTree
+   */
+  _toDocument (entity) {
+    const schema = this._schema
+    const doc = schema ? this._toSchemaDocument({ entity, schema }) : this._toFirestoreDocument(this._toTree(entity))
+    if (this._schemaVersion) doc[SCHEMA_VERSION] = this._schemaVersion
+    return doc
+  }
+
+  /**
+   * The field-level encryption of this repository's documents, or `null`, the default, if there is none.
+   * Override this getter to return `{ keys, fields }`, where `keys` is a key provider as described in {@link FieldCipher} & `fields` is either an array of the document field paths to encrypt or an object whose keys are the paths & whose values are `true` or `{ deterministic: true }`.
+   *
+   * Each encrypted value is stored with AES-256-GCM as `{ _type: 'Encrypted', _keyId, _value }`, where `_keyId` identifies the key used, so that keys can be rotated; see {@link reencryptAll}.
+   * Each value is authenticated along with its field path & for randomly encrypted fields its document path too, so that a stored value can't be passed off as that of another field or document;
+   * randomly encrypted documents thus only decrypt at the path they were written to, & a field's values must be re-encrypted, for example by rewriting them, if it's switched between random & deterministic encryption.
+   * `null`s aren't encrypted, & paths may only pass through maps, not arrays.
+   * Deterministically encrypted fields may be given in `==` & `in` criteria, which only match values encrypted with the current key; other fields can't be queried.
+   *
+   * @return {{keys: object, fields: [string]|object}|null}
+   * @private
+   */
+  get _encryptionOptions () {
+    return null
+  }
+
+  /**
+   * The normalized encrypted fields of {@link _encryptionOptions}, as `{ deterministic }` by path, or `null` if there are none.
+   *
+   * @private
+   */
+  get _encryptedFields () {
+    const fields = this._encryptionOptions?.fields
+    if (!fields) return null
+
+    return Array.isArray(fields)
+      ? _.zipObject(fields, fields.map(() => ({ deterministic: false })))
+      : _.mapValues(fields, it => ({ deterministic: Boolean(it?.deterministic) }))
+  }
+
+  get _cipher () {
+    return this._fieldCipher || (this._fieldCipher = new FieldCipher(this._encryptionOptions.keys))
+  }
+
+  /**
+   * Encrypts the {@link _encryptedFields} of the given document, to be stored at the given path, in place & returns it.
+   * Values are encrypted as they would be exported, via {@link _toExportValue}, so that their types survive.
+   *
+   * @param {object} doc
+   * @param {string} docpath
+   * @return {object}
+   * @throws {EncryptionError} If the current key is missing or invalid.
+   * @private
+   */
+  _encryptDocument (doc, docpath) {
+    const fields = this._encryptedFields
+    if (!fields) return doc
+
+    Object.keys(fields).forEach(path => {
+      const value = _.get(doc, path)
+      if (value !== undefined && value !== null && !this._isEncrypted(value)) _.set(doc, path, this._encryptValue(value, path, fields[path], docpath))
+    })
+
+    return doc
+  }
+
+  _encryptValue (value, path, { deterministic }, docpath) {
+    const aad = this._encryptionContextOf(path, { deterministic }, docpath)
+    const { keyId, value: encrypted } = this._cipher.encrypt(JSON.stringify(this._toExportValue(value)), { deterministic, aad })
+    return { _type: ENCRYPTED, _keyId: keyId, _value: encrypted }
+  }
+
+  /**
+   * Returns the additional authenticated data of the values of the encrypted field with the given path in the document with the given path, as described in {@link _encryptionOptions}.
+   * Deterministically encrypted values leave out the document path, so that they can be compared across documents.
+   *
+   * @private
+   */
+  _encryptionContextOf (path, { deterministic }, docpath) {
+    return JSON.stringify(deterministic ? [path] : [docpath, path])
+  }
+
+  /**
+   * Decrypts the {@link _encryptedFields} of the given document, stored at the given path, in place & returns it.
+   * Values that aren't encrypted, for example because they were stored before their field was, are left as they are.
+   *
+   * @param {object} plain
+   * @param {string} docpath
+   * @return {object}
+   * @throws {EncryptionError} If a value's key is missing or invalid, or the value doesn't authenticate with it at the given path.
+   * @private
+   */
+  _decryptDocument (plain, docpath) {
+    const fields = this._encryptedFields
+    if (!fields || !plain) return plain
+
+    Object.keys(fields).forEach(path => {
+      const value = _.get(plain, path)
+      if (!this._isEncrypted(value)) return
+
+      const aad = this._encryptionContextOf(path, fields[path], docpath)
+      _.set(plain, path, this._fromExportValue(JSON.parse(this._cipher.decrypt({ keyId: value._keyId, value: value._value }, { aad }))))
+    })
+
+    return plain
+  }
+
+  _isEncrypted (it) {
+    return it?._type === ENCRYPTED && typeof it._keyId === 'string'
+  }
+
+  /**
+   * Returns the given where clause, whose value has been converted via {@link _toCriterionValue}, as it must be given to Firestore: unchanged, unless its path is one of {@link _encryptedFields}.
+   * Clauses on deterministically encrypted fields compare the stored ciphertexts with those of the given values under the current key.
+   *
+   * @return {[string, string, *]}
+   * @throws {IllegalArgumentError} If the path is of a randomly encrypted field, or the operator isn't `==` or `in`.
+   * @private
+   */
+  _toEncryptedWhereClause (path, op, value) {
+    const field = this._encryptedFields?.[path]
+    if (!field || value === null) return [path, op, value]
+
+    if (!field.deterministic || !['==', 'in'].includes(op)) {
+      throw new IllegalArgumentError({ msg: `encrypted field ${path} can only be compared by == or in, & only if deterministic` })
+    }
+
+    const encrypt = it => this._encryptValue(it, path, field)._value
+    return [`${path}._value`, op, op === 'in' ? value.map(encrypt) : encrypt(value)]
+  }
+
+  /**
+   * Re-encrypts, with the current key, the values of the {@link _encryptedFields} of every document, including soft-deleted ones, that were encrypted with other keys, or not at all, page by page.
+   * Run this after making a new key current, before removing the old key from the key provider.
+   *
+   * @param {number} [batchSize] The number of documents to scan per page & at most rewrite per transaction; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {Promise<{scanned: number, reencrypted: number}>}
+   */
+  async reencryptAll ({ batchSize = DEFAULT_PAGE_SIZE } = {}) {
+    const fields = this._encryptedFields
+    if (!fields) return { scanned: 0, reencrypted: 0 }
+
+    const keyId = this._encryptionOptions.keys.currentKeyId()
+    const isStale = it => it.exists && Object.keys(fields).some(path => {
+      const value = it.get(path)
+      return value !== undefined && value !== null && (!this._isEncrypted(value) || value._keyId !== keyId)
+    })
+    const report = { scanned: 0, reencrypted: 0 }
+
+    let token
+    do {
+      const page = await this._findSnapshotPage({ includeDeleted: true }, { pageSize: batchSize, token })
+      const stale = page.snapshots.filter(isStale)
+      report.scanned += page.snapshots.length
+
+      if (stale.length) {
+        report.reencrypted += await this._tryAsync(async () => UnitOfWork.transactionally(this._db, async unitOfWork => {
+          const stillStale = (await Promise.all(stale.map(it => unitOfWork.get(it.ref)))).filter(isStale)
+
+          await Promise.all(stillStale.map(async it => {
+            await unitOfWork.set(it.ref, this._encryptDocument(this._decryptDocument(it.data(), it.ref.path), it.ref.path))
+            await this._uncache(it.ref, unitOfWork)
+          }))
+          return stillStale.length
+        }))
+      }
+
+      token = page.token
+    } while (token)
+
+    return report
+  }
+
+  /**
+   * The functions that upgrade stored documents from one schema version to the next, in order.
+   * The function at index `i` is given a plain document at schema version `i` & must return it at schema version `i + 1`; it may mutate the given document.
+   * Documents without a `_schemaVersion` are at schema version `0`.
+   * Override this getter to return your repository's migrations.
+   *
+   * @return {[function(object): object]}
+   * @private
+   */
+  get _migrations () {
+    return []
+  }
+
+  /**
+   * The current schema version, which {@link _toDocument} stamps on every document as `_schemaVersion` if it's not `0`.
+   * Defaults to the number of {@link _migrations}.
+   *
+   * @return {number}
+   * @private
+   */
+  get _schemaVersion () {
+    return this._migrations.length
+  }
+
+  _schemaVersionOf (plain) {
+    return plain?.[SCHEMA_VERSION] || 0
+  }
+
+  /**
+   * Runs the given plain document through the migrations needed to bring it to the current {@link _schemaVersion}.
+   *
+   * @param plain
+   * @return {object} The migrated document, stamped with the current schema version, or the given document if it's already current.
+   * @throws {IllegalStateError} If the given document is at a later schema version than this repository's.
+   * @private
+   */
+  _migrate (plain) {
+    const version = this._schemaVersionOf(plain)
+    if (version === this._schemaVersion) return plain
+    if (version > this._schemaVersion) {
+      throw new IllegalStateError({ msg: `document schema version ${version} is later than ${this._path} schema version ${this._schemaVersion}` })
+    }
+
+    plain = this._migrations.slice(version, this._schemaVersion).reduce((accum, migrate) => migrate(accum), plain)
+    plain[SCHEMA_VERSION] = this._schemaVersion
+    return plain
+  }
+
+  /**
+   * Walks this repository's entire collection in batches, rewriting each document whose schema version is outdated with its migrated form.
+   * If this repository {@link _softDeletes}, documents without a `_deletedAt` are outdated too & are backfilled with a `null` one, so that queries find them.
+   * Each batch is rewritten within a transaction that skips documents that were brought up to date concurrently.
+   * Soft-deleted documents are included.
+   *
+   * @param {number} [batchSize] The number of documents per batch; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @param {boolean} [dryRun] Whether to only report what would be migrated without writing anything.
+   * @return {Promise<{scanned: number, outdated: [string], migrated: number}>} The number of documents scanned, the ids of those outdated, & the number migrated.
+   */
+  async migrateAll ({ batchSize = DEFAULT_PAGE_SIZE, dryRun = false } = {}) {
+    const report = { scanned: 0, outdated: [], migrated: 0 }
+    const isOutdated = it => it.exists && (this._schemaVersionOf(it.data()) < this._schemaVersion || (this._softDeletes && it.get(DELETED_AT) === undefined))
+    const migrated = it => {
+      const plain = this._migrate(this._decryptDocument(it.data(), it.ref.path))
+      if (this._softDeletes && plain[DELETED_AT] === undefined) plain[DELETED_AT] = null
+      return this._encryptDocument(plain, it.ref.path)
+    }
+
+    let token
+    do {
+      const page = await this._findSnapshotPage({ includeDeleted: true }, { pageSize: batchSize, token })
+      const outdated = page.snapshots.filter(isOutdated)
+
+      report.scanned += page.snapshots.length
+      report.outdated.push(...outdated.map(it => it.id))
+
+      if (!dryRun && outdated.length) {
+        report.migrated += await this._tryAsync(async () => UnitOfWork.transactionally(this._db, async unitOfWork => {
+          const snapshots = await Promise.all(outdated.map(it => unitOfWork.get(it.ref)))
+          const stillOutdated = snapshots.filter(isOutdated)
+
+          await Promise.all(stillOutdated.map(it => unitOfWork.set(it.ref, migrated(it))))
+          return stillOutdated.length
+        }))
+      }
+
+      token = page.token
+    } while (token)
+
+    return report
   }
 
-  _getMapper (mapper, name) {
-    name = name || mapper.name
-    return this._mapperCache[name] || (this._mapperCache[name] = ({ key, from, getterPrefix }) => {
-      const value = from[`${getterPrefix}${key}`]
-      if (value === undefined) return value
-      return Array.isArray(value) ? [...value.map(mapper)] : mapper(value)
-    })
-  }
+  /**
+   * Writes every document of this repository's collection, including soft-deleted ones, to the given stream as newline-delimited JSON, one `{"id": ..., "data": ...}` object per line.
+   * Documents are exported as stored, so values that JSON can't represent exactly are encoded via {@link _toExportValue}; enums are already stored by name & Periods & DatePeriods as `_type`, `_begin` & `_end`.
+   * The stream is not ended, so that several collections may be exported to it.
+   *
+   * @param {Writable} stream
+   * @param {number} [batchSize] The number of documents to read per page; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {Promise<{exported: number}>}
+   */
+  async exportTo (stream, { batchSize = DEFAULT_PAGE_SIZE } = {}) {
+    let exported = 0
 
-  _noOpMapper () {
-    return this._getMapper(it => it, 'noop')
-  }
+    let token
+    do {
+      const page = await this._findSnapshotPage({ includeDeleted: true }, { pageSize: batchSize, token })
+      const lines = page.snapshots.map(it => `${JSON.stringify({ id: it.id, data: this._toExportValue(it.data()) })}\n`)
 
-  _toMomentMapper () {
-    return this._getMapper(it => this._toMoment(it), 'moment')
-  }
+      if (lines.length) {
+        await new Promise((resolve, reject) => stream.write(lines.join(''), e => e ? reject(e) : resolve()))
+      }
 
-  _toStringMapper () {
-    return this._getMapper(it => it?.toString(), 'string')
-  }
+      exported += lines.length
+      token = page.token
+    } while (token)
 
-  _toFloatMapper () {
-    return this._getMapper(it => parseFloat(it), 'float')
+    return { exported }
   }
 
-  _toIntMapper () {
-    return this._getMapper(it => parseInt(it), 'int')
-  }
+  /**
+   * Reads newline-delimited JSON as written by {@link exportTo} from the given stream & writes each line's document to this repository's collection, as is.
+   * Lines are written in chunks: in `upsert` mode, each chunk is written in a batch, replacing any existing documents; in `insert` mode, each chunk is written in a transaction that skips documents that already exist, unless they're soft-deleted, in which case they're replaced, as by {@link insert}.
+   * A line that can't be imported is reported in the returned `errors` with its 1-based line number, the document id, if known, & the error, & the import carries on; if a chunk fails to be written, each of its lines is reported.
+   * Blank lines are ignored.
+   * With `field` {@link _tenancy}, each document is stamped with this repository's tenant, & lines whose documents belong to another tenant fail as {@link ObjectExistsError}s.
+   *
+   * @param {Readable} stream
+   * @param {string} [mode] Either `'upsert'` or `'insert'`; defaults to `'upsert'`.
+   * @param {number} [batchSize] The number of lines to write per chunk; defaults to {@link DEFAULT_PAGE_SIZE}.
+   * @return {Promise<{read: number, imported: number, errors: [{line: number, id: string, error: Error}]}>}
+   * @throws {IllegalArgumentError} If the mode is unknown.
+   * @throws {IllegalStateError} If this repository has {@link _tenancy} but no tenant.
+   */
+  async importFrom (stream, { mode = 'upsert', batchSize = DEFAULT_PAGE_SIZE } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw new IllegalArgumentError({ msg: `unknown import mode: ${mode}` })
+    this._requireTenant()
 
-  _toBooleanMapper () {
-    return this._getMapper(it => Boolean(it), 'boolean')
-  }
+    const report = { read: 0, imported: 0, errors: [] }
+    let chunk = []
 
-  _toEnumMapper ({ enumeration }) {
-    return this._getMapper(enumeration.of, `enum:${enumeration.name}`)
-  }
+    const flush = async () => {
+      const lines = chunk.splice(0)
+      if (!lines.length) return
+      try {
+        const { imported, failed } = await this._tryAsync(async () => this._importChunk(lines, mode))
+        report.imported += imported
+        report.errors.push(...failed)
+      } catch (e) {
+        lines.forEach(({ line, id }) => report.errors.push({ line, id, error: e }))
+      }
+    }
 
-  _initFirestoreRepository (db, name) {
-    this._db = db
-    this._name = name
-    this._collection = this._db.collection(name)
-    this._path = this._collection.path
-  }
+    for await (const text of this._linesOf(stream)) {
+      const line = ++report.read
+      if (!text.trim()) continue
 
-  async insert (entity, options) {
-    if (await this.findById(entity.id)) {
-      throw new ObjectExistsError({ msg: `${entity.constructor?.name}@${entity.id}` })
+      try {
+        const { id, data } = JSON.parse(text)
+        if (typeof id !== 'string' || !id || data === null || typeof data !== 'object' || Array.isArray(data)) {
+          throw new IllegalArgumentError({ msg: 'expected {"id": string, "data": object}' })
+        }
+        this._docpath(id) // rejects ids that would escape a tenant's collection
+        chunk.push({ line, id, data: this._toTenantDocument(this._fromExportValue(data)) })
+      } catch (e) {
+        report.errors.push({ line, error: e })
+      }
+
+      if (chunk.length >= batchSize) await flush()
     }
-    return this.upsert(entity, options)
-  }
+    await flush()
 
-  async upsert (entity, options) {
-    if (!entity._id) entity._id = uuid()
-    return this._tryAsync(async () => this._collection.doc(entity._id).set(this._toDocument(entity), options || this._setOptions))
+    report.errors.sort((a, b) => a.line - b.line)
+    return report
   }
 
-  async findById (id) {
-    if (!id) return null
+  /**
+   * Writes the given chunk of parsed lines as described in {@link importFrom}.
+   *
+   * @return {Promise<{imported: number, failed: [{line: number, id: string, error: Error}]}>}
+   * @private
+   */
+  async _importChunk (lines, mode) {
+    if (mode === 'upsert' && this._tenancy !== 'field') {
+      return UnitOfWork.batched(this._db, async unitOfWork => {
+        await Promise.all(lines.map(({ id, data }) => unitOfWork.set(this._collection.doc(id), data)))
+        await Promise.all(lines.map(({ id }) => this._uncache(this._collection.doc(id), unitOfWork)))
+        return { imported: lines.length, failed: [] }
+      })
+    }
 
-    return this._tryAsync(async () => {
-      const snapshot = await this._db.doc(this._docpath(id)).get()
-      return snapshot.exists && this._fromDocument({ plain: snapshot.data(), setterPrefix: '_', getterPrefix: '_' })
+    return UnitOfWork.transactionally(this._db, async unitOfWork => {
+      const snapshots = await Promise.all(lines.map(({ id }) => unitOfWork.get(this._collection.doc(id))))
+      const inserts = []
+      const failed = []
+
+      lines.forEach((it, i) => {
+        const taken = mode === 'insert'
+          ? (snapshots[i].exists && (!this._isSoftDeleted(snapshots[i]) || !this._isTenantOwned(snapshots[i]))) || inserts.some(({ id }) => id === it.id)
+          : snapshots[i].exists && !this._isTenantOwned(snapshots[i])
+
+        if (taken) {
+          failed.push({ line: it.line, id: it.id, error: new ObjectExistsError({ msg: this._docpath(it.id) }) })
+        } else {
+          inserts.push(it)
+        }
+      })
+      await Promise.all(inserts.map(({ id, data }) => unitOfWork.set(this._collection.doc(id), data)))
+      await Promise.all(inserts.map(({ id }) => this._uncache(this._collection.doc(id), unitOfWork)))
+
+      return { imported: inserts.length, failed }
     })
   }
 
-  async getById (id) {
-    const it = await this.findById(id)
-    if (!it) throw new ObjectNotFoundError({ msg: this._docpath(id) })
+  _toTenantDocument (data) {
+    return this._tenancy === 'field' ? { ...data, [TENANT_ID]: this._tenant } : data
   }
 
-  _docpath (...it) {
-    return [this._path, ...it].join('/')
+  async * _linesOf (stream) {
+    const decoder = new StringDecoder('utf8')
+    let buffered = ''
+
+    for await (const chunk of stream) {
+      buffered += typeof chunk === 'string' ? chunk : decoder.write(chunk)
+      const lines = buffered.split(/\r?\n/)
+      buffered = lines.pop()
+      yield * lines
+    }
+
+    buffered += decoder.end()
+    if (buffered) yield buffered
   }
 
   /**
-   * The customizer function to use when {@link _toTree} calls lodash's `cloneDeepWith` function.
-   *
-   * This default customizer returns a function that only
-   * <ul>
-   * <li>converts `enumify` `Enum` instances to their symbolic name,</li>
-   * <li>converts `Date` and `moment` instances to `firebase.firestore.Timestamp`</li>
-   * </ul>
-   * If you need more sophisticated behavior, either override this method or override {@link _toTree}.
+   * Returns the given stored value in a form that `JSON.stringify` can represent exactly.
+   * `Timestamp`s become `{ $timestamp: '2019-01-01T00:00:00.123456789Z' }`, `DocumentReference`s `{ $ref: 'path/to/doc' }`, `GeoPoint`s `{ $geopoint: [latitude, longitude] }` & bytes `{ $bytes: 'base64' }`.
+   * Maps that have a key starting with `$` are wrapped as `{ $map: { ... } }` so that they're not mistaken for any of the above.
    *
-   * @returns {*}
+   * @param it
+   * @return {*}
    * @private
    */
-  get _toTreeCustomizer () {
-    return it => {
-      // remember: only return something if you're converting it!
-      // see https://github.com/lodash/lodash/issues/2846
+  _toExportValue (it) {
+    if (it instanceof Timestamp) {
+      const seconds = moment.utc(it.seconds * 1000).format('YYYY-MM-DDTHH:mm:ss')
+      return { $timestamp: `${seconds}.${`${it.nanoseconds}`.padStart(9, '0')}Z` }
+    }
+    if (this._isDocumentReference(it)) return { $ref: it.path }
+    if (it instanceof GeoPoint) return { $geopoint: [it.latitude, it.longitude] }
+    if (Buffer.isBuffer(it)) return { $bytes: it.toString('base64') }
+    if (Array.isArray(it)) return it.map(it => this._toExportValue(it))
 
-      if (this._isEnumLike(it)) return it.name
-      if (moment.isMoment(it)) return Timestamp.fromMillis(it.valueOf())
-      if (it instanceof Date) return Timestamp.fromDate(it)
-      if (it instanceof Timestamp) return it
+    if (it !== null && typeof it === 'object') {
+      const map = _.mapValues(it, it => this._toExportValue(it))
+      return Object.keys(map).some(it => it.startsWith('$')) ? { $map: map } : map
     }
-  }
 
-  _isEnumLike (it) {
-    return it instanceof Enum || (Array.isArray(it?.enumValues) && typeof it?.enumValues[0] === 'object' && it?.name)
+    return it
   }
 
   /**
-   * Returns the given argument as a Google Firestore `Timestamp`.
-   * See https://firebase.google.com/docs/reference/js/firebase.firestore.Timestamp for more info.
+   * The inverse of {@link _toExportValue}.
+   * References are resolved against this repository's database.
    *
-   * @param it {number|Timestamp|Date|moment}
-   * @return {Timestamp}
+   * @param it
+   * @return {*}
    * @private
    */
-  _toTimestamp (it) {
-    if (it instanceof Timestamp) it = it.toMillis()
-    else if (moment.isMoment(it)) it = it.valueOf()
-    else if (it instanceof Date) it = it.getTime()
+  _fromExportValue (it) {
+    if (Array.isArray(it)) return it.map(it => this._fromExportValue(it))
+    if (it === null || typeof it !== 'object') return it
 
-    try {
-      return Timestamp.fromMillis(it)
-    } catch (e) {
-      throw new IllegalArgumentError({ msg: it })
+    const [key, ...others] = Object.keys(it)
+    switch (!others.length && key) {
+      case '$timestamp': {
+        const [, seconds, nanoseconds = ''] = /^(.+?)(?:\.(\d{1,9}))?Z$/.exec(it.$timestamp) || []
+        const m = moment.utc(`${seconds}Z`, moment.ISO_8601, true)
+        if (!m.isValid()) throw new IllegalArgumentError({ msg: `invalid timestamp: ${it.$timestamp}` })
+        return new Timestamp(m.unix(), parseInt(nanoseconds.padEnd(9, '0')))
+      }
+      case '$ref':
+        return this._db.doc(it.$ref)
+      case '$geopoint':
+        return new GeoPoint(...it.$geopoint)
+      case '$bytes':
+        return Buffer.from(it.$bytes, 'base64')
+      case '$map':
+        return _.mapValues(it.$map, it => this._fromExportValue(it))
     }
+
+    return _.mapValues(it, it => this._fromExportValue(it))
   }
 
   /**
-   * Returns the given argument as a UTC `moment` instance.
-   * See http://momentjs.com/docs/#/parsing/ for supported argument types.
-   * This method has explicit support for Google Firestore `Timestamp` types.
-   * If you don't need `Timestamp` support, just use `moment(it).utc()`, because that's all this method does after
-   * converting the `Timestamp` to milliseconds.
-   * See https://firebase.google.com/docs/reference/js/firebase.firestore.Timestamp for more info.
+   * Returns a new entity from the given plain document.
+   * This default implementation is driven by {@link _schema}, if given; otherwise, subclasses must override this method.
    *
-   * @param it {*}
-   * @returns {moment}
+   * @param plain The document's data.
+   * @param [entity] The entity to map to, if any.
+   * @param [context]
+   * @param {string} [setterPrefix] The entity property prefix to use if the schema doesn't give one; defaults to `'_'`.
+   * @param {string} [getterPrefix] The document field prefix to use if the schema doesn't give one; defaults to `'_'`.
+   * @return {*}
    * @private
    */
-  _toMoment (it) {
-    if (!it) return it
-    if (this._isTimestampLike(it, false)) it = this._fromTimestampDocument(it)
-    if (it instanceof Timestamp) it = it.toMillis()
+  _fromDocument ({ plain, entity, context = {}, setterPrefix, getterPrefix } = {}) {
+    const schema = this._schema
+    if (!schema) throw new MethodNotImplementedError({ msg: 'FirestoreRepository#_fromDocument' })
 
-    const m = moment.utc(it)
-    if (!m.isValid()) throw new IllegalArgumentError({ msg: it })
+    return this._fromSchemaDocument({ plain, entity, schema, setterPrefix, getterPrefix })
+  }
 
-    return m
+  /**
+   * The declarative mapping between this repository's entities & their documents, or `null` if {@link _toDocument} & {@link _fromDocument} are hand-written.
+   * Override this getter to return a schema of the form
+   * <pre>
+   * {
+   *   create: () => new Order(), // returns a new, empty entity; defaults to returning a plain object
+   *   getterPrefix: '_', // the prefix of document field names; defaults to '_'
+   *   setterPrefix: '_', // the prefix of entity property names; defaults to '_'
+   *   fields: {
+   *     id: 'string',
+   *     quantity: { type: 'int', default: 1 },
+   *     price: 'float',
+   *     rush: 'boolean',
+   *     placedAt: 'moment',
+   *     delivery: Period, // or DatePeriod, or 'Period', or 'DatePeriod'
+   *     paidAt: Date, // or 'Date', or Timestamp, or 'Timestamp'
+   *     day: DayOfWeek, // an enumify Enum class
+   *     tags: ['string'], // an array of the given type; also { type: 'array', of: 'string' }
+   *     lines: [{ create: () => new Line(), fields: { ... } }], // nested entities, which inherit the prefixes unless they give their own
+   *     customer: { type: 'ref', repository: () => customers, eager: true }, // a reference to an entity stored by another repository
+   *     scan: { type: 'blob', repository: () => scans } // a reference to a blob stored by a CloudStorageRepository
+   *   }
+   * }
+   * </pre>
+   * Types may also be `'any'`, which maps values unchanged, or the name or `type` of any converter registered in {@link _registerConverters}.
+   *
+   * References are stored as Firestore `DocumentReference`s.
+   * When storing, a reference's value may be the referenced entity, its id, an {@link EntityReference} or a `DocumentReference`.
+   * When loading, a reference's value is an {@link EntityReference}, unless it's `eager`, in which case {@link findById} replaces it with the referenced entity.
+   * A reference's `repository` is either the repository that stores the referenced entity or a function returning it.
+   * Take care not to make cyclic references eager.
+   * Blob references are stored as the names of their blobs, given when storing as names or {@link BlobReference}s, & are loaded as {@link BlobReference}s.
+   * A `default` may be a value or a function returning one, & is used when the value is missing in either direction.
+   * Only the given fields are stored & loaded.
+   *
+   * @return {object|null}
+   * @private
+   */
+  get _schema () {
+    return null
   }
 
-  _fromTimestampDocument (plain) {
-    return plain && new Timestamp(plain._seconds, plain._nanoseconds)
+  /**
+   * Returns the normalized form, `{ type, default, of, schema, enumeration }`, of the given field type spec.
+   *
+   * @param spec
+   * @return {object}
+   * @private
+   */
+  _toFieldSpec (spec) {
+    if (typeof spec === 'string') return { type: spec }
+    const converter = this._converters.ofType(spec)
+    if (converter) return { type: converter.name }
+    if (this._isEnumLike(spec)) return { type: 'enum', enumeration: spec }
+    if (Array.isArray(spec)) return { type: 'array', of: this._toFieldSpec(spec[0]) }
+    if (spec?.fields) return { type: 'entity', schema: spec }
+    if (spec?.type) {
+      const { type, ...rest } = spec
+      const it = { ...this._toFieldSpec(type), ...rest }
+      if (it.of) it.of = this._toFieldSpec(it.of)
+      return it
+    }
+
+    throw new IllegalArgumentError({ msg: `field spec ${spec}` })
   }
 
-  _isTimestampLike (it, valueIfInstanceOf) {
-    if (it instanceof Timestamp) return valueIfInstanceOf
-    return typeof it?._seconds === 'number' && typeof it?._nanoseconds === 'number'
+  _defaultOf (spec) {
+    return typeof spec.default === 'function' ? spec.default() : spec.default
+  }
+
+  _schemaPrefixes (schema, { getterPrefix = '_', setterPrefix = '_' } = {}) {
+    return {
+      getterPrefix: schema.getterPrefix === undefined ? getterPrefix : schema.getterPrefix,
+      setterPrefix: schema.setterPrefix === undefined ? setterPrefix : schema.setterPrefix
+    }
+  }
+
+  /**
+   * Returns a mapper for use with {@link _mapProps} for the given field type spec.
+   *
+   * @param spec A normalized field type spec.
+   * @param {object} prefixes The prefixes for nested entities to inherit.
+   * @return {function}
+   * @private
+   */
+  _toSchemaMapper (spec, prefixes) {
+    let mapper
+    switch (spec.type) {
+      case 'any':
+        mapper = this._noOpMapper()
+        break
+      case 'string':
+        mapper = this._toStringMapper()
+        break
+      case 'int':
+        mapper = this._toIntMapper()
+        break
+      case 'float':
+        mapper = this._toFloatMapper()
+        break
+      case 'boolean':
+        mapper = this._toBooleanMapper()
+        break
+      case 'array': // mappers already map arrays elementwise
+        mapper = this._toSchemaMapper(spec.of, prefixes)
+        break
+      case 'entity':
+        mapper = this._toArrayAwareMapper(it => it && this._fromSchemaDocument({ plain: it, schema: spec.schema, ...prefixes }))
+        break
+      case 'ref':
+        mapper = this._toArrayAwareMapper(it => it && new EntityReference({ ref: it, repository: this._referencedRepository(spec) }))
+        break
+      case 'blob':
+        mapper = this._toArrayAwareMapper(it => it && new BlobReference({ name: it, repository: this._referencedRepository(spec) }))
+        break
+      default: {
+        const converter = this._converters.get(spec.type)
+        if (!converter) throw new IllegalArgumentError({ msg: `field type ${spec.type}` })
+        mapper = this._toArrayAwareMapper(it => it === null ? it : converter.fromFirestore(it, spec))
+      }
+    }
+
+    return args => {
+      const value = mapper(args)
+      return value === undefined ? this._defaultOf(spec) : value
+    }
   }
 
   /**
-   * Returns a new {@link Period} instance from the given period document, which uses {@link Timestamp}s.
+   * Returns a new entity from the given plain document according to the given schema.
    *
    * @param plain
-   * @param context
-   * @return {Period}
+   * @param [entity] The entity to map to; defaults to a new one from the schema.
+   * @param {object} schema A schema as described in {@link _schema}.
+   * @param {string} [setterPrefix] The entity property prefix to use if the schema doesn't give one.
+   * @param {string} [getterPrefix] The document field prefix to use if the schema doesn't give one.
+   * @return {*}
    * @private
    */
-  _fromPeriodDocument ({ plain, entity = new Period(), context = {}, setterPrefix = '' } = {}) {
-    if (!plain) return entity
+  _fromSchemaDocument ({ plain, entity, schema, setterPrefix, getterPrefix }) {
+    const prefixes = this._schemaPrefixes(schema, { setterPrefix, getterPrefix })
 
     return this._mapProps({
-      keys: ['begin', 'end'],
+      keys: Object.keys(schema.fields),
       from: plain,
-      to: entity,
-      setterPrefix,
-      getterPrefix: '_',
-      mappers: this._toMomentMapper()
+      to: entity || (schema.create ? schema.create() : {}),
+      ...prefixes,
+      mappers: _.mapValues(schema.fields, it => this._toSchemaMapper(this._toFieldSpec(it), prefixes))
     })
   }
 
   /**
-   * Returns a new {@link DatePeriod} instance from the given period document, which uses {@link Timestamp}s.
+   * Returns the document for the given entity according to the given schema.
+   * Values of fields other than nested entities are converted as in {@link _toDocument}.
    *
-   * @param plain
-   * @param context
-   * @return {DatePeriod}
+   * @param entity
+   * @param {object} schema A schema as described in {@link _schema}.
+   * @param {string} [setterPrefix] The entity property prefix to use if the schema doesn't give one.
+   * @param {string} [getterPrefix] The document field prefix to use if the schema doesn't give one.
+   * @return {object}
    * @private
    */
-  _fromDatePeriodDocument ({ plain, entity = new DatePeriod(), context = {}, setterPrefix = '' } = {}) {
-    return this._fromPeriodDocument({ plain, entity, context, setterPrefix })
+  _toSchemaDocument ({ entity, schema, setterPrefix, getterPrefix }) {
+    const prefixes = this._schemaPrefixes(schema, { setterPrefix, getterPrefix })
+
+    return Object.keys(schema.fields).reduce((doc, key) => {
+      const spec = this._toFieldSpec(schema.fields[key])
+
+      let value = entity[`${prefixes.setterPrefix}${key}`]
+      if (value === undefined) value = this._defaultOf(spec)
+      if (value !== undefined) doc[`${prefixes.getterPrefix}${key}`] = this._toSchemaValue(value, spec, prefixes)
+
+      return doc
+    }, {})
+  }
+
+  _toSchemaValue (value, spec, prefixes) {
+    if (value === null) return value
+
+    const element = spec.type === 'array' ? spec.of : spec
+    let convert
+    switch (element.type) {
+      case 'entity':
+        convert = it => it && this._toSchemaDocument({ entity: it, schema: element.schema, ...prefixes })
+        break
+      case 'ref':
+        convert = it => it && this._toDocumentReference(it, this._referencedRepository(element))
+        break
+      case 'blob':
+        convert = it => it instanceof BlobReference ? it.name : it
+        break
+      default:
+        return this._toFirestoreDocument(this._toTree(value))
+    }
+
+    return Array.isArray(value) ? value.map(convert) : convert(value)
+  }
+
+  _referencedRepository ({ repository }) {
+    return typeof repository === 'function' ? repository() : repository
   }
 
   /**
-   * Returns a plain JavaScript object of the period with {@link Timestamp}s instead of `moment`s.
+   * Returns a `DocumentReference` to the given entity, entity id or reference in the given repository.
    *
-   * @param period
-   * @param context
-   * @return {{_begin: Timestamp, _end: Timestamp}}
+   * @param {*|string|EntityReference|DocumentReference} it
+   * @param {FirestoreRepository} repository
+   * @return {DocumentReference}
    * @private
    */
-  _toPeriodDocument (period, context) {
-    const result = {
-      _type: period.constructor.name
-    }
-    if (period._begin) {
-      result._begin = period._begin && this._toTimestamp(period._begin)
-    }
-    if (period._end) {
-      result._end = period._end && this._toTimestamp(period._end)
-    }
-    return result
+  _toDocumentReference (it, repository) {
+    if (this._isDocumentReference(it)) return it
+    if (it instanceof EntityReference) return it.ref
+    return repository._collection.doc(typeof it === 'string' ? it : it._id)
+  }
+
+  _hasBlobFields (schema) {
+    return Boolean(schema) && Object.keys(schema.fields).some(key => {
+      const spec = this._toFieldSpec(schema.fields[key])
+      const element = spec.type === 'array' ? spec.of : spec
+      return element.type === 'blob' || (element.type === 'entity' && this._hasBlobFields(element.schema))
+    })
   }
+
   /**
-   * Converts the given entity graph into a tree structure.
-   * This method is called by {@link _toDocument}.
-   *
-   * Subclasses must override this if the root entity of this repository type forms a graph.
-   * If the root entity only forms a tree, this method can probably be used.
-   * This default implementation uses {@link _toTreeCustomizer}.
+   * Returns the {@link BlobReference}s in the given entity, including its nested entities, according to the given schema.
    *
-   * @param entity
-   * @returns {any}
    * @private
-   * @see _toTreeCustomizer
-   * @see _toDocument
    */
-  _toTree (entity) {
-    return _.cloneDeepWith(entity, this._toTreeCustomizer)
+  _blobReferencesOf ({ entity, schema, setterPrefix, getterPrefix }) {
+    const prefixes = this._schemaPrefixes(schema, { setterPrefix, getterPrefix })
+
+    return _.flatMap(Object.keys(schema.fields), key => {
+      const spec = this._toFieldSpec(schema.fields[key])
+      const element = spec.type === 'array' ? spec.of : spec
+      const values = [].concat(entity[`${prefixes.setterPrefix}${key}`] || []).filter(it => it)
+
+      if (element.type === 'blob') return values.filter(it => it instanceof BlobReference)
+      if (element.type === 'entity') return _.flatMap(values, it => this._blobReferencesOf({ entity: it, schema: element.schema, ...prefixes }))
+      return []
+    })
+  }
+
+  async _deleteBlobs (blobs) {
+    await Promise.all(blobs.map(async it => {
+      try {
+        await it.delete()
+      } catch (e) {
+        this._reportError(e)
+      }
+    }))
   }
 
   /**
-   * Converts the given entity into a plain, JavaScript object suitable for persistence into Firestore.
-   * Objects of type `Timestamp` are preserved unchanged.
+   * Replaces the {@link EntityReference}s of eager references in the given entity, including its nested entities, with the entities they refer to.
    *
-   * @param it
-   * @return {*}
+   * @param entity
+   * @param {object} schema A schema as described in {@link _schema}.
+   * @param {string} [setterPrefix] The entity property prefix to use if the schema doesn't give one.
+   * @param {string} [getterPrefix] The document field prefix to use if the schema doesn't give one.
+   * @param {object} [options] The options to give to {@link EntityReference#get}.
+   * @return {Promise<void>}
+   * @private
    */
-  _toFirestoreDocument (it) {
-    if (typeof it === 'function') throw new IllegalArgumentError({ msg: `functions cannot be converted to a Firestore document` })
-    if (it instanceof Timestamp) return it
-    if (Array.isArray(it)) return it.map(it => this._toFirestoreDocument(it))
-    if (it?.constructor?.name === 'Period' || it?.constructor?.name === 'DatePeriod') {
-      return this._toPeriodDocument(it)
-    }
+  async _resolveReferences ({ entity, schema, setterPrefix, getterPrefix, options }) {
+    const prefixes = this._schemaPrefixes(schema, { setterPrefix, getterPrefix })
 
-    if (typeof it === 'object') {
-      return Object.keys(it)
-        .filter(k => (typeof it[k] !== 'function') && (it[k] !== undefined))
-        .map(k => ({ [k]: this._toFirestoreDocument(it[k]) }))
-        .reduce((accum, next) => Object.assign(accum, next), {})
-    }
+    await Promise.all(Object.keys(schema.fields).map(async key => {
+      const spec = this._toFieldSpec(schema.fields[key])
+      const element = spec.type === 'array' ? spec.of : spec
+      const prop = `${prefixes.setterPrefix}${key}`
+      const value = entity[prop]
+      if (!value) return
 
-    return it
+      if (element.type === 'ref' && element.eager) {
+        entity[prop] = Array.isArray(value)
+          ? await Promise.all(value.map(it => it && it.get(options)))
+          : await value.get(options)
+      } else if (element.type === 'entity') {
+        await Promise.all([].concat(value).map(it => it && this._resolveReferences({ entity: it, schema: element.schema, ...prefixes, options })))
+      }
+    }))
   }
 
   /**
-   * Extracts the persistable state of the given entity into a plain JavaScript tree structure, representing the document that will be stored.
-   * This method calls {@link _toTree} before extracting the persistable state.
+   * The rules that entities must satisfy to be stored by {@link insert} & {@link upsert}, or `null`, the default, if entities aren't validated.
+   * Rules take the form of a {@link _schema}, of which only the `setterPrefix` & `fields` matter; return this repository's schema to check entities against its field types & any of the rules below that it gives.
+   * Besides its type, each field spec may give
+   * <pre>
+   * {
+   *   required: true, // the value may not be undefined or null, unless the field has a default
+   *   min: 0, // the least value; applies to numbers & moments
+   *   max: 10, // the greatest value; applies to numbers & moments
+   *   pattern: /^[A-Z]+$/, // a regular expression that strings must match
+   *   validate: (value, entity) => value !== 'bad' // a custom predicate, which may return a message instead of false
+   * }
+   * </pre>
+   * Rules other than `required` only apply to values that are neither undefined nor null, & the rules of an array's `of` spec apply to each of its elements.
+   * Enum values must be members of the field's enumeration, & Periods & DatePeriods must not end before they begin.
+   * Override this getter to return your rules to opt in.
+   *
+   * @return {object|null}
+   * @private
+   */
+  get _validationRules () {
+    return null
+  }
+
+  /**
+   * Checks the given entity against this repository's {@link _validationRules}.
    *
    * @param entity
-   * @returns {*}
+   * @throws {ValidationError} If the entity violates any rule; its `info.violations` are the `{ path, rule, message }`s of every violation, where `path` is the dotted path of the field, with array indexes.
    * @private
-   * @see _toTree
    */
-  _toDocument (entity) {
-    const doc = this._toFirestoreDocument(this._toTree(entity))
-    return doc
+  _validate (entity) {
+    const rules = this._validationRules
+    if (!rules) return
+
+    const violations = this._violationsOf({ entity, schema: rules, root: entity })
+    if (violations.length) {
+      throw new ValidationError({ msg: `${this._path}: invalid ${violations.map(it => it.path).join(', ')}`, info: { violations } })
+    }
+  }
+
+  _violationsOf ({ entity, schema, root, path = '', setterPrefix }) {
+    const prefixes = this._schemaPrefixes(schema, { setterPrefix })
+
+    return Object.keys(schema.fields).reduce((violations, key) => {
+      const spec = this._toFieldSpec(schema.fields[key])
+      const value = entity[`${prefixes.setterPrefix}${key}`]
+      const at = path ? `${path}.${key}` : key
+
+      return violations.concat(this._fieldViolationsOf({ value, spec, root, path: at, prefixes }))
+    }, [])
+  }
+
+  _fieldViolationsOf ({ value, spec, root, path, prefixes }) {
+    const violation = (rule, message) => [{ path, rule, message }]
+
+    if (value === undefined || value === null) {
+      return spec.required && spec.default === undefined ? violation('required', 'is required') : []
+    }
+
+    let violations
+    switch (spec.type) {
+      case 'any':
+      case 'ref':
+        violations = []
+        break
+      case 'blob':
+        violations = typeof value === 'string' || value instanceof BlobReference ? [] : violation('type', 'must be a blob name or BlobReference')
+        break
+      case 'string':
+        violations = typeof value === 'string' ? [] : violation('type', 'must be a string')
+        break
+      case 'int':
+        violations = Number.isInteger(value) ? [] : violation('type', 'must be an integer')
+        break
+      case 'float':
+        violations = typeof value === 'number' && !isNaN(value) ? [] : violation('type', 'must be a number')
+        break
+      case 'boolean':
+        violations = typeof value === 'boolean' ? [] : violation('type', 'must be a boolean')
+        break
+      case 'moment':
+        violations = this._isValidMomentLike(value) ? [] : violation('type', 'must be a valid moment')
+        break
+      case 'Period':
+      case 'DatePeriod':
+        if (!(value instanceof (spec.type === 'Period' ? Period : DatePeriod))) violations = violation('type', `must be a ${spec.type}`)
+        else if (value._begin && value._end && value._end.isBefore(value._begin)) violations = violation('range', 'must not end before it begins')
+        else violations = []
+        break
+      case 'enum':
+        violations = spec.enumeration.enumValues.includes(value) ? [] : violation('enum', `must be one of ${spec.enumeration.enumValues.map(it => it.name).join(', ')}`)
+        break
+      case 'array':
+        violations = Array.isArray(value)
+          ? _.flatMap(value, (it, i) => this._fieldViolationsOf({ value: it, spec: spec.of, root, path: `${path}.${i}`, prefixes }))
+          : violation('type', 'must be an array')
+        break
+      case 'entity':
+        violations = typeof value === 'object'
+          ? this._violationsOf({ entity: value, schema: spec.schema, root, path, ...prefixes })
+          : violation('type', 'must be an object')
+        break
+      default: {
+        const converter = this._converters.get(spec.type)
+        if (!converter) throw new IllegalArgumentError({ msg: `field type ${spec.type}` })
+        violations = converter.is(value) ? [] : violation('type', `must be a ${spec.type}`)
+      }
+    }
+    if (violations.length) return violations
+
+    const comparable = typeof value === 'number' ? value : this._isValidMomentLike(value) && this._toMoment(value).valueOf()
+    if (spec.min !== undefined && comparable !== false && comparable < this._toComparable(spec.min)) return violation('min', `must not be less than ${spec.min}`)
+    if (spec.max !== undefined && comparable !== false && comparable > this._toComparable(spec.max)) return violation('max', `must not be greater than ${spec.max}`)
+    if (spec.pattern && typeof value === 'string' && !spec.pattern.test(value)) return violation('pattern', `must match ${spec.pattern}`)
+
+    if (spec.validate) {
+      const result = spec.validate(value, root)
+      if (result === false || typeof result === 'string') return violation('validate', result || 'is invalid')
+    }
+
+    return []
   }
 
-  _fromDocument ({ plain, entity, context = {}, setterPrefix = '' } = {}) {
-    throw new MethodNotImplementedError({ msg: 'FirestoreRepository#_fromDocument' })
+  _isValidMomentLike (it) {
+    return (moment.isMoment(it) && it.isValid()) || (it instanceof Date && !isNaN(it.getTime())) || it instanceof Timestamp
+  }
+
+  _toComparable (it) {
+    return typeof it === 'number' ? it : this._toMoment(it).valueOf()
   }
 
   /**
@@ -409,8 +3074,17 @@ const FirestoreRepository = Trait(s => class extends s {
     return DEFAULT_SET_OPTIONS
   }
 
+  /**
+   * Translates the given Firestore/gRPC error into a datastore-agnostic {@link CodedError} whose `cause` is the given error.
+   * The translated error has a boolean `retryable` property that indicates whether the failure is transient.
+   * Errors without a numeric gRPC status code, including those this repository throws itself, are returned unchanged.
+   *
+   * @param {Error} e
+   * @return {Error}
+   * @private
+   */
   _translateError (e) {
-    return e // TODO: translate exception into datastore-agnostic error
+    return translateError(e, GRPC_ERRORS)
   }
 
   _trySync (it) {
@@ -430,6 +3104,31 @@ const FirestoreRepository = Trait(s => class extends s {
   }
 })
 
+// the last outbox event sequence returned in this process; see _nextOutboxSequence
+let lastOutboxSequence = 0
+
+// the history records written by units of work that aren't yet committed, by unit of work, then by document path
+const pendingHistories = new WeakMap()
+
 const DEFAULT_SET_OPTIONS = FirestoreRepository.DEFAULT_SET_OPTIONS = Object.freeze({ merge: true })
+const GRPC_ERRORS = FirestoreRepository.GRPC_ERRORS = translateError.GRPC_ERRORS
+const SCHEMA_VERSION = FirestoreRepository.SCHEMA_VERSION = '_schemaVersion'
+const DELETED_AT = FirestoreRepository.DELETED_AT = '_deletedAt'
+const VERSION = FirestoreRepository.VERSION = '_version'
+const CREATED_AT = FirestoreRepository.CREATED_AT = '_createdAt'
+const UPDATED_AT = FirestoreRepository.UPDATED_AT = '_updatedAt'
+const CALENDAR_DATE_FORMAT = FirestoreRepository.CALENDAR_DATE_FORMAT = 'YYYY-MM-DD'
+const ENCRYPTED = FirestoreRepository.ENCRYPTED = 'Encrypted'
+const HISTORY = FirestoreRepository.HISTORY = '_history'
+const HISTORY_ID_LENGTH = 12
+const OUTBOX = FirestoreRepository.OUTBOX = '_outbox'
+const HOOK_OPERATIONS = FirestoreRepository.HOOK_OPERATIONS = Object.freeze(['insert', 'upsert', 'load', 'delete', 'restore'])
+const TENANT_ID = FirestoreRepository.TENANT_ID = '_tenantId'
+const TENANTS = FirestoreRepository.TENANTS = 'tenants'
+const TENANCY_MODES = FirestoreRepository.TENANCY_MODES = Object.freeze(['path', 'field'])
+const DEFAULT_PAGE_SIZE = FirestoreRepository.DEFAULT_PAGE_SIZE = 100
+const IMPORT_MODES = FirestoreRepository.IMPORT_MODES = Object.freeze(['upsert', 'insert'])
+const CRITERIA_OPERATORS = FirestoreRepository.CRITERIA_OPERATORS = Object.freeze(['==', '<', '<=', '>', '>=', 'in', 'array-contains'])
+const RANGE_OPERATORS = FirestoreRepository.RANGE_OPERATORS = Object.freeze(['<', '<=', '>', '>='])
 
 module.exports = FirestoreRepository
@@ -0,0 +1,73 @@
+'use strict'
+
+const DEFAULT_MAX_SIZE = 1000
+
+/**
+ * An in-process, least-recently-used cache with optional time-to-live, the default cache of {@link FirestoreRepository}s that opt in to caching.
+ *
+ * Any other cache can be used instead if it implements the same adapter interface, whose methods may return promises:
+ * <ul>
+ * <li>`get(key)` returns the value for the given key, or `undefined` if there is none or it expired,</li>
+ * <li>`set(key, value, { ttl })` stores the given value, expiring it after `ttl` milliseconds if `ttl` is given,</li>
+ * <li>`delete(key)` removes the value for the given key, if any, &</li>
+ * <li>`clear()` removes all values.</li>
+ * </ul>
+ * Values are Firestore document data; adapters that store them outside of the process must serialize them, including their `Timestamp`s & `DocumentReference`s.
+ */
+class LruCache {
+  /**
+   * Constructs a new, empty cache.
+   *
+   * @param {number} [maxSize] The maximum number of values held, beyond which the least recently used is evicted; defaults to {@link DEFAULT_MAX_SIZE}.
+   * @param {number} [ttl] The default time-to-live of values in milliseconds; if not given, values don't expire.
+   * @param {function(): number} [now] The source of the current time in milliseconds; defaults to `Date.now`.
+   */
+  constructor ({ maxSize = DEFAULT_MAX_SIZE, ttl, now = Date.now } = {}) {
+    this._maxSize = maxSize
+    this._ttl = ttl
+    this._now = now
+    this._entries = new Map()
+    this._evictions = 0
+  }
+
+  get size () {
+    return this._entries.size
+  }
+
+  get evictions () {
+    return this._evictions
+  }
+
+  get (key) {
+    const entry = this._entries.get(key)
+    if (!entry) return undefined
+
+    this._entries.delete(key)
+    if (entry.expiresAt <= this._now()) return undefined
+
+    this._entries.set(key, entry) // now the most recently used
+    return entry.value
+  }
+
+  set (key, value, { ttl = this._ttl } = {}) {
+    this._entries.delete(key)
+    this._entries.set(key, { value, expiresAt: ttl ? this._now() + ttl : Infinity })
+
+    while (this._entries.size > this._maxSize) {
+      this._entries.delete(this._entries.keys().next().value)
+      this._evictions++
+    }
+  }
+
+  delete (key) {
+    this._entries.delete(key)
+  }
+
+  clear () {
+    this._entries.clear()
+  }
+}
+
+LruCache.DEFAULT_MAX_SIZE = DEFAULT_MAX_SIZE
+
+module.exports = LruCache
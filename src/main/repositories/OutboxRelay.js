@@ -0,0 +1,62 @@
+'use strict'
+
+const { FieldPath } = require('@google-cloud/firestore')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+const FirestoreRepository = require('./FirestoreRepository')
+
+const DEFAULT_BATCH_SIZE = 100
+
+/**
+ * Publishes the events that {@link FirestoreRepository}s with an outbox write to the `_outbox` collection, oldest first, deleting each once it's published.
+ * Events are ordered by their `sequence`s, which increase with each event written by a process, so that the events of successive writes are published in order; see {@link FirestoreRepository#_nextOutboxSequence}.
+ * Run it from a single process, for example on a timer or from a Cloud Function triggered by outbox writes.
+ *
+ * Delivery is at least once: an event is published again if deleting it fails, or if another relay reads it before it's deleted, so each is given with its `eventId` so that consumers can ignore duplicates.
+ */
+class OutboxRelay {
+  /**
+   * @param {Firestore} db
+   * @param {function(object): Promise<*>} publish The function that publishes an event, for example to a Pub/Sub topic, as described in {@link FirestoreRepository#_outbox}, plus its `eventId`.
+   * @param {string} [collection] The name of the outbox collection; defaults to {@link FirestoreRepository.OUTBOX}.
+   * @param {number} [batchSize] The number of events to read per round trip; defaults to {@link DEFAULT_BATCH_SIZE}.
+   * @throws {IllegalArgumentError} If the database or publish function is missing.
+   */
+  constructor ({ db, publish, collection = FirestoreRepository.OUTBOX, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    if (!db || typeof publish !== 'function') throw new IllegalArgumentError({ msg: 'db & publish are required' })
+
+    this._db = db
+    this._publish = publish
+    this._collection = collection
+    this._batchSize = batchSize
+  }
+
+  /**
+   * Publishes & deletes events until the outbox is empty.
+   * If publishing an event fails, the events before it stay relayed, & the error is thrown.
+   *
+   * @return {Promise<number>} The number of events relayed.
+   */
+  async relay () {
+    let relayed = 0
+
+    for (;;) {
+      const { docs } = await this._db.collection(this._collection)
+        .orderBy('sequence')
+        .orderBy(FieldPath.documentId())
+        .limit(this._batchSize)
+        .get()
+      if (!docs.length) return relayed
+
+      for (const doc of docs) {
+        await this._publish({ ...doc.data(), eventId: doc.id })
+        await doc.ref.delete()
+        relayed++
+      }
+    }
+  }
+}
+
+OutboxRelay.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE
+
+module.exports = OutboxRelay
@@ -0,0 +1,136 @@
+'use strict'
+
+/**
+ * Groups reads & writes across one or more {@link FirestoreRepository}s so that they're applied together.
+ * Pass an instance to a repository method via its options as `unitOfWork`.
+ *
+ * A transactional unit of work reads through its Firestore `Transaction`, so that its reads & writes are atomic, and its work is retried by Firestore if the transaction's commit fails due to contention.
+ * A batched unit of work reads directly from the database & only makes its writes atomic via a `WriteBatch`.
+ * A direct unit of work, the kind repositories use when none is given, reads & writes immediately.
+ *
+ * Writes to a transactional or batched unit of work are queued & only applied once the work function returns, so, unlike when using a raw Firestore `Transaction`, reads may follow writes.
+ * Note that reads never see the unit of work's own pending writes.
+ */
+class UnitOfWork {
+  /**
+   * Runs the given function within a new Firestore transaction.
+   * The function may be called more than once if Firestore retries the transaction, so it must be safe to do so.
+   *
+   * @param {Firestore} db
+   * @param {function(UnitOfWork): Promise<*>} fn The work to do.
+   * @param {number} [maxAttempts] The maximum number of attempts to make; defaults to Firestore's default.
+   * @return {Promise<*>} The value returned by the given function.
+   */
+  static async transactionally (db, fn, { maxAttempts } = {}) {
+    let unitOfWork // the one of the last, successful attempt
+    const result = await db.runTransaction(async transaction => {
+      unitOfWork = new UnitOfWork({ db, transaction })
+      const result = await fn(unitOfWork)
+      unitOfWork._flush()
+      return result
+    }, maxAttempts ? { maxAttempts } : undefined)
+    await unitOfWork._committed()
+    return result
+  }
+
+  /**
+   * Runs the given function, then commits its writes in a single Firestore `WriteBatch`.
+   *
+   * @param {Firestore} db
+   * @param {function(UnitOfWork): Promise<*>} fn The work to do.
+   * @return {Promise<*>} The value returned by the given function.
+   */
+  static async batched (db, fn) {
+    const batch = db.batch()
+    const unitOfWork = new UnitOfWork({ db, batch })
+    const result = await fn(unitOfWork)
+    unitOfWork._flush()
+    await batch.commit()
+    await unitOfWork._committed()
+    return result
+  }
+
+  constructor ({ db, transaction, batch } = {}) {
+    this._db = db
+    this._transaction = transaction
+    this._batch = batch
+    this._writes = []
+    this._callbacks = []
+  }
+
+  get db () {
+    return this._db
+  }
+
+  get transactional () {
+    return Boolean(this._transaction)
+  }
+
+  get direct () {
+    return !(this._transaction || this._batch)
+  }
+
+  /**
+   * Reads the given `DocumentReference` or `Query`.
+   *
+   * @param {DocumentReference|Query} refOrQuery
+   * @return {Promise<DocumentSnapshot|QuerySnapshot>}
+   */
+  async get (refOrQuery) {
+    return this._transaction ? this._transaction.get(refOrQuery) : refOrQuery.get()
+  }
+
+  /**
+   * Reads the given `DocumentReference`s in a single round trip.
+   *
+   * @param {...DocumentReference} refs
+   * @return {Promise<[DocumentSnapshot]>} The snapshots, in the order of the given references.
+   */
+  async getAll (...refs) {
+    return this._transaction ? this._transaction.getAll(...refs) : this._db.getAll(...refs)
+  }
+
+  async create (ref, data) {
+    return this._write(it => it.create(ref, data), () => ref.create(data))
+  }
+
+  async set (ref, data, options) {
+    return this._write(it => it.set(ref, data, options), () => ref.set(data, options))
+  }
+
+  async update (ref, data) {
+    return this._write(it => it.update(ref, data), () => ref.update(data))
+  }
+
+  async delete (ref) {
+    return this._write(it => it.delete(ref), () => ref.delete())
+  }
+
+  /**
+   * Calls the given function once this unit of work's writes have been committed, or right away if this unit of work is direct.
+   * Functions are not called if the commit fails.
+   *
+   * @param {function(): *} fn
+   * @return {Promise<void>}
+   */
+  async afterCommit (fn) {
+    if (this.direct) await fn()
+    else this._callbacks.push(fn)
+  }
+
+  async _write (queued, direct) {
+    if (this.direct) return direct()
+    this._writes.push(queued)
+  }
+
+  _flush () {
+    const writer = this._transaction || this._batch
+    this._writes.splice(0).forEach(it => it(writer))
+  }
+
+  async _committed () {
+    await Promise.all(this._callbacks.splice(0).map(it => it()))
+  }
+}
+
+module.exports = UnitOfWork
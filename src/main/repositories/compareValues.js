@@ -0,0 +1,80 @@
+'use strict'
+
+const { Timestamp, GeoPoint, DocumentReference } = require('@google-cloud/firestore')
+
+const segmentsOf = path => path.split('/').filter(it => it)
+
+const isReference = it => it instanceof DocumentReference || it?.constructor?.name === 'DocumentReference'
+
+/**
+ * Returns Firestore's ordering of the type of the given stored value.
+ */
+function typeOrderOf (it) {
+  if (it === null) return 0
+  if (typeof it === 'boolean') return 1
+  if (typeof it === 'number') return 2
+  if (it instanceof Timestamp) return 3
+  if (typeof it === 'string') return 4
+  if (Buffer.isBuffer(it)) return 5
+  if (isReference(it)) return 6
+  if (it instanceof GeoPoint) return 7
+  if (Array.isArray(it)) return 8
+  return 9
+}
+
+/**
+ * Compares the given stored values the way Firestore does, first by type, then by value.
+ * `DocumentReference`s, including those of other implementations of the Firestore API, are compared by path.
+ *
+ * @param a
+ * @param b
+ * @return {number} A negative number, zero or a positive number as `a` is ordered before, with or after `b`.
+ */
+function compareValues (a, b) {
+  const order = typeOrderOf(a) - typeOrderOf(b)
+  if (order) return Math.sign(order)
+
+  const compare = (x, y) => x < y ? -1 : x > y ? 1 : 0
+
+  switch (typeOrderOf(a)) {
+    case 0:
+      return 0
+    case 1:
+    case 4:
+      return compare(a, b)
+    case 2:
+      if (isNaN(a) || isNaN(b)) return compare(isNaN(a) ? 0 : 1, isNaN(b) ? 0 : 1)
+      return compare(a, b)
+    case 3:
+      return compare(a.seconds, b.seconds) || compare(a.nanoseconds, b.nanoseconds)
+    case 5:
+      return Buffer.compare(a, b)
+    case 6:
+      return compareArrays(segmentsOf(a.path), segmentsOf(b.path), compare)
+    case 7:
+      return compare(a.latitude, b.latitude) || compare(a.longitude, b.longitude)
+    case 8:
+      return compareArrays(a, b, compareValues)
+    default: {
+      const keysOfA = Object.keys(a).sort()
+      const keysOfB = Object.keys(b).sort()
+      for (let i = 0; i < Math.min(keysOfA.length, keysOfB.length); i++) {
+        const comparison = compare(keysOfA[i], keysOfB[i]) || compareValues(a[keysOfA[i]], b[keysOfB[i]])
+        if (comparison) return comparison
+      }
+      return compare(keysOfA.length, keysOfB.length)
+    }
+  }
+}
+
+function compareArrays (a, b, compare) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const comparison = compare(a[i], b[i])
+    if (comparison) return comparison
+  }
+  return Math.sign(a.length - b.length)
+}
+
+compareValues.typeOrderOf = typeOrderOf
+
+module.exports = compareValues
@@ -0,0 +1,58 @@
+'use strict'
+
+const DatastoreError = require('../errors/DatastoreError')
+const DeadlineExceededError = require('../errors/DeadlineExceededError')
+const ObjectExistsError = require('../errors/ObjectExistsError')
+const ObjectNotFoundError = require('../errors/ObjectNotFoundError')
+const PermissionDeniedError = require('../errors/PermissionDeniedError')
+const PreconditionFailedError = require('../errors/PreconditionFailedError')
+const ResourceExhaustedError = require('../errors/ResourceExhaustedError')
+const ServiceUnavailableError = require('../errors/ServiceUnavailableError')
+const TransactionAbortedError = require('../errors/TransactionAbortedError')
+
+// see https://github.com/grpc/grpc/blob/master/doc/statuscodes.md
+const GRPC_ERRORS = Object.freeze({
+  4: { type: DeadlineExceededError, retryable: true }, // DEADLINE_EXCEEDED
+  5: { type: ObjectNotFoundError, retryable: false }, // NOT_FOUND
+  6: { type: ObjectExistsError, retryable: false }, // ALREADY_EXISTS
+  7: { type: PermissionDeniedError, retryable: false }, // PERMISSION_DENIED
+  8: { type: ResourceExhaustedError, retryable: true }, // RESOURCE_EXHAUSTED
+  9: { type: PreconditionFailedError, retryable: false }, // FAILED_PRECONDITION
+  10: { type: TransactionAbortedError, retryable: true }, // ABORTED
+  14: { type: ServiceUnavailableError, retryable: true } // UNAVAILABLE
+})
+
+// see https://cloud.google.com/storage/docs/json_api/v1/status-codes
+const HTTP_ERRORS = Object.freeze({
+  403: { type: PermissionDeniedError, retryable: false },
+  404: { type: ObjectNotFoundError, retryable: false },
+  409: { type: ObjectExistsError, retryable: false },
+  412: { type: PreconditionFailedError, retryable: false },
+  429: { type: ResourceExhaustedError, retryable: true },
+  503: { type: ServiceUnavailableError, retryable: true },
+  504: { type: DeadlineExceededError, retryable: true }
+})
+
+/**
+ * Translates the given error of a Google Cloud client into a datastore-agnostic {@link CodedError} whose `cause` is the given error, via the given mapping of numeric status codes, such as {@link GRPC_ERRORS} or {@link HTTP_ERRORS}.
+ * The translated error has a boolean `retryable` property that indicates whether the failure is transient; codes that aren't mapped are translated into a nonretryable {@link DatastoreError}.
+ * Errors without a numeric status code, including those the repositories throw themselves, are returned unchanged.
+ *
+ * @param {Error} e
+ * @param {object} errors The mapping of status codes to objects of the form `{ type, retryable }`.
+ * @return {Error}
+ */
+function translateError (e, errors) {
+  if (typeof e?.code !== 'number') return e
+
+  const { type: Type, retryable } = errors[e.code] || { type: DatastoreError, retryable: false }
+  const translated = new Type({ cause: e, info: { code: e.code } })
+  translated.retryable = retryable
+
+  return translated
+}
+
+translateError.GRPC_ERRORS = GRPC_ERRORS
+translateError.HTTP_ERRORS = HTTP_ERRORS
+
+module.exports = translateError
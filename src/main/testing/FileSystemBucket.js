@@ -0,0 +1,179 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const { PassThrough, Writable } = require('stream')
+
+const mkdir = promisify(fs.mkdir)
+const readdir = promisify(fs.readdir)
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const unlink = promisify(fs.unlink)
+
+const OBJECTS = 'objects'
+const METADATA = 'metadata'
+
+/**
+ * A local filesystem-backed stand-in for a Cloud Storage `Bucket`, for testing {@link CloudStorageRepository}s offline.
+ * It emulates the parts of the `@google-cloud/storage` API used by repositories: `file(name)`'s `save`, `createWriteStream`, `download`, `createReadStream`, `getMetadata`, `exists` & `delete`, & `getFiles` with manual pagination.
+ *
+ * Each object is stored as a file under `objects` in the given directory, named by its URI-encoded name, & its metadata as JSON under `metadata`, so that object names can't escape the directory.
+ * Reads & deletions of missing objects fail with errors whose `code` is `404`, as with Cloud Storage.
+ */
+class FileSystemBucket {
+  /**
+   * @param {string} dir The directory in which to store objects, which is created if need be.
+   * @param {string} [name] The name of the bucket; defaults to `local`.
+   * @param {function(): Date} [clock] The source of the current time; defaults to `new Date()`.
+   */
+  constructor ({ dir, name = 'local', clock = () => new Date() } = {}) {
+    this._dir = dir
+    this.name = name
+    this._clock = clock
+    this._ready = null
+  }
+
+  file (name) {
+    return new FileSystemFile(this, name)
+  }
+
+  /**
+   * Returns the files whose names begin with the given prefix, in order of name.
+   *
+   * @param {string} [prefix]
+   * @param {number} [maxResults]
+   * @param {string} [pageToken] The `pageToken` of the query returned with the previous page.
+   * @return {Promise<[[FileSystemFile], object|null]>} The files, with their `metadata`, & the query for the next page, if any.
+   */
+  async getFiles ({ prefix = '', maxResults, pageToken } = {}) {
+    await this._init()
+
+    const names = (await readdir(path.join(this._dir, OBJECTS)))
+      .map(it => decodeURIComponent(it))
+      .filter(it => it.startsWith(prefix) && (!pageToken || it > pageToken))
+      .sort()
+    const page = maxResults ? names.slice(0, maxResults) : names
+
+    const files = await Promise.all(page.map(async it => {
+      const file = this.file(it)
+      await file.getMetadata()
+      return file
+    }))
+    const next = page.length < names.length ? { prefix, maxResults, pageToken: page[page.length - 1] } : null
+
+    return [files, next]
+  }
+
+  async _init () {
+    if (!this._ready) {
+      this._ready = Promise.all([OBJECTS, METADATA].map(it => mkdir(path.join(this._dir, it), { recursive: true })))
+    }
+    return this._ready
+  }
+
+  _pathOf (kind, name) {
+    return path.join(this._dir, kind, encodeURIComponent(name).replace(/\./g, '%2E'))
+  }
+
+  _notFound (name) {
+    return Object.assign(new Error(`No such object: ${this.name}/${name}`), { code: 404 })
+  }
+}
+
+class FileSystemFile {
+  constructor (bucket, name) {
+    this.bucket = bucket
+    this.name = name
+    this.metadata = {}
+  }
+
+  /**
+   * @param {Buffer|string} data
+   * @param {object} [options] As given to the `@google-cloud/storage` `File#save`, of which only `contentType` & `metadata`, which may give `contentType` & custom `metadata`, matter.
+   * @return {Promise<void>}
+   */
+  async save (data, { contentType, metadata = {} } = {}) {
+    await this.bucket._init()
+
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data)
+    this.metadata = {
+      name: this.name,
+      bucket: this.bucket.name,
+      contentType: contentType || metadata.contentType || 'application/octet-stream',
+      size: String(content.length),
+      updated: this.bucket._clock().toISOString(),
+      metadata: metadata.metadata || undefined
+    }
+
+    await writeFile(this.bucket._pathOf(OBJECTS, this.name), content)
+    await writeFile(this.bucket._pathOf(METADATA, this.name), JSON.stringify(this.metadata))
+  }
+
+  /**
+   * Returns a stream to which to write the content of this file, which is saved once the stream ends.
+   *
+   * @param {object} [options] As described in {@link save}.
+   * @return {Writable}
+   */
+  createWriteStream (options) {
+    const chunks = []
+
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding))
+        callback()
+      },
+      final: callback => {
+        this.save(Buffer.concat(chunks), options).then(() => callback(), callback)
+      }
+    })
+  }
+
+  async download () {
+    try {
+      return [await readFile(this.bucket._pathOf(OBJECTS, this.name))]
+    } catch (e) {
+      throw e.code === 'ENOENT' ? this.bucket._notFound(this.name) : e
+    }
+  }
+
+  createReadStream () {
+    const stream = new PassThrough()
+    this.download().then(([data]) => stream.end(data), e => stream.destroy(e))
+    return stream
+  }
+
+  async getMetadata () {
+    try {
+      this.metadata = JSON.parse(await readFile(this.bucket._pathOf(METADATA, this.name), 'utf8'))
+      return [this.metadata]
+    } catch (e) {
+      throw e.code === 'ENOENT' ? this.bucket._notFound(this.name) : e
+    }
+  }
+
+  async exists () {
+    try {
+      await this.getMetadata()
+      return [true]
+    } catch (e) {
+      if (e.code === 404) return [false]
+      throw e
+    }
+  }
+
+  async delete () {
+    try {
+      await unlink(this.bucket._pathOf(OBJECTS, this.name))
+    } catch (e) {
+      throw e.code === 'ENOENT' ? this.bucket._notFound(this.name) : e
+    }
+    await unlink(this.bucket._pathOf(METADATA, this.name))
+    return [{}]
+  }
+}
+
+FileSystemBucket.FileSystemFile = FileSystemFile
+
+module.exports = FileSystemBucket
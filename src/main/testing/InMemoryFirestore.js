@@ -0,0 +1,864 @@
+'use strict'
+
+const { Timestamp, FieldPath, GeoPoint } = require('@google-cloud/firestore')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
+
+const compareValues = require('../repositories/compareValues')
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+const DOCUMENT_ID = '__name__'
+
+const GRPC_CODES = {
+  INVALID_ARGUMENT: 3,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  ABORTED: 10
+}
+
+// the operators supported by the pinned version of the Firestore client
+const OPERATORS = ['<', '<=', '==', '>=', '>', 'array-contains']
+const INEQUALITY_OPERATORS = ['<', '<=', '>=', '>']
+
+const grpcError = (name, details) => Object.assign(new Error(`${GRPC_CODES[name]} ${name}: ${details}`), {
+  code: GRPC_CODES[name],
+  details
+})
+
+const segmentsOf = path => path.split('/').filter(it => it)
+
+const isDocumentId = it => it === DOCUMENT_ID || (it instanceof FieldPath && it.isEqual(FieldPath.documentId()))
+
+const fieldSegmentsOf = it => {
+  if (it instanceof FieldPath) return it.segments
+  if (typeof it === 'string' && it) return it.split('.')
+  throw new IllegalArgumentError({ msg: `invalid field path: ${it}` })
+}
+
+const isReference = it => it instanceof DocumentReference || it?.constructor?.name === 'DocumentReference'
+
+const isSentinel = it => typeof it?.methodName === 'string' && it.methodName.startsWith('FieldValue.')
+
+const isMap = it => it !== null && typeof it === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(it))
+
+/**
+ * An in-memory stand-in for a Firestore database, for testing {@link FirestoreRepository}s offline & deterministically.
+ * It emulates the parts of the Firestore API used by repositories: collections & documents, reads, writes (including merges, field transforms & preconditions), queries, transactions, batches & snapshot listeners.
+ *
+ * Values are stored the way Firestore stores them: `Date`s become `Timestamp`s, `Timestamp`s, `GeoPoint`s & `DocumentReference`s round-trip as is, and `undefined` values, nested arrays & instances of custom classes are rejected.
+ * Failed writes reject with errors carrying the same numeric gRPC codes as Firestore's.
+ * Queries are held to the same rules as with the pinned version of the Firestore client & the Firestore backend, so that queries that Firestore would reject fail here too:
+ * only the client's operators are accepted, inequality filters must all be on the same field, which must be the first one ordered by, if any, & at most one `array-contains` filter is allowed.
+ *
+ * Write & read times come from the given clock, & are nudged forward if need be so that successive writes always have distinct, increasing times.
+ * Snapshot listeners are notified asynchronously, as with Firestore; `await` a {@link settle} after writing to make sure they've been called.
+ */
+class InMemoryFirestore {
+  /**
+   * Constructs a new, empty database.
+   *
+   * @param {function(): Timestamp} [clock] The source of the current time; defaults to `Timestamp.now`.
+   * @param {function(): string} [autoId] The generator of ids for new documents; defaults to Firestore-like random ids.
+   */
+  constructor ({ clock = () => Timestamp.now(), autoId = InMemoryFirestore.autoId } = {}) {
+    this._clock = clock
+    this._autoId = autoId
+    this._documents = new Map()
+    this._listeners = new Set()
+    this._revision = 0
+    this._lastWriteTime = null
+  }
+
+  static autoId () {
+    let id = ''
+    for (let i = 0; i < 20; i++) id += AUTO_ID_CHARS.charAt(Math.floor(Math.random() * AUTO_ID_CHARS.length))
+    return id
+  }
+
+  collection (path) {
+    if (segmentsOf(path).length % 2 !== 1) throw new IllegalArgumentError({ msg: `not a collection path: ${path}` })
+    return new CollectionReference(this, segmentsOf(path).join('/'))
+  }
+
+  doc (path) {
+    if (!path || segmentsOf(path).length % 2 !== 0) throw new IllegalArgumentError({ msg: `not a document path: ${path}` })
+    return new DocumentReference(this, segmentsOf(path).join('/'))
+  }
+
+  async getAll (...refs) {
+    const readTime = this._clock()
+    return refs.map(ref => this._snapshotOf(ref, readTime))
+  }
+
+  async listCollections () {
+    return this._collectionsUnder('')
+  }
+
+  batch () {
+    return new WriteBatch(this)
+  }
+
+  /**
+   * Runs the given function in a transaction.
+   * As with Firestore, all reads must precede all writes, the function is retried if any document it read changed before its writes were committed, and it isn't retried if it rejects.
+   *
+   * @param {function(Transaction): Promise<*>} fn
+   * @param {number} [maxAttempts] The maximum number of attempts to make; defaults to {@link DEFAULT_MAX_ATTEMPTS}.
+   * @return {Promise<*>} The value returned by the given function.
+   */
+  async runTransaction (fn, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    let error
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const transaction = new Transaction(this)
+      const result = await fn(transaction)
+      try {
+        transaction._commit()
+        return result
+      } catch (e) {
+        if (e.code !== GRPC_CODES.ABORTED) throw e
+        error = e
+      }
+    }
+    throw error
+  }
+
+  /**
+   * Returns a promise that resolves once all pending snapshot listener notifications have been delivered.
+   *
+   * @return {Promise<void>}
+   */
+  async settle () {
+    return new Promise(resolve => setImmediate(resolve))
+  }
+
+  _snapshotOf (ref, readTime = this._clock()) {
+    return new DocumentSnapshot(ref, this._documents.get(ref.path), readTime)
+  }
+
+  _documentsIn (collectionPath) {
+    const documents = []
+    this._documents.forEach((entry, path) => {
+      if (path.substring(0, path.lastIndexOf('/')) === collectionPath) documents.push(new DocumentReference(this, path))
+    })
+    return documents
+  }
+
+  _collectionsUnder (documentPath) {
+    const depth = documentPath ? segmentsOf(documentPath).length : 0
+    const ids = new Set()
+    this._documents.forEach((entry, path) => {
+      if (documentPath && !path.startsWith(`${documentPath}/`)) return
+      ids.add(segmentsOf(path)[depth])
+    })
+    return [...ids].sort().map(id => new CollectionReference(this, documentPath ? `${documentPath}/${id}` : id))
+  }
+
+  _nextWriteTime () {
+    let time = this._clock()
+    const last = this._lastWriteTime
+    if (last && compareValues(time, last) <= 0) {
+      const nanoseconds = last.nanoseconds + 1000
+      time = new Timestamp(last.seconds + Math.floor(nanoseconds / 1e9), nanoseconds % 1e9)
+    }
+    return (this._lastWriteTime = time)
+  }
+
+  /**
+   * Applies the given writes atomically: either all of them are applied or, if any fails its precondition, none is.
+   */
+  _commit (writes) {
+    const writeTime = this._nextWriteTime()
+    const staged = new Map()
+
+    writes.forEach(write => {
+      const current = staged.has(write.path) ? staged.get(write.path) : this._documents.get(write.path)
+      const data = applyWrite(write, current, writeTime)
+      staged.set(write.path, data && { data })
+    })
+
+    staged.forEach((staging, path) => {
+      if (!staging) {
+        this._documents.delete(path)
+        return
+      }
+      const current = this._documents.get(path)
+      this._documents.set(path, {
+        data: staging.data,
+        createTime: current ? current.createTime : writeTime,
+        updateTime: writeTime,
+        revision: ++this._revision
+      })
+    })
+
+    this._notify()
+
+    return writes.map(() => ({ writeTime }))
+  }
+
+  _listen (target, onNext, onError = () => {}) {
+    const listener = { target, onNext, onError, active: true, last: undefined }
+    this._listeners.add(listener)
+    this._emit(listener, true)
+    return () => {
+      listener.active = false
+      this._listeners.delete(listener)
+    }
+  }
+
+  _notify () {
+    this._listeners.forEach(it => this._emit(it, false))
+  }
+
+  // takes the snapshot now, but delivers it later, as Firestore does
+  _emit (listener, initial) {
+    let snapshot, key
+    try {
+      if (listener.target instanceof DocumentReference) {
+        snapshot = this._snapshotOf(listener.target)
+        key = snapshot.exists ? this._documents.get(listener.target.path).revision : 0
+      } else {
+        snapshot = listener.target._snapshot(listener.last?.docs)
+        key = snapshot.docs.map(it => `${it.ref.path}@${this._documents.get(it.ref.path).revision}`).join()
+      }
+    } catch (e) {
+      setImmediate(() => listener.active && listener.onError(e))
+      return
+    }
+
+    if (!initial && key === listener.lastKey) return
+    listener.last = snapshot
+    listener.lastKey = key
+    setImmediate(() => listener.active && listener.onNext(snapshot))
+  }
+}
+
+class DocumentReference {
+  constructor (firestore, path) {
+    this._firestore = firestore
+    this._path = path
+  }
+
+  get firestore () {
+    return this._firestore
+  }
+
+  get id () {
+    return this._path.substring(this._path.lastIndexOf('/') + 1)
+  }
+
+  get path () {
+    return this._path
+  }
+
+  get parent () {
+    return new CollectionReference(this._firestore, this._path.substring(0, this._path.lastIndexOf('/')))
+  }
+
+  collection (path) {
+    return this._firestore.collection(`${this._path}/${path}`)
+  }
+
+  async listCollections () {
+    return this._firestore._collectionsUnder(this._path)
+  }
+
+  isEqual (other) {
+    return isReference(other) && other.path === this._path
+  }
+
+  async get () {
+    return this._firestore._snapshotOf(this)
+  }
+
+  // builds the write synchronously so that invalid data throws, as with Firestore
+  create (data) {
+    return this._write(toWrite('create', this, data))
+  }
+
+  set (data, options) {
+    return this._write(toWrite('set', this, data, options))
+  }
+
+  update (...args) {
+    return this._write(toWrite('update', this, toUpdateData(args)))
+  }
+
+  delete () {
+    return this._write(toWrite('delete', this))
+  }
+
+  async _write (write) {
+    return this._firestore._commit([write])[0]
+  }
+
+  onSnapshot (onNext, onError) {
+    return this._firestore._listen(this, onNext, onError)
+  }
+}
+
+class Query {
+  constructor (firestore, path, { filters = [], orders = [], limit, offset, start, end } = {}) {
+    this._firestore = firestore
+    this._path = path
+    this._options = { filters, orders, limit, offset, start, end }
+  }
+
+  get firestore () {
+    return this._firestore
+  }
+
+  where (field, op, value) {
+    if (op === '=') op = '=='
+    if (!OPERATORS.includes(op)) throw new IllegalArgumentError({ msg: `invalid operator: ${op}` })
+    if (value === undefined) throw new IllegalArgumentError({ msg: `undefined value for field ${field}` })
+    if ((value === null || (typeof value === 'number' && isNaN(value))) && op !== '==') {
+      throw new IllegalArgumentError({ msg: `only equality comparisons are allowed on ${value}` })
+    }
+    if (this._options.start || this._options.end) throw new IllegalStateError({ msg: 'where must precede any cursor' })
+    return this._with({ filters: [...this._options.filters, { field, op, value }] })
+  }
+
+  orderBy (field, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) throw new IllegalArgumentError({ msg: `invalid direction: ${direction}` })
+    if (this._options.start || this._options.end) throw new IllegalStateError({ msg: 'orderBy must precede any cursor' })
+    return this._with({ orders: [...this._options.orders, { field, direction }] })
+  }
+
+  limit (limit) {
+    return this._with({ limit })
+  }
+
+  offset (offset) {
+    return this._with({ offset })
+  }
+
+  startAt (...values) {
+    return this._with({ start: { values, inclusive: true } })
+  }
+
+  startAfter (...values) {
+    return this._with({ start: { values, inclusive: false } })
+  }
+
+  endAt (...values) {
+    return this._with({ end: { values, inclusive: true } })
+  }
+
+  endBefore (...values) {
+    return this._with({ end: { values, inclusive: false } })
+  }
+
+  async get () {
+    return this._snapshot()
+  }
+
+  onSnapshot (onNext, onError) {
+    return this._firestore._listen(this, onNext, onError)
+  }
+
+  _with (options) {
+    return new Query(this._firestore, this._path, { ...this._options, ...options })
+  }
+
+  _snapshot (previous) {
+    return new QuerySnapshot(this, this._execute(), this._firestore._clock(), previous)
+  }
+
+  // Firestore orders by any inequality field first & always orders by document id last
+  _effectiveOrders () {
+    const orders = [...this._options.orders]
+    if (!orders.length) {
+      const inequality = this._options.filters.find(it => INEQUALITY_OPERATORS.includes(it.op))
+      if (inequality && !isDocumentId(inequality.field)) orders.push({ field: inequality.field, direction: 'asc' })
+    }
+    if (!orders.length || !isDocumentId(orders[orders.length - 1].field)) {
+      orders.push({ field: DOCUMENT_ID, direction: orders.length ? orders[orders.length - 1].direction : 'asc' })
+    }
+    return orders
+  }
+
+  // Firestore's backend rejects queries that it can't serve from a single index scan
+  _validate () {
+    const { filters, orders } = this._options
+    const key = field => isDocumentId(field) ? DOCUMENT_ID : fieldSegmentsOf(field).join('.')
+
+    const inequalities = [...new Set(filters.filter(it => INEQUALITY_OPERATORS.includes(it.op)).map(it => key(it.field)))]
+    if (inequalities.length > 1) {
+      throw grpcError('INVALID_ARGUMENT', `inequality filters must all be on the same field, not on ${inequalities.join(' & ')}`)
+    }
+    if (inequalities.length && orders.length && key(orders[0].field) !== inequalities[0]) {
+      throw grpcError('INVALID_ARGUMENT', `the first orderBy must be on the inequality field ${inequalities[0]}, not on ${key(orders[0].field)}`)
+    }
+    if (filters.filter(it => it.op === 'array-contains').length > 1) {
+      throw grpcError('INVALID_ARGUMENT', 'at most one array-contains filter is allowed')
+    }
+  }
+
+  _valueOf (snapshot, field) {
+    return isDocumentId(field) ? snapshot.ref : snapshot.get(field)
+  }
+
+  _toComparable (field, value) {
+    if (isDocumentId(field) && typeof value === 'string') return new DocumentReference(this._firestore, `${this._path}/${value}`)
+    return toStoredValue(value, { field })
+  }
+
+  _matches (snapshot, { field, op, value }) {
+    const actual = this._valueOf(snapshot, field)
+    if (actual === undefined) return false
+
+    if (op === 'array-contains') {
+      return Array.isArray(actual) && actual.some(it => compareValues(it, this._toComparable(field, value)) === 0)
+    }
+
+    const expected = this._toComparable(field, value)
+    if (op === '==') return compareValues(actual, expected) === 0
+    if (compareValues.typeOrderOf(actual) !== compareValues.typeOrderOf(expected)) return false
+
+    const comparison = compareValues(actual, expected)
+    switch (op) {
+      case '<':
+        return comparison < 0
+      case '<=':
+        return comparison <= 0
+      case '>=':
+        return comparison >= 0
+      case '>':
+        return comparison > 0
+    }
+  }
+
+  _cursorValues (orders, { values }) {
+    if (values.length === 1 && values[0] instanceof DocumentSnapshot) {
+      return orders.map(({ field }) => this._valueOf(values[0], field))
+    }
+    if (values.length > orders.length) throw new IllegalArgumentError({ msg: 'too many cursor values' })
+    return values.map((it, i) => this._toComparable(orders[i].field, it))
+  }
+
+  _execute () {
+    this._validate()
+
+    const { filters, limit, offset, start, end } = this._options
+    const orders = this._effectiveOrders()
+    const readTime = this._firestore._clock()
+
+    let snapshots = this._firestore._documentsIn(this._path)
+      .map(ref => this._firestore._snapshotOf(ref, readTime))
+      .filter(snapshot => orders.every(({ field }) => this._valueOf(snapshot, field) !== undefined))
+      .filter(snapshot => filters.every(it => this._matches(snapshot, it)))
+
+    const compare = (values, other) => {
+      for (let i = 0; i < other.length; i++) {
+        const comparison = compareValues(values[i], other[i]) * (orders[i].direction === 'desc' ? -1 : 1)
+        if (comparison) return comparison
+      }
+      return 0
+    }
+    const valuesOf = snapshot => orders.map(({ field }) => this._valueOf(snapshot, field))
+
+    snapshots.sort((a, b) => compare(valuesOf(a), valuesOf(b)))
+
+    if (start) {
+      const cursor = this._cursorValues(orders, start)
+      snapshots = snapshots.filter(it => start.inclusive ? compare(valuesOf(it), cursor) >= 0 : compare(valuesOf(it), cursor) > 0)
+    }
+    if (end) {
+      const cursor = this._cursorValues(orders, end)
+      snapshots = snapshots.filter(it => end.inclusive ? compare(valuesOf(it), cursor) <= 0 : compare(valuesOf(it), cursor) < 0)
+    }
+
+    const from = offset || 0
+    return snapshots.slice(from, limit === undefined ? snapshots.length : from + limit)
+  }
+}
+
+class CollectionReference extends Query {
+  get id () {
+    return this._path.substring(this._path.lastIndexOf('/') + 1)
+  }
+
+  get path () {
+    return this._path
+  }
+
+  get parent () {
+    const index = this._path.lastIndexOf('/')
+    return index < 0 ? null : new DocumentReference(this._firestore, this._path.substring(0, index))
+  }
+
+  doc (id = this._firestore._autoId()) {
+    return this._firestore.doc(`${this._path}/${id}`)
+  }
+
+  async add (data) {
+    const ref = this.doc()
+    await ref.create(data)
+    return ref
+  }
+
+  async listDocuments () {
+    return this._firestore._documentsIn(this._path)
+  }
+
+  isEqual (other) {
+    return other instanceof CollectionReference && other.path === this._path
+  }
+}
+
+class DocumentSnapshot {
+  constructor (ref, entry, readTime) {
+    this._ref = ref
+    this._entry = entry
+    this._readTime = readTime
+  }
+
+  get ref () {
+    return this._ref
+  }
+
+  get id () {
+    return this._ref.id
+  }
+
+  get exists () {
+    return Boolean(this._entry)
+  }
+
+  get createTime () {
+    return this._entry?.createTime
+  }
+
+  get updateTime () {
+    return this._entry?.updateTime
+  }
+
+  get readTime () {
+    return this._readTime
+  }
+
+  data () {
+    return this._entry ? cloneValue(this._entry.data) : undefined
+  }
+
+  get (field) {
+    if (!this._entry) return undefined
+    const value = fieldSegmentsOf(field).reduce((it, segment) => isMap(it) ? it[segment] : undefined, this._entry.data)
+    return cloneValue(value)
+  }
+
+  isEqual (other) {
+    return other instanceof DocumentSnapshot && this._ref.isEqual(other.ref) && this._entry === other._entry
+  }
+}
+
+class QuerySnapshot {
+  constructor (query, docs, readTime, previous = []) {
+    this._query = query
+    this._docs = docs
+    this._readTime = readTime
+    this._previous = previous
+  }
+
+  get query () {
+    return this._query
+  }
+
+  get docs () {
+    return this._docs
+  }
+
+  get size () {
+    return this._docs.length
+  }
+
+  get empty () {
+    return this._docs.length === 0
+  }
+
+  get readTime () {
+    return this._readTime
+  }
+
+  forEach (callback, thisArg) {
+    this._docs.forEach(it => callback.call(thisArg, it))
+  }
+
+  /**
+   * Returns the changes since the previous snapshot delivered to the same listener; every document is `added` in a snapshot that wasn't preceded by another.
+   */
+  docChanges () {
+    const indexIn = (docs, doc) => docs.findIndex(it => it.ref.path === doc.ref.path)
+    const removed = this._previous
+      .filter(it => indexIn(this._docs, it) < 0)
+      .map(doc => ({ type: 'removed', doc, oldIndex: indexIn(this._previous, doc), newIndex: -1 }))
+    const addedOrModified = this._docs
+      .map((doc, newIndex) => {
+        const oldIndex = indexIn(this._previous, doc)
+        if (oldIndex < 0) return { type: 'added', doc, oldIndex, newIndex }
+        const old = this._previous[oldIndex]
+        if (compareValues(old.updateTime, doc.updateTime) !== 0) return { type: 'modified', doc, oldIndex, newIndex }
+      })
+      .filter(it => it)
+    return [...removed, ...addedOrModified]
+  }
+}
+
+class WriteBatch {
+  constructor (firestore) {
+    this._firestore = firestore
+    this._writes = []
+    this._committed = false
+  }
+
+  create (ref, data) {
+    return this._write(toWrite('create', ref, data))
+  }
+
+  set (ref, data, options) {
+    return this._write(toWrite('set', ref, data, options))
+  }
+
+  update (ref, ...args) {
+    return this._write(toWrite('update', ref, toUpdateData(args)))
+  }
+
+  delete (ref) {
+    return this._write(toWrite('delete', ref))
+  }
+
+  async commit () {
+    if (this._committed) throw new IllegalStateError({ msg: 'batch already committed' })
+    this._committed = true
+    return this._firestore._commit(this._writes)
+  }
+
+  _write (write) {
+    if (this._committed) throw new IllegalStateError({ msg: 'batch already committed' })
+    this._writes.push(write)
+    return this
+  }
+}
+
+class Transaction extends WriteBatch {
+  constructor (firestore) {
+    super(firestore)
+    this._reads = new Map()
+  }
+
+  async get (refOrQuery) {
+    this._assertNoWrites()
+    if (refOrQuery instanceof Query) {
+      const snapshot = refOrQuery._snapshot()
+      snapshot.docs.forEach(it => this._read(it))
+      return snapshot
+    }
+    return this._read(this._firestore._snapshotOf(refOrQuery))
+  }
+
+  async getAll (...refs) {
+    this._assertNoWrites()
+    return refs.map(it => this._read(this._firestore._snapshotOf(it)))
+  }
+
+  async commit () {
+    throw new IllegalStateError({ msg: 'transactions are committed by runTransaction' })
+  }
+
+  _assertNoWrites () {
+    if (this._writes.length) throw new IllegalStateError({ msg: 'transactions require all reads to be executed before all writes' })
+  }
+
+  _read (snapshot) {
+    if (!this._reads.has(snapshot.ref.path)) this._reads.set(snapshot.ref.path, this._revisionOf(snapshot.ref.path))
+    return snapshot
+  }
+
+  _revisionOf (path) {
+    return this._firestore._documents.get(path)?.revision || 0
+  }
+
+  _commit () {
+    this._reads.forEach((revision, path) => {
+      if (this._revisionOf(path) !== revision) throw grpcError('ABORTED', `too much contention on ${path}`)
+    })
+    this._committed = true
+    return this._firestore._commit(this._writes)
+  }
+}
+
+/**
+ * Converts the given value to the form in which Firestore would store it, throwing if Firestore would reject it.
+ * Field value sentinels are left in place for {@link applyWrite} when `sentinels` is truthy.
+ */
+function toStoredValue (it, { field, sentinels = false, inArray = false } = {}) {
+  const fail = msg => { throw new IllegalArgumentError({ msg: `${msg}${field ? ` (found in field ${field})` : ''}` }) }
+
+  if (it === undefined) fail('cannot use undefined as a Firestore value')
+  if (it === null || ['boolean', 'number', 'string'].includes(typeof it)) return it
+  if (it instanceof Timestamp || it instanceof GeoPoint || isReference(it)) return it
+  if (it instanceof Date) return Timestamp.fromDate(it)
+  if (Buffer.isBuffer(it) || it instanceof Uint8Array) return Buffer.from(it)
+  if (isSentinel(it)) {
+    if (!sentinels || inArray) fail(`${it.methodName}() cannot be used here`)
+    return it
+  }
+  if (Array.isArray(it)) {
+    if (inArray) fail('nested arrays are not supported')
+    return it.map((element, i) => toStoredValue(element, { field: field ? `${field}.${i}` : `${i}`, inArray: true }))
+  }
+  if (isMap(it)) {
+    return Object.keys(it).reduce((accum, key) => {
+      accum[key] = toStoredValue(it[key], { field: field ? `${field}.${key}` : key, sentinels: sentinels && !inArray, inArray })
+      return accum
+    }, {})
+  }
+  fail(`cannot use custom type ${it?.constructor?.name || typeof it} as a Firestore value`)
+}
+
+function cloneValue (it) {
+  if (Array.isArray(it)) return it.map(cloneValue)
+  if (Buffer.isBuffer(it)) return Buffer.from(it)
+  if (isMap(it)) {
+    return Object.keys(it).reduce((accum, key) => {
+      accum[key] = cloneValue(it[key])
+      return accum
+    }, {})
+  }
+  return it
+}
+
+function toUpdateData (args) {
+  if (args.length === 1) {
+    if (!isMap(args[0])) throw new IllegalArgumentError({ msg: 'update requires an object' })
+    return Object.keys(args[0]).map(key => [fieldSegmentsOf(key), args[0][key]])
+  }
+  if (args.length % 2 !== 0) throw new IllegalArgumentError({ msg: 'update requires alternating field paths & values' })
+  const fields = []
+  for (let i = 0; i < args.length; i += 2) fields.push([fieldSegmentsOf(args[i]), args[i + 1]])
+  return fields
+}
+
+function toWrite (type, ref, data, { merge = false, mergeFields } = {}) {
+  if (!isReference(ref)) throw new IllegalArgumentError({ msg: 'not a document reference' })
+  const write = { type, path: ref.path }
+
+  switch (type) {
+    case 'delete':
+      return write
+    case 'update':
+      if (!data.length) throw new IllegalArgumentError({ msg: 'update requires at least one field' })
+      write.fields = data.map(([segments, value]) => [segments, toStoredValue(value, { field: segments.join('.'), sentinels: true })])
+      return write
+  }
+
+  if (!isMap(data)) throw new IllegalArgumentError({ msg: `${type} requires an object` })
+  write.data = toStoredValue(data, { sentinels: true })
+  write.merge = merge
+  write.mergeFields = mergeFields && mergeFields.map(fieldSegmentsOf)
+  if (!(merge || mergeFields)) assertNoDeletes(write.data)
+  return write
+}
+
+function assertNoDeletes (data) {
+  Object.keys(data).forEach(key => {
+    if (data[key]?.methodName === 'FieldValue.delete') throw new IllegalArgumentError({ msg: `FieldValue.delete() cannot be used without merge (found in field ${key})` })
+    if (isMap(data[key])) assertNoDeletes(data[key])
+  })
+}
+
+/**
+ * Returns the data the document at the write's path has after applying the given write, or `null` if it no longer exists.
+ */
+function applyWrite (write, current, writeTime) {
+  const exists = Boolean(current)
+
+  switch (write.type) {
+    case 'delete':
+      return null
+    case 'create':
+      if (exists) throw grpcError('ALREADY_EXISTS', `Document already exists: ${write.path}`)
+      return mergeInto({}, write.data, writeTime)
+    case 'update': {
+      if (!exists) throw grpcError('NOT_FOUND', `No document to update: ${write.path}`)
+      const data = cloneValue(current.data)
+      write.fields.forEach(([segments, value]) => setIn(data, segments, value, writeTime))
+      return data
+    }
+  }
+
+  if (write.mergeFields) {
+    const data = cloneValue(current?.data || {})
+    write.mergeFields.forEach(segments => {
+      const value = segments.reduce((it, segment) => isMap(it) ? it[segment] : undefined, write.data)
+      if (value === undefined) throw new IllegalArgumentError({ msg: `merge field ${segments.join('.')} not in data` })
+      setIn(data, segments, value, writeTime)
+    })
+    return data
+  }
+
+  return mergeInto(write.merge ? cloneValue(current?.data || {}) : {}, write.data, writeTime)
+}
+
+function mergeInto (target, source, writeTime) {
+  Object.keys(source).forEach(key => {
+    const value = source[key]
+    if (isMap(value)) {
+      if (!isMap(target[key])) target[key] = {}
+      mergeInto(target[key], value, writeTime)
+    } else {
+      setIn(target, [key], value, writeTime)
+    }
+  })
+  return target
+}
+
+function setIn (target, segments, value, writeTime) {
+  const parent = segments.slice(0, -1).reduce((it, segment) => {
+    if (!isMap(it[segment])) it[segment] = {}
+    return it[segment]
+  }, target)
+  const key = segments[segments.length - 1]
+  const current = parent[key]
+
+  switch (value?.methodName) {
+    case 'FieldValue.delete':
+      delete parent[key]
+      return
+    case 'FieldValue.serverTimestamp':
+      parent[key] = writeTime
+      return
+    case 'FieldValue.increment':
+      parent[key] = (typeof current === 'number' ? current : 0) + value.operand
+      return
+    case 'FieldValue.arrayUnion': {
+      const array = Array.isArray(current) ? [...current] : []
+      value.elements.map(it => toStoredValue(it, { inArray: true })).forEach(element => {
+        if (!array.some(it => compareValues(it, element) === 0)) array.push(element)
+      })
+      parent[key] = array
+      return
+    }
+    case 'FieldValue.arrayRemove': {
+      const elements = value.elements.map(it => toStoredValue(it, { inArray: true }))
+      parent[key] = (Array.isArray(current) ? current : []).filter(it => !elements.some(element => compareValues(it, element) === 0))
+      return
+    }
+  }
+
+  parent[key] = isMap(value) ? mergeInto({}, value, writeTime) : value
+}
+
+InMemoryFirestore.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS
+InMemoryFirestore.GRPC_CODES = GRPC_CODES
+InMemoryFirestore.DocumentReference = DocumentReference
+InMemoryFirestore.CollectionReference = CollectionReference
+InMemoryFirestore.Query = Query
+InMemoryFirestore.DocumentSnapshot = DocumentSnapshot
+InMemoryFirestore.QuerySnapshot = QuerySnapshot
+InMemoryFirestore.WriteBatch = WriteBatch
+InMemoryFirestore.Transaction = Transaction
+InMemoryFirestore.compareValues = compareValues
+
+module.exports = InMemoryFirestore
@@ -0,0 +1,3 @@
+'use strict'
+
+module.exports = require('@scispike/nodejs-support').require.jsFilesExceptIndexIn(__dirname)
@@ -0,0 +1,32 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { useEmulator, deleteCollection } = require('./emulator')
+
+describe('integration tests of the Firestore emulator harness', () => {
+  const firestore = useEmulator()
+
+  it('should give each test its own collections, to be deleted after it', () => {
+    const name = firestore.collection('things')
+
+    expect(name).to.equal(`${firestore.prefix}-things`)
+    expect(firestore.prefix).to.match(/^it-[0-9a-f]{12}$/)
+    expect([...firestore.collections]).to.deep.equal([name])
+  })
+
+  it('should delete collections, including subcollections', async () => {
+    const things = firestore.db.collection(firestore.collection('things'))
+    await things.doc('a').set({ x: 1 })
+    await things.doc('a').collection('parts').doc('b').set({ y: 2 })
+    await things.doc('c').set({ x: 3 })
+
+    expect(await deleteCollection(things)).to.equal(3)
+    expect((await things.get()).empty).to.be.true()
+    expect((await things.doc('a').collection('parts').get()).empty).to.be.true()
+  })
+})
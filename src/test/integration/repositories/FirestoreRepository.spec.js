@@ -0,0 +1,143 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { trait } = require('mutrait')
+const moment = require('moment-timezone')
+const { Timestamp } = require('@google-cloud/firestore')
+const FirestoreRepository = require('../../../main/repositories/FirestoreRepository')
+const DayOfWeek = require('../../../main/entities/DayOfWeek')
+const Period = require('../../../main/entities/Period')
+const DatePeriod = require('../../../main/entities/DatePeriod')
+const ObjectExistsError = require('../../../main/errors/ObjectExistsError')
+const ObjectNotFoundError = require('../../../main/errors/ObjectNotFoundError')
+const { useEmulator } = require('../emulator')
+
+class Shift {
+  get id () {
+    return this._id
+  }
+}
+
+class ShiftRepository extends trait(FirestoreRepository) {
+  constructor (db, name) {
+    super(...arguments)
+    this._initFirestoreRepository(db, name)
+  }
+
+  get _schema () {
+    return {
+      create: () => new Shift(),
+      fields: {
+        id: 'string',
+        worker: 'string',
+        day: DayOfWeek,
+        days: [DayOfWeek],
+        hours: Period,
+        leave: DatePeriod
+      }
+    }
+  }
+}
+
+class ZonedShiftRepository extends ShiftRepository {
+  get _zonedPeriods () {
+    return true
+  }
+}
+
+describe('integration tests of FirestoreRepository against the Firestore emulator', () => {
+  const firestore = useEmulator()
+
+  const shift = props => Object.assign(new Shift(), props)
+
+  it('should insert, upsert, find & get entities', async () => {
+    const repo = new ShiftRepository(firestore.db, firestore.collection('shifts'))
+
+    await repo.insert(shift({ _id: 'a', _worker: 'ann' }))
+    expect((await repo.getById('a'))._worker).to.equal('ann')
+
+    try {
+      await repo.insert(shift({ _id: 'a', _worker: 'bob' }))
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(ObjectExistsError)
+    }
+
+    const upserted = shift({ _worker: 'cat' })
+    await repo.upsert(upserted)
+    expect(upserted._id).to.be.a('string')
+    await repo.upsert(shift({ _id: 'a', _worker: 'bob' }))
+
+    expect((await repo.findById('a'))._worker).to.equal('bob')
+    expect((await repo.getById(upserted._id))._worker).to.equal('cat')
+
+    expect(await repo.findById('nope')).to.be.null()
+    try {
+      await repo.getById('nope')
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+    }
+  })
+
+  it('should round-trip periods', async () => {
+    const name = firestore.collection('shifts')
+    const repo = new ShiftRepository(firestore.db, name)
+    const hours = new Period(moment.utc('2020-03-06T14:00:00.123Z'), moment.utc('2020-03-06T22:00:00Z'))
+    const leave = new DatePeriod(moment.utc('2020-03-09'), null)
+
+    await repo.upsert(shift({ _id: 'a', _hours: hours, _leave: leave }))
+
+    const doc = (await firestore.db.collection(name).doc('a').get()).data()
+    expect(doc._hours._begin).to.be.an.instanceOf(Timestamp)
+    expect(doc._leave).to.not.have.property('_end')
+
+    const found = await repo.getById('a')
+    expect(found._hours).to.be.an.instanceOf(Period)
+    expect(found._hours.begin.isSame(hours.begin)).to.be.true()
+    expect(found._hours.end.isSame(hours.end)).to.be.true()
+    expect(found._leave).to.be.an.instanceOf(DatePeriod)
+    expect(found._leave.begin.isSame(leave.begin)).to.be.true()
+    expect(found._leave.end).to.not.be.ok()
+  })
+
+  it('should round-trip zoned periods', async () => {
+    const name = firestore.collection('shifts')
+    const repo = new ZonedShiftRepository(firestore.db, name)
+    const hours = new Period(moment.tz('2020-03-06T22:00:00', 'America/Chicago'), moment.tz('2020-03-07T06:00:00', 'America/Chicago'))
+
+    await repo.upsert(shift({ _id: 'a', _hours: hours, _leave: new DatePeriod(moment.utc('2020-03-09'), moment.utc('2020-03-13')) }))
+
+    const doc = (await firestore.db.collection(name).doc('a').get()).data()
+    expect(doc._hours._zone).to.equal('America/Chicago')
+    expect(doc._leave._begin).to.equal('2020-03-09')
+
+    const found = await repo.getById('a')
+    expect(found._hours.zone).to.equal('America/Chicago')
+    expect(found._hours.begin.format('dddd')).to.equal('Friday')
+    expect(found._leave.end.isSame(moment.utc('2020-03-13'))).to.be.true()
+  })
+
+  it('should map enums by name', async () => {
+    const name = firestore.collection('shifts')
+    const repo = new ShiftRepository(firestore.db, name)
+
+    await repo.upsert(shift({ _id: 'a', _day: DayOfWeek.MONDAY, _days: [DayOfWeek.SATURDAY, DayOfWeek.SUNDAY] }))
+    await repo.upsert(shift({ _id: 'b', _day: DayOfWeek.TUESDAY }))
+
+    const doc = (await firestore.db.collection(name).doc('a').get()).data()
+    expect(doc._day).to.equal('MONDAY')
+    expect(doc._days).to.deep.equal(['SATURDAY', 'SUNDAY'])
+
+    const found = await repo.getById('a')
+    expect(found._day).to.equal(DayOfWeek.MONDAY)
+    expect(found._days).to.deep.equal([DayOfWeek.SATURDAY, DayOfWeek.SUNDAY])
+
+    expect((await repo.findAll({ where: { _day: DayOfWeek.TUESDAY } })).map(it => it._id)).to.deep.equal(['b'])
+  })
+})
@@ -0,0 +1,88 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const crypto = require('crypto')
+const FieldCipher = require('../../../main/encryption/FieldCipher')
+const LocalKeyProvider = require('../../../main/encryption/LocalKeyProvider')
+const EncryptionError = require('../../../main/errors/EncryptionError')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+const k1 = crypto.randomBytes(32)
+const k2 = crypto.randomBytes(32)
+
+describe('unit tests of FieldCipher', () => {
+  it('should encrypt randomly by default & deterministically on request', () => {
+    const cipher = new FieldCipher(new LocalKeyProvider({ keys: { k1 } }))
+
+    const a = cipher.encrypt('secret')
+    const b = cipher.encrypt('secret')
+    expect(a.keyId).to.equal('k1')
+    expect(a.value).to.not.equal(b.value)
+    expect(a.value).to.not.contain('secret')
+    expect(cipher.decrypt(a)).to.equal('secret')
+    expect(cipher.decrypt(b)).to.equal('secret')
+
+    const c = cipher.encrypt('secret', { deterministic: true })
+    expect(cipher.encrypt('secret', { deterministic: true })).to.deep.equal(c)
+    expect(cipher.encrypt('secreT', { deterministic: true }).value).to.not.equal(c.value)
+    expect(cipher.decrypt(c)).to.equal('secret')
+  })
+
+  it('should decrypt with rotated keys by id', () => {
+    const before = new FieldCipher(new LocalKeyProvider({ keys: { k1 } })).encrypt('secret', { deterministic: true })
+    const cipher = new FieldCipher(new LocalKeyProvider({ keys: { k1: k1.toString('base64'), k2 }, currentKeyId: 'k2' }))
+
+    const after = cipher.encrypt('secret', { deterministic: true })
+    expect(after.keyId).to.equal('k2')
+    expect(after.value).to.not.equal(before.value)
+    expect(cipher.decrypt(before)).to.equal('secret')
+    expect(cipher.decrypt(after)).to.equal('secret')
+  })
+
+  it('should authenticate additional data', () => {
+    const cipher = new FieldCipher(new LocalKeyProvider({ keys: { k1 } }))
+
+    const random = cipher.encrypt('secret', { aad: 'a' })
+    expect(cipher.decrypt(random, { aad: 'a' })).to.equal('secret')
+    expect(() => cipher.decrypt(random, { aad: 'b' })).to.throw(EncryptionError)
+    expect(() => cipher.decrypt(random)).to.throw(EncryptionError)
+
+    const deterministic = cipher.encrypt('secret', { deterministic: true, aad: 'a' })
+    expect(cipher.encrypt('secret', { deterministic: true, aad: 'a' })).to.deep.equal(deterministic)
+    expect(cipher.decrypt(deterministic, { aad: 'a' })).to.equal('secret')
+    expect(() => cipher.decrypt(deterministic, { aad: 'b' })).to.throw(EncryptionError)
+  })
+
+  it('should never reuse a deterministic initialization vector under other additional data', () => {
+    const cipher = new FieldCipher(new LocalKeyProvider({ keys: { k1 } }))
+    const ivOf = it => Buffer.from(it.value, 'base64').slice(0, 12).toString('hex')
+
+    const values = [
+      cipher.encrypt('secret', { deterministic: true }),
+      cipher.encrypt('secret', { deterministic: true, aad: '["_email"]' }),
+      cipher.encrypt('secret', { deterministic: true, aad: '["_backupEmail"]' }),
+      cipher.encrypt('cret', { deterministic: true, aad: '["_email"]se' }) // same concatenation as the second, but not the same data
+    ]
+
+    expect(new Set(values.map(ivOf)).size).to.equal(values.length)
+    expect(new Set(values.map(it => it.value)).size).to.equal(values.length)
+  })
+
+  it('should fail on missing keys & tampered values', () => {
+    const cipher = new FieldCipher(new LocalKeyProvider({ keys: { k1 } }))
+    const { keyId, value } = cipher.encrypt('secret')
+    const tampered = Buffer.from(value, 'base64')
+    tampered[tampered.length - 1] ^= 1
+
+    expect(() => cipher.decrypt({ keyId: 'k0', value })).to.throw(EncryptionError)
+    expect(() => cipher.decrypt({ keyId, value: tampered.toString('base64') })).to.throw(EncryptionError)
+    expect(() => cipher.decrypt({ keyId, value: 'c2hvcnQ=' })).to.throw(EncryptionError)
+    expect(() => new FieldCipher(new LocalKeyProvider({ keys: { k1: Buffer.alloc(16) } })).encrypt('secret')).to.throw(EncryptionError)
+    expect(() => new LocalKeyProvider({ keys: { k1 }, currentKeyId: 'k2' })).to.throw(IllegalArgumentError)
+  })
+})
@@ -0,0 +1,49 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const crypto = require('crypto')
+const KmsKeyProvider = require('../../../main/encryption/KmsKeyProvider')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
+
+const keyName = 'projects/p/locations/global/keyRings/r/cryptoKeys/k'
+const wrap = it => Buffer.from(it.map(b => b ^ 0xff))
+
+const kmsMock = log => ({
+  decrypt: async ({ name, ciphertext }) => {
+    log.push(name)
+    return [{ plaintext: wrap(ciphertext) }]
+  }
+})
+
+describe('unit tests of KmsKeyProvider', () => {
+  it('should unwrap data keys via KMS on init', async () => {
+    const log = []
+    const k1 = crypto.randomBytes(32)
+    const k2 = crypto.randomBytes(32)
+    const keys = new KmsKeyProvider({
+      client: kmsMock(log),
+      keyName,
+      wrappedKeys: { k1: wrap(k1).toString('base64'), k2: wrap(k2) }
+    })
+
+    expect(keys.currentKeyId()).to.equal('k2')
+    expect(() => keys.getKey('k1')).to.throw(IllegalStateError)
+
+    expect(await keys.init()).to.equal(keys)
+    expect(log).to.deep.equal([keyName, keyName])
+    expect(keys.getKey('k1').equals(k1)).to.be.true()
+    expect(keys.getKey('k2').equals(k2)).to.be.true()
+    expect(keys.getKey('k3')).to.be.undefined()
+  })
+
+  it('should require a client, key name & current key', () => {
+    expect(() => new KmsKeyProvider({ keyName, wrappedKeys: { k1: 'AA==' } })).to.throw(IllegalArgumentError)
+    expect(() => new KmsKeyProvider({ client: kmsMock([]), keyName, wrappedKeys: { k1: 'AA==' }, currentKeyId: 'k2' })).to.throw(IllegalArgumentError)
+  })
+})
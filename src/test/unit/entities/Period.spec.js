@@ -0,0 +1,61 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const moment = require('moment-timezone')
+const Period = require('../../../main/entities/Period')
+const BasePeriod = require('@scispike/nodejs-support').entities.Period
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+describe('unit tests of Period', () => {
+  const zone = 'America/Chicago'
+
+  it('should keep the zone of the moments given to its constructor', () => {
+    const period = new Period(moment.tz('2020-03-06T22:00:00', zone), moment.tz('2020-03-07T06:00:00', zone))
+
+    expect(period).to.be.an.instanceOf(BasePeriod)
+    expect(period.zone).to.equal(zone)
+    expect(period.begin.tz()).to.equal(zone)
+    expect(period.begin.format('dddd HH:mm')).to.equal('Friday 22:00')
+    expect(period.end.format('HH:mm')).to.equal('06:00')
+    expect(period._begin.isUTC()).to.be.true()
+
+    expect(new Period(undefined, moment.tz('2020-03-07T06:00:00', zone)).zone).to.equal(zone)
+    expect(new Period(moment.tz('2020-03-06T04:00:00Z', 'UTC')).zone).to.equal('UTC')
+    expect(new Period(moment.utc('2020-03-06T04:00:00Z')).zone).to.be.undefined()
+  })
+
+  it('should take its zone from its constructor or its setter', () => {
+    const period = new Period(moment.utc('2020-03-06T04:00:00Z'), moment.utc('2020-03-06T12:00:00Z'), 'Asia/Tokyo')
+    expect(period.begin.format('HH:mm')).to.equal('13:00')
+
+    period.zone = zone
+    expect(period.begin.format('HH:mm')).to.equal('22:00')
+    expect(period.withZone(undefined).zone).to.be.undefined()
+    expect(period.begin.format('HH:mm')).to.equal('04:00')
+
+    expect(() => new Period(undefined, undefined, 'Nowhere/Special')).to.throw(IllegalArgumentError)
+    expect(() => period.withZone('Nowhere/Special')).to.throw(IllegalArgumentError)
+  })
+
+  it('should compare by instant & keep its zone when cloned', () => {
+    const chicago = new Period(moment.tz('2020-03-06T22:00:00', zone), moment.tz('2020-03-07T06:00:00', zone))
+    const utc = new Period(moment.utc('2020-03-07T04:00:00Z'), moment.utc('2020-03-07T12:00:00Z'))
+
+    expect(chicago.equals(utc)).to.be.true()
+
+    const clone = chicago.clone()
+    expect(clone).to.be.an.instanceOf(Period)
+    expect(clone.zone).to.equal(zone)
+    expect(clone.equals(chicago)).to.be.true()
+
+    const shift = Period.beginningAtWithMinutes(moment.tz('2020-03-06T22:00:00', zone), 480)
+    expect(shift).to.be.an.instanceOf(Period)
+    expect(shift.zone).to.equal(zone)
+    expect(shift.equals(chicago)).to.be.true()
+  })
+})
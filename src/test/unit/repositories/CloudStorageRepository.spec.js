@@ -0,0 +1,131 @@
+/* global describe, it, beforeEach, afterEach */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
+const { trait } = require('mutrait')
+const CloudStorageRepository = require('../../../main/repositories/CloudStorageRepository')
+const BlobReference = require('../../../main/repositories/BlobReference')
+const FileSystemBucket = require('../../../main/testing/FileSystemBucket')
+const ObjectNotFoundError = require('../../../main/errors/ObjectNotFoundError')
+const PermissionDeniedError = require('../../../main/errors/PermissionDeniedError')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+class AttachmentRepository extends trait(CloudStorageRepository) {
+  constructor (bucket, prefix) {
+    super(...arguments)
+    this._initCloudStorageRepository(bucket, prefix)
+  }
+}
+
+describe('unit tests of CloudStorageRepository trait', () => {
+  let dir, bucket, repo
+
+  const text = async stream => {
+    let it = ''
+    for await (const chunk of stream) it += chunk
+    return it
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'))
+    bucket = new FileSystemBucket({ dir })
+    repo = new AttachmentRepository(bucket, 'attachments/')
+  })
+
+  afterEach(() => fs.remove(dir))
+
+  it('should save, find & delete blobs under its prefix', async () => {
+    const ref = await repo.saveBlob('42/scan.txt', 'hello', { contentType: 'text/plain', metadata: { by: 'ann' } })
+    expect(ref).to.be.an.instanceOf(BlobReference)
+    expect(ref.name).to.equal('42/scan.txt')
+    expect(ref.path).to.equal('attachments/42/scan.txt')
+    expect((await bucket.file('attachments/42/scan.txt').exists())[0]).to.be.true()
+
+    const blob = await repo.getBlob('42/scan.txt')
+    expect(blob.name).to.equal('42/scan.txt')
+    expect(blob.data.toString()).to.equal('hello')
+    expect(blob.contentType).to.equal('text/plain')
+    expect(blob.size).to.equal(5)
+    expect(blob.metadata).to.deep.equal({ by: 'ann' })
+    expect(blob.updated.isValid()).to.be.true()
+    expect((await ref.get()).data.toString()).to.equal('hello')
+
+    expect(await ref.delete()).to.be.true()
+    expect(await repo.deleteBlob('42/scan.txt')).to.be.false()
+    expect(await repo.findBlob('42/scan.txt')).to.be.null()
+    try {
+      await repo.getBlob('42/scan.txt')
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+    }
+  })
+
+  it('should stream blobs in & out', async () => {
+    const upload = new PassThrough()
+    upload.write('x,')
+    upload.end('y')
+    await repo.saveBlob('a.csv', upload, { contentType: 'text/csv' })
+
+    expect(await text(repo.streamBlob('a.csv'))).to.equal('x,y')
+    expect(await text(repo.blobReference('a.csv').stream())).to.equal('x,y')
+    expect((await repo.findBlob('a.csv')).contentType).to.equal('text/csv')
+
+    try {
+      await text(repo.streamBlob('nope'))
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+    }
+  })
+
+  it('should list blobs page by page', async () => {
+    for (const it of ['x/2', 'x/1', 'y/1', 'x/3']) await repo.saveBlob(it, it)
+    await bucket.file('other/x/4').save('elsewhere')
+
+    const first = await repo.listBlobs({ prefix: 'x/', pageSize: 2 })
+    expect(first.items.map(it => it.name)).to.deep.equal(['x/1', 'x/2'])
+    expect(first.items[0].size).to.equal(3)
+
+    const second = await repo.listBlobs({ prefix: 'x/', pageSize: 2, token: first.token })
+    expect(second.items.map(it => it.name)).to.deep.equal(['x/3'])
+    expect(second.token).to.be.null()
+
+    expect((await repo.listBlobs()).items).to.have.lengthOf(4)
+    expect((await new AttachmentRepository(bucket).listBlobs()).items).to.have.lengthOf(5)
+  })
+
+  it('should reject invalid names', async () => {
+    for (const it of ['', '/a', 'a/', 'a//b', '../a', 'a/./b', undefined]) {
+      try {
+        await repo.saveBlob(it, 'x')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalArgumentError)
+      }
+    }
+  })
+
+  it('should translate Cloud Storage errors', async () => {
+    bucket.file = () => ({
+      save: async () => { throw Object.assign(new Error('forbidden'), { code: 403 }) }
+    })
+
+    try {
+      await repo.saveBlob('a', 'x')
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.an.instanceOf(PermissionDeniedError)
+      expect(e.info).to.deep.equal({ code: 403 })
+      expect(e.retryable).to.be.false()
+    }
+  })
+})
@@ -0,0 +1,58 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const ConverterRegistry = require('../../../main/repositories/ConverterRegistry')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+class Celsius {
+  constructor (degrees) {
+    this.degrees = degrees
+  }
+}
+
+describe('unit tests of ConverterRegistry', () => {
+  it('should find converters by name, value & type', () => {
+    const converters = new ConverterRegistry()
+      .register('Celsius', { type: Celsius, toFirestore: it => it.degrees, fromFirestore: it => new Celsius(it) })
+      .register('upper', { is: it => typeof it === 'string' && it === it.toUpperCase() })
+
+    expect(converters.names).to.deep.equal(['Celsius', 'upper'])
+    expect(converters.get('Celsius').toFirestore(new Celsius(20))).to.equal(20)
+    expect(converters.get('Celsius').fromFirestore(20)).to.deep.equal(new Celsius(20))
+    expect(converters.of(new Celsius(20)).name).to.equal('Celsius')
+    expect(converters.of('ABC').toFirestore('ABC')).to.equal('ABC')
+    expect(converters.of('abc')).to.be.undefined()
+    expect(converters.of(null)).to.be.undefined()
+    expect(converters.ofType(Celsius).name).to.equal('Celsius')
+    expect(converters.ofType(Date)).to.be.undefined()
+    expect(converters.get('nope')).to.be.undefined()
+  })
+
+  it('should prefer the most recent registration & replace registrations by name', () => {
+    const converters = new ConverterRegistry()
+      .register('any', { is: () => true })
+      .register('Celsius', { type: Celsius })
+
+    expect(converters.of(new Celsius(1)).name).to.equal('Celsius')
+    expect(converters.of(1).name).to.equal('any')
+
+    converters.register('any', { is: () => true })
+    expect(converters.names).to.deep.equal(['Celsius', 'any'])
+    expect(converters.of(new Celsius(1)).name).to.equal('any')
+
+    converters.unregister('any')
+    expect(converters.of(1)).to.be.undefined()
+  })
+
+  it('should reject incomplete registrations', () => {
+    const converters = new ConverterRegistry()
+
+    expect(() => converters.register('', { type: Celsius })).to.throw(IllegalArgumentError)
+    expect(() => converters.register('Celsius', {})).to.throw(IllegalArgumentError)
+  })
+})
@@ -1,4 +1,4 @@
-/* global describe, it, beforeEach */
+/* global describe, it, beforeEach, afterEach */
 
 'use strict'
 
@@ -7,8 +7,35 @@ chai.use(require('dirty-chai'))
 const expect = chai.expect
 
 const { trait } = require('mutrait')
+const moment = require('moment-timezone')
+const { PassThrough } = require('stream')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { Firestore, Timestamp, FieldPath, GeoPoint } = require('@google-cloud/firestore')
 const FirestoreRepository = require('../../../main/repositories/FirestoreRepository')
 const DayOfWeek = require('../../../main/entities/DayOfWeek')
+const Period = require('../../../main/entities/Period')
+const DatePeriod = require('../../../main/entities/DatePeriod')
+const NonuniqueCriteriaError = require('../../../main/errors/NonuniqueCriteriaError')
+const ObjectNotFoundError = require('../../../main/errors/ObjectNotFoundError')
+const ConcurrentModificationError = require('../../../main/errors/ConcurrentModificationError')
+const ObjectExistsError = require('../../../main/errors/ObjectExistsError')
+const ValidationError = require('../../../main/errors/ValidationError')
+const VetoedError = require('../../../main/errors/VetoedError')
+const UnitOfWork = require('../../../main/repositories/UnitOfWork')
+const OutboxRelay = require('../../../main/repositories/OutboxRelay')
+const InMemoryFirestore = require('../../../main/testing/InMemoryFirestore')
+const LruCache = require('../../../main/repositories/LruCache')
+const LocalKeyProvider = require('../../../main/encryption/LocalKeyProvider')
+const EncryptionError = require('../../../main/errors/EncryptionError')
+const EntityReference = require('../../../main/repositories/EntityReference')
+const BlobReference = require('../../../main/repositories/BlobReference')
+const CloudStorageRepository = require('../../../main/repositories/CloudStorageRepository')
+const FileSystemBucket = require('../../../main/testing/FileSystemBucket')
+const errors = require('../../../main/errors')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
 
 const dbMock = {
   collection: () => {
@@ -16,11 +43,97 @@ const dbMock = {
   }
 }
 
+class Fake {
+  get id () {
+    return this._id
+  }
+
+  set id (value) {
+    this._id = value
+  }
+}
+
 class FakeRepository extends trait(FirestoreRepository) {
   constructor (db) {
     super(...arguments)
     this._initFirestoreRepository(db, 'fakes')
   }
+
+  _fromDocument ({ plain }) {
+    return this._mapProps({ from: plain, to: new Fake(), getterPrefix: '_', keys: ['id'] })
+  }
+}
+
+class DocumentReference {
+  constructor (props) {
+    Object.assign(this, props)
+  }
+}
+
+// a map of documents by id behind just enough of the document reference & query APIs
+const storeMock = (store = {}) => {
+  const ref = id => new DocumentReference({
+    id,
+    path: `fakes/${id}`,
+    get: async () => ({ exists: id in store, id, ref: ref(id), data: () => ({ ...store[id] }), get: path => store[id]?.[path] }),
+    set: async (data, { merge } = {}) => { store[id] = merge ? { ...store[id], ...data } : data },
+    update: async data => Object.assign(store[id], data),
+    delete: async () => { delete store[id] }
+  })
+  const collection = Object.assign(queryMock(() => Object.values(store), { ref }), { doc: ref })
+  return {
+    store,
+    collection: () => collection,
+    doc: path => ref(path.split('/').pop()),
+    runTransaction: async fn => {
+      const writes = []
+      const write = method => (ref, ...args) => writes.push(() => ref[method](...args))
+      const result = await fn({ get: ref => ref.get(), set: write('set'), update: write('update'), delete: write('delete') })
+      for (const it of writes) await it()
+      return result
+    }
+  }
+}
+
+const toSnapshots = (docs, ref = id => new DocumentReference({ id, path: `fakes/${id}` })) =>
+  docs.map(it => ({ exists: true, id: it._id, ref: ref(it._id), data: () => ({ ...it }), get: path => it[path] }))
+
+// records the calls & listeners made on it & only honors limit & startAfter by document id or snapshot
+const queryMock = (docs = [], { calls = [], listeners = [], clauses = [], ref } = {}) => {
+  const query = {
+    path: 'fakes',
+    calls,
+    listeners,
+    onSnapshot: (onNext, onError) => {
+      const listener = { onNext, onError }
+      listeners.push(listener)
+      return () => listeners.splice(listeners.indexOf(listener), 1)
+    },
+    get: async () => {
+      const all = typeof docs === 'function' ? docs() : docs
+      const lastClause = name => [...clauses].reverse().find(([method]) => method === name)
+      const startAfter = lastClause('startAfter')
+      const limit = lastClause('limit')
+      const cursor = startAfter && startAfter[startAfter.length - 1]
+      const begin = cursor ? all.findIndex(it => it._id === (typeof cursor === 'string' ? cursor : cursor.id)) + 1 : 0
+
+      return { docs: toSnapshots(all.slice(begin, limit ? begin + limit[1] : all.length), ref) }
+    },
+    doc: id => ({
+      id,
+      get: async () => {
+        const [snapshot] = toSnapshots((typeof docs === 'function' ? docs() : docs).filter(it => it._id === id), ref)
+        return snapshot || { exists: false, id }
+      }
+    })
+  }
+  ;['where', 'orderBy', 'limit', 'startAfter'].forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args])
+      return queryMock(docs, { calls, listeners, clauses: [...clauses, [method, ...args]], ref })
+    }
+  })
+  return query
 }
 
 describe('unit tests of FirestoreRepository trait', () => {
@@ -205,4 +318,2602 @@ describe('unit tests of FirestoreRepository trait', () => {
     expect(a).to.equal(undefined)
     expect(b).to.equal(undefined)
   })
+
+  describe('criteria queries', () => {
+    let query
+
+    const withDocs = docs => {
+      query = queryMock(docs)
+      repo = new FakeRepository({ collection: () => query })
+    }
+
+    it('should convert criteria to query clauses', async () => {
+      withDocs([{ _id: 'a' }, { _id: 'b' }])
+      const begin = moment.utc('2019-01-01T00:00:00Z')
+      const end = new Date('2019-02-01T00:00:00Z')
+
+      const found = await repo.findAll({
+        where: {
+          _day: DayOfWeek.MONDAY,
+          _begin: { '>=': begin, '<': end },
+          _tags: { 'array-contains': 'x' },
+          _nested: { value: 1 }
+        },
+        orderBy: ['_begin', ['_name', 'desc']],
+        limit: 10
+      })
+
+      expect(found.map(it => it.id)).to.deep.equal(['a', 'b'])
+      expect(query.calls).to.deep.equal([
+        ['where', '_day', '==', 'MONDAY'],
+        ['where', '_begin', '>=', Timestamp.fromMillis(begin.valueOf())],
+        ['where', '_begin', '<', Timestamp.fromDate(end)],
+        ['where', '_tags', 'array-contains', 'x'],
+        ['where', '_nested', '==', { value: 1 }],
+        ['orderBy', '_begin', 'asc'],
+        ['orderBy', '_name', 'desc'],
+        ['limit', 10]
+      ])
+    })
+
+    it('should split in criteria into disjoint equality queries', async () => {
+      withDocs([{ _id: 'a' }])
+
+      const found = await repo.findAll({ where: { _day: { in: [DayOfWeek.MONDAY, DayOfWeek.FRIDAY, DayOfWeek.MONDAY] }, _n: 1 } })
+
+      expect(found.map(it => it.id)).to.deep.equal(['a', 'a'])
+      expect(query.calls).to.deep.equal([
+        ['where', '_day', '==', 'MONDAY'],
+        ['where', '_day', '==', 'FRIDAY'],
+        ['where', '_n', '==', 1],
+        ['where', '_n', '==', 1]
+      ])
+    })
+
+    it('should merge the results of in criteria in order', async () => {
+      const db = new InMemoryFirestore()
+      await Promise.all([['a', 'MONDAY', 2], ['b', 'FRIDAY', 1], ['c', 'MONDAY', 1], ['d', 'SUNDAY', 0]]
+        .map(([_id, _day, _n]) => db.collection('fakes').doc(_id).set({ _id, _day, _n })))
+      repo = new FakeRepository(db)
+
+      const where = { _day: { in: [DayOfWeek.MONDAY, DayOfWeek.FRIDAY] } }
+      expect((await repo.findAll({ where })).map(it => it.id)).to.deep.equal(['a', 'b', 'c'])
+      expect((await repo.findAll({ where, orderBy: ['_n', ['_day', 'desc']], limit: 2 })).map(it => it.id)).to.deep.equal(['c', 'b'])
+      expect((await repo.findAll({ where: { ...where, _n: { '>': 1 } } })).map(it => it.id)).to.deep.equal(['a'])
+    })
+
+    it('should find nothing given empty in criteria', async () => {
+      withDocs([{ _id: 'a' }])
+      expect(await repo.findAll({ where: { _n: { in: [] } } })).to.deep.equal([])
+      expect(query.calls).to.deep.equal([])
+    })
+
+    it('should build queries that Firestore accepts from in criteria', () => {
+      repo = new FakeRepository(new Firestore({ projectId: 'test' }))
+
+      const queries = repo._toQueries({ where: { _day: { in: [DayOfWeek.MONDAY, DayOfWeek.FRIDAY] }, _n: { in: [1, 2, 3] } }, orderBy: '_m' })
+
+      expect(queries.length).to.equal(6)
+      expect(() => repo._collection.where('_day', 'in', ['MONDAY'])).to.throw()
+    })
+
+    it('should accept where triples & a single orderBy', async () => {
+      withDocs()
+      await repo.findAll({ where: [['_n', '>', 1], ['_n', '>', 2]], orderBy: '_n' })
+
+      expect(query.calls).to.deep.equal([
+        ['where', '_n', '>', 1],
+        ['where', '_n', '>', 2],
+        ['orderBy', '_n', 'asc']
+      ])
+    })
+
+    it('should reject unknown operators', async () => {
+      withDocs()
+      try {
+        await repo.findAll({ where: [['_n', 'like', 1]] })
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalArgumentError)
+      }
+    })
+
+    it('should find one or null', async () => {
+      withDocs([{ _id: 'a' }, { _id: 'b' }])
+      expect((await repo.findOne({ where: { _n: 1 }, limit: 5 })).id).to.equal('a')
+      expect(query.calls).to.deep.include(['limit', 1])
+
+      withDocs()
+      expect(await repo.findOne({ where: { _n: 1 } })).to.equal(null)
+    })
+
+    it('should find unique, null or throw NonuniqueCriteriaError', async () => {
+      withDocs([{ _id: 'a' }])
+      expect((await repo.findUnique({ where: { _n: 1 } })).id).to.equal('a')
+
+      withDocs()
+      expect(await repo.findUnique({ where: { _n: 1 } })).to.equal(null)
+
+      withDocs([{ _id: 'a' }, { _id: 'b' }])
+      try {
+        await repo.findUnique({ where: { _n: 1 } })
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(NonuniqueCriteriaError)
+      }
+    })
+  })
+
+  describe('paged queries', () => {
+    let query
+
+    const withDocs = docs => {
+      query = queryMock(docs)
+      repo = new FakeRepository({ collection: () => query })
+    }
+
+    it('should return pages with URL-safe, round-trippable tokens', async () => {
+      const at = Timestamp.fromMillis(Date.UTC(2019, 0, 1))
+      withDocs(['a', 'b', 'c'].map(_id => ({ _id, _at: at })))
+
+      let page = await repo.findPage({ orderBy: '_at' }, { pageSize: 2 })
+      expect(page.items.map(it => it.id)).to.deep.equal(['a', 'b'])
+      expect(page.token).to.match(/^[A-Za-z0-9_-]+$/)
+      expect(query.calls).to.deep.equal([
+        ['orderBy', '_at', 'asc'],
+        ['orderBy', FieldPath.documentId(), undefined],
+        ['limit', 3]
+      ])
+
+      const token = JSON.parse(JSON.stringify({ token: page.token })).token
+      page = await repo.findPage({ orderBy: '_at' }, { pageSize: 2, token })
+      expect(page.items.map(it => it.id)).to.deep.equal(['c'])
+      expect(page.token).to.equal(null)
+      const [method, cursor] = query.calls[query.calls.length - 1]
+      expect(method).to.equal('startAfter')
+      expect(cursor.id).to.equal('b')
+      expect(cursor.get('_at')).to.equal(at)
+    })
+
+    it('should only encode document ids in tokens', async () => {
+      const ref = new DocumentReference({ id: 'x', path: 'others/x' })
+      withDocs(['a', 'b'].map(_id => ({ _id, _ref: ref, _secret: 'hush' })))
+
+      const page = await repo.findPage({ orderBy: '_ref' }, { pageSize: 1 })
+      expect(Buffer.from(page.token, 'base64').toString()).to.equal('a')
+    })
+
+    it('should order by the range field first', async () => {
+      withDocs()
+      await repo.findPage({ where: { _n: { '>': 1 }, _m: 2 }, orderBy: [['_name', 'desc'], '_n'] })
+
+      expect(query.calls.filter(([method]) => method === 'orderBy')).to.deep.equal([
+        ['orderBy', '_n', 'asc'],
+        ['orderBy', '_name', 'desc'],
+        ['orderBy', FieldPath.documentId(), undefined]
+      ])
+    })
+
+    it('should page through range criteria ordered by another field as Firestore allows', async () => {
+      const db = new InMemoryFirestore()
+      await Promise.all([['a', 3, 'x'], ['b', 1, 'y'], ['c', 2, 'y'], ['d', 2, 'x'], ['e', 0, 'x'], ['f', 4]]
+        .map(([_id, _n, _s]) => db.collection('fakes').doc(_id).set(_s ? { _id, _n, _s } : { _id, _n })))
+      repo = new FakeRepository(db)
+
+      const ids = []
+      let token
+      do {
+        const page = await repo.findPage({ where: { _n: { '>': 0 } }, orderBy: [['_s', 'desc']] }, { pageSize: 2, token })
+        ids.push(...page.items.map(it => it.id))
+        token = page.token
+      } while (token)
+      expect(ids).to.deep.equal(['b', 'c', 'd', 'a'])
+
+      const page = await repo.findPage({}, { pageSize: 2 })
+      await db.doc('fakes/b').delete()
+      expect((await repo.findPage({}, { pageSize: 2, token: page.token })).items.map(it => it.id)).to.deep.equal(['c', 'd'])
+    })
+
+    it('should reject malformed tokens & tokens of deleted documents', async () => {
+      withDocs([{ _id: 'a' }])
+      for (const [criteria, token] of [[{}, '!!!'], [{}, 'YS9i'], [{ orderBy: '_n' }, repo._toPageToken('b')]]) {
+        try {
+          await repo.findPage(criteria, { token })
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(IllegalArgumentError)
+        }
+      }
+    })
+
+    it('should iterate all entities page by page', async () => {
+      withDocs(['a', 'b', 'c', 'd', 'e'].map(_id => ({ _id })))
+
+      const ids = []
+      for await (const it of repo.iterate({}, { pageSize: 2 })) ids.push(it.id)
+
+      expect(ids).to.deep.equal(['a', 'b', 'c', 'd', 'e'])
+      expect(query.calls.filter(([method]) => method === 'startAfter')).to.deep.equal([['startAfter', 'b'], ['startAfter', 'd']])
+    })
+  })
+
+  describe('deletes', () => {
+    class SoftDeletingFakeRepository extends FakeRepository {
+      get _softDeletes () {
+        return true
+      }
+    }
+
+    const expectToThrow = async (fn, type) => {
+      try {
+        await fn()
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(type)
+      }
+    }
+
+    it('should hard-delete by id & entity', async () => {
+      const db = storeMock({ a: { _id: 'a' }, b: { _id: 'b' } })
+      repo = new FakeRepository(db)
+
+      expect(await repo.deleteById('a')).to.equal(true)
+      expect(await repo.delete(await repo.getById('b'))).to.equal(true)
+      expect(db.store).to.deep.equal({})
+
+      expect(await repo.deleteById('a')).to.equal(false)
+      await expectToThrow(() => repo.deleteById('a', { strict: true }), ObjectNotFoundError)
+      await expectToThrow(() => repo.restore('a'), IllegalStateError)
+    })
+
+    it('should soft-delete & restore', async () => {
+      const db = storeMock()
+      repo = new SoftDeletingFakeRepository(db)
+
+      await repo.upsert({ _id: 'a' })
+      expect(db.store.a._deletedAt).to.equal(null)
+
+      expect(await repo.deleteById('a')).to.equal(true)
+      expect(db.store.a._deletedAt).to.be.an.instanceOf(Timestamp)
+      expect(await repo.findById('a')).to.equal(null)
+      expect((await repo.findById('a', { includeDeleted: true })).id).to.equal('a')
+      await expectToThrow(() => repo.getById('a'), ObjectNotFoundError)
+      await expectToThrow(() => repo.deleteById('a', { strict: true }), ObjectNotFoundError)
+
+      expect((await repo.restore('a')).id).to.equal('a')
+      expect(db.store.a._deletedAt).to.equal(null)
+      await expectToThrow(() => repo.restore('b'), ObjectNotFoundError)
+    })
+
+    it('should exclude soft-deleted entities from queries by default', async () => {
+      const query = queryMock()
+      repo = new SoftDeletingFakeRepository({ collection: () => query })
+
+      await repo.findAll({ where: { _n: 1 } })
+      expect(query.calls).to.deep.equal([['where', '_deletedAt', '==', null], ['where', '_n', '==', 1]])
+
+      query.calls.length = 0
+      await repo.findAll({ where: { _n: 1 }, includeDeleted: true })
+      expect(query.calls).to.deep.equal([['where', '_n', '==', 1]])
+    })
+  })
+
+  describe('versioning', () => {
+    class VersionedFakeRepository extends FakeRepository {
+      get _versioned () {
+        return true
+      }
+    }
+
+    it('should increment versions, stamp audit timestamps & detect concurrent modifications', async () => {
+      const db = storeMock()
+      repo = new VersionedFakeRepository(db)
+
+      const entity = new Fake()
+      entity.id = 'a'
+      await repo.upsert(entity)
+      expect(db.store.a._version).to.equal(1)
+      expect(db.store.a._createdAt).to.be.an.instanceOf(Timestamp)
+      expect(db.store.a._updatedAt).to.deep.equal(db.store.a._createdAt)
+      expect(entity._version).to.equal(1)
+      expect(moment.isMoment(entity._createdAt)).to.equal(true)
+
+      const first = await repo.getById('a')
+      const second = await repo.getById('a')
+      expect(first._version).to.equal(1)
+      expect(first._createdAt.valueOf()).to.equal(db.store.a._createdAt.toMillis())
+
+      await repo.upsert(first)
+      expect(db.store.a._version).to.equal(2)
+      expect(first._version).to.equal(2)
+      expect(db.store.a._createdAt.toMillis()).to.equal(first._createdAt.valueOf())
+
+      try {
+        await repo.upsert(second)
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ConcurrentModificationError)
+        expect(e.code).to.equal('E_CONCURRENT_MODIFICATION')
+      }
+      expect(db.store.a._version).to.equal(2)
+    })
+  })
+
+  describe('units of work', () => {
+    class OtherFakeRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'others')
+      }
+    }
+
+    it('should insert atomically & refuse to insert existing entities', async () => {
+      const db = storeMock({ a: { _id: 'a' } })
+      repo = new FakeRepository(db)
+
+      const entity = new Fake()
+      entity.id = 'a'
+      try {
+        await repo.insert(entity)
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectExistsError)
+      }
+
+      entity.id = 'b'
+      await repo.insert(entity)
+      expect(db.store.b).to.deep.equal({ _id: 'b' })
+    })
+
+    it('should join a transaction across repositories', async () => {
+      const db = storeMock({ a: { _id: 'a' } })
+      repo = new FakeRepository(db)
+      const others = new OtherFakeRepository(db)
+
+      const entity = new Fake()
+      entity.id = 'b'
+      const result = await UnitOfWork.transactionally(db, async unitOfWork => {
+        await repo.insert(entity, { unitOfWork })
+        await others.upsert({ _id: 'c' }, { unitOfWork })
+        expect(await repo.deleteById('a', { unitOfWork })).to.equal(true)
+
+        expect(await repo.findById('b', { unitOfWork })).to.equal(null) // pending writes are not yet visible
+        expect(Object.keys(db.store)).to.deep.equal(['a'])
+        return 'done'
+      })
+
+      expect(result).to.equal('done')
+      expect(db.store).to.deep.equal({ b: { _id: 'b' }, c: { _id: 'c' } })
+    })
+  })
+
+  describe('error translation', () => {
+    it('should translate gRPC errors into coded errors', () => {
+      [
+        [4, errors.DeadlineExceededError, true],
+        [5, errors.ObjectNotFoundError, false],
+        [6, errors.ObjectExistsError, false],
+        [7, errors.PermissionDeniedError, false],
+        [8, errors.ResourceExhaustedError, true],
+        [9, errors.PreconditionFailedError, false],
+        [10, errors.TransactionAbortedError, true],
+        [14, errors.ServiceUnavailableError, true],
+        [13, errors.DatastoreError, false]
+      ].forEach(([code, type, retryable]) => {
+        const cause = Object.assign(new Error(`grpc ${code}`), { code })
+        const e = repo._translateError(cause)
+
+        expect(e).to.be.an.instanceOf(type)
+        expect(e.cause).to.equal(cause)
+        expect(e.retryable).to.equal(retryable)
+        expect(e.message).to.contain(cause.message)
+      })
+
+      expect(repo._translateError(new errors.TransactionAbortedError())).to.be.an.instanceOf(errors.DatastoreError)
+    })
+
+    it('should leave other errors alone', () => {
+      [new ObjectNotFoundError(), new Error('x'), Object.assign(new Error('x'), { code: 'ECONNRESET' })]
+        .forEach(it => expect(repo._translateError(it)).to.equal(it))
+    })
+
+    it('should translate errors thrown by the datastore', async () => {
+      const db = storeMock()
+      db.doc = () => ({ get: async () => { throw Object.assign(new Error('unavailable'), { code: 14 }) } })
+      repo = new FakeRepository(db)
+
+      try {
+        await repo.findById('a')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(errors.ServiceUnavailableError)
+        expect(e.retryable).to.equal(true)
+      }
+    })
+  })
+
+  describe('schemas', () => {
+    class Line {
+      get sku () {
+        return this._sku
+      }
+
+      set sku (value) {
+        this._sku = value.toUpperCase()
+      }
+    }
+
+    class Order {}
+
+    class OrderRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'orders')
+      }
+
+      get _schema () {
+        return {
+          create: () => new Order(),
+          fields: {
+            id: 'string',
+            quantity: { type: 'int', default: 1 },
+            price: 'float',
+            rush: 'boolean',
+            placedAt: 'moment',
+            delivery: Period,
+            vacation: 'DatePeriod',
+            day: DayOfWeek,
+            days: { type: 'array', of: DayOfWeek },
+            tags: ['string'],
+            extra: 'any',
+            lines: [{
+              create: () => new Line(),
+              setterPrefix: '',
+              fields: {
+                sku: 'string',
+                count: { type: 'int', default: () => 0 }
+              }
+            }]
+          }
+        }
+      }
+    }
+
+    it('should map entities to & from documents', () => {
+      repo = new OrderRepository(dbMock)
+
+      const order = new Order()
+      Object.assign(order, {
+        _id: 'a',
+        _price: 9.5,
+        _rush: true,
+        _placedAt: moment.utc('2019-01-01T12:00:00Z'),
+        _delivery: new Period(moment.utc('2019-01-02T00:00:00Z'), moment.utc('2019-01-03T00:00:00Z')),
+        _vacation: new DatePeriod(moment.utc('2019-02-01'), moment.utc('2019-02-08')),
+        _day: DayOfWeek.MONDAY,
+        _days: [DayOfWeek.TUESDAY, DayOfWeek.FRIDAY],
+        _tags: ['x', 'y'],
+        _extra: { whatever: 1 },
+        _lines: [Object.assign(new Line(), { sku: 'abc', count: 2 }), Object.assign(new Line(), { sku: 'def' })],
+        _transient: 'not stored'
+      })
+
+      const doc = repo._toDocument(order)
+      expect(doc).to.deep.equal({
+        _id: 'a',
+        _quantity: 1,
+        _price: 9.5,
+        _rush: true,
+        _placedAt: Timestamp.fromMillis(order._placedAt.valueOf()),
+        _delivery: { _type: 'Period', _begin: Timestamp.fromMillis(order._delivery._begin.valueOf()), _end: Timestamp.fromMillis(order._delivery._end.valueOf()) },
+        _vacation: { _type: 'DatePeriod', _begin: Timestamp.fromMillis(order._vacation._begin.valueOf()), _end: Timestamp.fromMillis(order._vacation._end.valueOf()) },
+        _day: 'MONDAY',
+        _days: ['TUESDAY', 'FRIDAY'],
+        _tags: ['x', 'y'],
+        _extra: { whatever: 1 },
+        _lines: [{ _sku: 'ABC', _count: 2 }, { _sku: 'DEF', _count: 0 }]
+      })
+
+      const [it] = toSnapshots([doc]).map(it => repo._fromSnapshot(it))
+      expect(it).to.be.an.instanceOf(Order)
+      expect(it._id).to.equal('a')
+      expect(it._quantity).to.equal(1)
+      expect(it._price).to.equal(9.5)
+      expect(it._rush).to.equal(true)
+      expect(it._placedAt.isSame(order._placedAt)).to.equal(true)
+      expect(it._delivery).to.be.an.instanceOf(Period)
+      expect(it._delivery.equals(order._delivery)).to.equal(true)
+      expect(it._vacation).to.be.an.instanceOf(DatePeriod)
+      expect(it._vacation.equals(order._vacation)).to.equal(true)
+      expect(it._day).to.equal(DayOfWeek.MONDAY)
+      expect(it._days).to.deep.equal([DayOfWeek.TUESDAY, DayOfWeek.FRIDAY])
+      expect(it._tags).to.deep.equal(['x', 'y'])
+      expect(it._extra).to.deep.equal({ whatever: 1 })
+      expect(it._lines.map(it => it.constructor)).to.deep.equal([Line, Line])
+      expect(it._lines.map(it => [it.sku, it.count])).to.deep.equal([['ABC', 2], ['DEF', 0]])
+      expect(it._transient).to.equal(undefined)
+    })
+
+    it('should apply defaults to missing values when loading', () => {
+      repo = new OrderRepository(dbMock)
+
+      const it = repo._fromDocument({ plain: { _id: 'a' } })
+      expect(it._quantity).to.equal(1)
+      expect(it._price).to.equal(undefined)
+    })
+
+    it('should reject unknown field types', () => {
+      repo = new OrderRepository(dbMock)
+
+      ;[{ type: 'decimal' }, 42].forEach(it => {
+        expect(() => repo._fromSchemaDocument({ plain: {}, schema: { fields: { x: it } } })).to.throw(IllegalArgumentError)
+      })
+    })
+  })
+
+  describe('migrations', () => {
+    class MigratingFakeRepository extends FakeRepository {
+      get _migrations () {
+        return [
+          it => {
+            it._fullName = it._name
+            delete it._name
+            return it
+          },
+          it => ({ ...it, _n: (it._n || 0) + 1 })
+        ]
+      }
+
+      _fromDocument ({ plain }) {
+        return this._mapProps({ from: plain, to: new Fake(), getterPrefix: '_', keys: ['id', 'fullName', 'n'] })
+      }
+    }
+
+    const store = () => ({
+      a: { _id: 'a', _name: 'A' },
+      b: { _id: 'b', _fullName: 'B', _schemaVersion: 1 },
+      c: { _id: 'c', _fullName: 'C', _n: 1, _schemaVersion: 2 }
+    })
+
+    it('should stamp the schema version on documents', () => {
+      expect(new MigratingFakeRepository(dbMock)._toDocument({ _id: 'a' })).to.deep.equal({ _id: 'a', _schemaVersion: 2 })
+      expect(repo._toDocument({ _id: 'a' })).to.deep.equal({ _id: 'a' })
+    })
+
+    it('should migrate documents when loading', async () => {
+      repo = new MigratingFakeRepository(storeMock(store()))
+
+      expect(await repo.getById('a')).to.deep.include({ id: 'a', fullName: 'A', n: 1 })
+      expect(await repo.getById('b')).to.deep.include({ id: 'b', fullName: 'B', n: 1 })
+      expect(await repo.getById('c')).to.deep.include({ id: 'c', fullName: 'C', n: 1 })
+
+      const db = storeMock({ d: { _id: 'd', _schemaVersion: 3 } })
+      repo = new MigratingFakeRepository(db)
+      try {
+        await repo.findById('d')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalStateError)
+      }
+    })
+
+    it('should migrate all outdated documents in batches', async () => {
+      const db = storeMock(store())
+      repo = new MigratingFakeRepository(db)
+
+      expect(await repo.migrateAll({ batchSize: 2, dryRun: true })).to.deep.equal({ scanned: 3, outdated: ['a', 'b'], migrated: 0 })
+      expect(db.store).to.deep.equal(store())
+
+      expect(await repo.migrateAll({ batchSize: 2 })).to.deep.equal({ scanned: 3, outdated: ['a', 'b'], migrated: 2 })
+      expect(db.store).to.deep.equal({
+        a: { _id: 'a', _fullName: 'A', _n: 1, _schemaVersion: 2 },
+        b: { _id: 'b', _fullName: 'B', _n: 1, _schemaVersion: 2 },
+        c: { _id: 'c', _fullName: 'C', _n: 1, _schemaVersion: 2 }
+      })
+
+      expect(await repo.migrateAll()).to.deep.equal({ scanned: 3, outdated: [], migrated: 0 })
+    })
+  })
+
+  describe('subcollections & references', () => {
+    class LineRepository extends trait(FirestoreRepository) {
+      constructor (db, parent) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'lines', { parent })
+      }
+    }
+
+    it('should scope repositories to parent documents', () => {
+      const db = new Firestore({ projectId: 'test' })
+
+      repo = new LineRepository(db)
+      expect(repo._path).to.equal('lines')
+
+      repo = new LineRepository(db, 'orders/1')
+      expect(repo._path).to.equal('orders/1/lines')
+      expect(repo._docpath('x')).to.equal('orders/1/lines/x')
+
+      const scoped = repo.scopedTo(db.doc('orders/2'))
+      expect(scoped._path).to.equal('orders/2/lines')
+      expect(scoped).to.be.an.instanceOf(LineRepository)
+      expect(repo._path).to.equal('orders/1/lines')
+      expect(repo.scopedTo('customers/3/orders/4')._docpath('y')).to.equal('customers/3/orders/4/lines/y')
+    })
+
+    describe('references', () => {
+      let customers
+      let orders
+
+      class CustomerRepository extends FakeRepository {}
+
+      class OrderRepository extends trait(FirestoreRepository) {
+        constructor (db, eager) {
+          super(...arguments)
+          this._eager = eager
+          this._initFirestoreRepository(db, 'orders')
+        }
+
+        get _schema () {
+          return {
+            fields: {
+              id: 'string',
+              customer: { type: 'ref', repository: () => customers, eager: this._eager },
+              others: { type: 'array', of: { type: 'ref', repository: customers } },
+              lines: [{ fields: { buyer: { type: 'ref', repository: customers, eager: true } } }]
+            }
+          }
+        }
+      }
+
+      beforeEach(async () => {
+        customers = new CustomerRepository(storeMock({ c1: { _id: 'c1' }, c2: { _id: 'c2' } }))
+      })
+
+      it('should store references as DocumentReferences', () => {
+        orders = new OrderRepository(storeMock())
+        const c1 = new Fake()
+        c1.id = 'c1'
+
+        const doc = orders._toDocument({ _id: 'o1', _customer: c1, _others: ['c2', customers._collection.doc('c1')], _lines: [{ _buyer: c1 }] })
+        expect(doc._customer).to.be.an.instanceOf(DocumentReference)
+        expect(doc._customer.path).to.equal('fakes/c1')
+        expect(doc._others.map(it => it.path)).to.deep.equal(['fakes/c2', 'fakes/c1'])
+        expect(doc._lines[0]._buyer.path).to.equal('fakes/c1')
+
+        const ref = orders._fromDocument({ plain: doc })._customer
+        expect(ref).to.be.an.instanceOf(EntityReference)
+        expect(orders._toDocument({ _customer: ref })._customer).to.equal(doc._customer)
+      })
+
+      it('should resolve references lazily', async () => {
+        orders = new OrderRepository(storeMock({ o1: { _id: 'o1', _customer: customers._collection.doc('c1'), _others: [customers._collection.doc('c2')] } }))
+
+        const order = await orders.getById('o1')
+        expect(order._customer).to.be.an.instanceOf(EntityReference)
+        expect(order._customer.id).to.equal('c1')
+        expect((await order._customer.get()).id).to.equal('c1')
+        expect(order._others.map(it => it.id)).to.deep.equal(['c2'])
+      })
+
+      it('should resolve eager references on findById', async () => {
+        orders = new OrderRepository(storeMock({
+          o1: { _id: 'o1', _customer: customers._collection.doc('c1'), _lines: [{ _buyer: customers._collection.doc('c2') }] }
+        }), true)
+
+        const order = await orders.getById('o1')
+        expect(order._customer).to.be.an.instanceOf(Fake)
+        expect(order._customer.id).to.equal('c1')
+        expect(order._lines[0]._buyer.id).to.equal('c2')
+      })
+    })
+  })
+
+  describe('watches', () => {
+    // captures the listeners given to onSnapshot
+    const listenable = () => ({
+      unsubscribed: false,
+      onSnapshot (onNext, onError) {
+        Object.assign(this, { onNext, onError })
+        return () => { this.unsubscribed = true }
+      }
+    })
+    const snapshot = (id, data) => ({ exists: Boolean(data), id, ref: { id, path: `fakes/${id}` }, data: () => data, get: path => data?.[path] })
+
+    class SoftDeletingFakeRepository extends FakeRepository {
+      get _softDeletes () {
+        return true
+      }
+    }
+
+    it('should watch an entity by id', () => {
+      const ref = listenable()
+      repo = new SoftDeletingFakeRepository({ collection: () => ({ path: 'fakes' }), doc: () => ref })
+
+      const changes = []
+      const unsubscribe = repo.watchById('a', (e, it) => changes.push(e || [it.type, it.id, it.entity?.id]))
+
+      ref.onNext(snapshot('a'))
+      ref.onNext(snapshot('a', { _id: 'a' }))
+      ref.onNext(snapshot('a', { _id: 'a' }))
+      ref.onNext(snapshot('a', { _id: 'a', _deletedAt: Timestamp.now() }))
+      ref.onNext(snapshot('a', { _id: 'a' }))
+      ref.onNext(snapshot('a'))
+      ref.onError(Object.assign(new Error('denied'), { code: 7 }))
+
+      expect(changes.slice(0, -1)).to.deep.equal([
+        ['added', 'a', 'a'],
+        ['modified', 'a', 'a'],
+        ['removed', 'a', 'a'],
+        ['added', 'a', 'a'],
+        ['removed', 'a', 'a']
+      ])
+      expect(changes[changes.length - 1]).to.be.an.instanceOf(errors.PermissionDeniedError)
+
+      unsubscribe()
+      expect(ref.unsubscribed).to.equal(true)
+    })
+
+    it('should watch entities matching criteria', () => {
+      const query = queryMock()
+      repo = new FakeRepository({ collection: () => query })
+
+      const changes = []
+      const unsubscribe = repo.watch({ where: { _n: 1 } }, (e, it) => changes.push(e || [it.type, it.id, it.entity.id]))
+      expect(query.calls).to.deep.equal([['where', '_n', '==', 1]])
+
+      const [{ onNext, onError }] = query.listeners
+      const change = (type, id) => ({ type, doc: snapshot(id, { _id: id }) })
+      onNext({ docChanges: () => [change('added', 'a'), change('added', 'b')] })
+      onNext({ docChanges: () => [change('modified', 'a'), change('removed', 'b')] })
+      onError(Object.assign(new Error('unavailable'), { code: 14 }))
+
+      expect(changes.slice(0, -1)).to.deep.equal([['added', 'a', 'a'], ['added', 'b', 'b'], ['modified', 'a', 'a'], ['removed', 'b', 'b']])
+      expect(changes[changes.length - 1]).to.be.an.instanceOf(errors.ServiceUnavailableError)
+
+      unsubscribe()
+      expect(query.listeners).to.deep.equal([])
+    })
+  })
+
+  describe('with an in-memory Firestore', () => {
+    class Widget {
+      get id () {
+        return this._id
+      }
+    }
+
+    class WidgetRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'widgets')
+      }
+
+      get _schema () {
+        return {
+          create: () => new Widget(),
+          fields: {
+            id: 'string',
+            name: 'string',
+            size: 'int',
+            madeAt: 'moment',
+            availability: Period
+          }
+        }
+      }
+    }
+
+    class SoftVersionedWidgetRepository extends WidgetRepository {
+      get _softDeletes () {
+        return true
+      }
+
+      get _versioned () {
+        return true
+      }
+    }
+
+    const widget = props => Object.assign(new Widget(), props)
+
+    let db
+
+    beforeEach(() => {
+      db = new InMemoryFirestore()
+      repo = new WidgetRepository(db)
+    })
+
+    it('should insert, upsert, find & get entities', async () => {
+      const madeAt = moment.utc('2020-01-01T12:00:00.123Z')
+      const availability = new Period(moment.utc('2020-02-01T00:00:00Z'), moment.utc('2020-03-01T00:00:00Z'))
+      const a = widget({ _name: 'a', _size: 1, _madeAt: madeAt, _availability: availability })
+
+      await repo.insert(a)
+      expect(a.id).to.be.a('string')
+      expect((await db.doc(`widgets/${a.id}`).get()).get('_madeAt')).to.be.an.instanceOf(Timestamp)
+
+      const found = await repo.findById(a.id)
+      expect(found).to.be.an.instanceOf(Widget)
+      expect(found._name).to.equal('a')
+      expect(found._madeAt.isSame(madeAt)).to.be.true()
+      expect(found._availability._begin.isSame(availability._begin)).to.be.true()
+      expect(found._availability._end.isSame(availability._end)).to.be.true()
+
+      try {
+        await repo.insert(widget({ _id: a.id, _name: 'again' }))
+        expect.fail('insert should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectExistsError)
+      }
+
+      await repo.upsert(widget({ _id: a.id, _size: 2 }))
+      const merged = await repo.getById(a.id)
+      expect(merged._name).to.equal('a')
+      expect(merged._size).to.equal(2)
+
+      expect(await repo.findById('nope')).to.be.null()
+      try {
+        await repo.getById('nope')
+        expect.fail('getById should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+      }
+    })
+
+    it('should find & get entities by ids in chunks', async () => {
+      for (const id of ['a', 'b', 'c', 'd']) await repo.upsert(widget({ _id: id, _name: id }))
+
+      let reads = 0
+      const getAll = db.getAll.bind(db)
+      db.getAll = async (...refs) => {
+        reads++
+        return getAll(...refs)
+      }
+
+      const found = await repo.findByIds(['c', 'x', 'a', 'c', 'b', undefined], { chunkSize: 2 })
+      expect(found.map(it => it && it._name)).to.deep.equal(['c', null, 'a', 'b', null])
+      expect(found[0]).to.be.an.instanceOf(Widget)
+      expect(reads).to.equal(2)
+
+      expect((await repo.getByIds(['d', 'a', 'd'])).map(it => it.id)).to.deep.equal(['d', 'a'])
+      try {
+        await repo.getByIds(['a', 'y', 'x', 'y'])
+        expect.fail('getByIds should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+        expect(e.info.ids).to.deep.equal(['y', 'x'])
+      }
+
+      const inTransaction = await UnitOfWork.transactionally(db, unitOfWork => repo.findByIds(['b', 'x'], { unitOfWork }))
+      expect(inTransaction.map(it => it && it.id)).to.deep.equal(['b', null])
+    })
+
+    it('should query & page through entities', async () => {
+      for (const [id, size] of [['a', 3], ['b', 1], ['c', 2], ['d', 2]]) {
+        await repo.upsert(widget({ _id: id, _size: size }))
+      }
+
+      expect((await repo.findAll({ where: { _size: 2 } })).map(it => it.id)).to.deep.equal(['c', 'd'])
+      expect((await repo.findAll({ where: [['_size', '>', 1]], orderBy: [['_size', 'desc']] })).map(it => it.id)).to.deep.equal(['a', 'd', 'c'])
+      expect((await repo.findUnique({ where: { _size: 3 } })).id).to.equal('a')
+
+      let page = await repo.findPage({ orderBy: '_size' }, { pageSize: 3 })
+      expect(page.items.map(it => it.id)).to.deep.equal(['b', 'c', 'd'])
+      page = await repo.findPage({ orderBy: '_size' }, { pageSize: 3, token: page.token })
+      expect(page.items.map(it => it.id)).to.deep.equal(['a'])
+      expect(page.token).to.be.null()
+    })
+
+    it('should soft-delete, restore & version entities', async () => {
+      repo = new SoftVersionedWidgetRepository(db)
+      const a = widget({ _id: 'a', _name: 'a' })
+      await repo.upsert(a)
+      const stale = await repo.getById('a')
+      await repo.upsert(a)
+      expect(a._version).to.equal(2)
+
+      try {
+        await repo.upsert(stale)
+        expect.fail('upsert should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ConcurrentModificationError)
+      }
+
+      expect(await repo.deleteById('a')).to.be.true()
+      expect(await repo.findById('a')).to.be.null()
+      expect(await repo.findAll()).to.deep.equal([])
+      expect((await db.doc('widgets/a').get()).get('_deletedAt')).to.be.an.instanceOf(Timestamp)
+
+      const restored = await repo.restore('a')
+      expect(restored._name).to.equal('a')
+      expect(restored._version).to.equal(3)
+      expect((await repo.findAll()).map(it => it.id)).to.deep.equal(['a'])
+      expect((await repo.getById('a'))._version).to.equal(3)
+      expect((await repo.restore('a'))._version).to.equal(3)
+    })
+
+    it('should replace soft-deleted documents on insert', async () => {
+      class SoftWidgetRepository extends WidgetRepository {
+        get _softDeletes () {
+          return true
+        }
+      }
+      repo = new SoftWidgetRepository(db)
+      await repo.insert(widget({ _id: 'a', _name: 'a', _size: 1 }))
+      await repo.deleteById('a')
+
+      await repo.insert(widget({ _id: 'a', _name: 'again' }))
+      const stored = (await db.doc('widgets/a').get()).data()
+      expect(stored._name).to.equal('again')
+      expect(stored).not.to.have.property('_size')
+      expect(stored._deletedAt).to.be.null()
+    })
+
+    it('should replace soft-deleted documents of versioned repositories on insert', async () => {
+      let millis = 0
+      class ClockedSoftVersionedWidgetRepository extends SoftVersionedWidgetRepository {
+        get _clock () {
+          return () => Timestamp.fromMillis(millis)
+        }
+      }
+      repo = new ClockedSoftVersionedWidgetRepository(db)
+
+      const a = widget({ _id: 'a', _name: 'a', _size: 1 })
+      await repo.insert(a)
+      millis = 1000
+      await repo.upsert(a)
+      await repo.deleteById('a')
+
+      millis = 2000
+      const again = widget({ _id: 'a', _name: 'again' })
+      await repo.insert(again)
+      expect(again._version).to.equal(3)
+      expect(again._createdAt.valueOf()).to.equal(2000)
+
+      const stored = (await db.doc('widgets/a').get()).data()
+      expect(stored).not.to.have.property('_size')
+      expect(stored._version).to.equal(3)
+      expect(stored._createdAt.toMillis()).to.equal(2000)
+      expect(stored._deletedAt).to.be.null()
+
+      try {
+        await repo.insert(widget({ _id: 'a', _name: 'twice' }))
+        expect.fail('insert should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectExistsError)
+      }
+    })
+
+    it('should backfill documents written before soft deletes were opted into', async () => {
+      await repo.upsert(widget({ _id: 'a', _name: 'a' }))
+      await repo.upsert(widget({ _id: 'b', _name: 'b' }))
+
+      repo = new SoftVersionedWidgetRepository(db)
+      expect(await repo.findAll()).to.deep.equal([])
+      expect((await repo.findById('a'))._name).to.equal('a')
+
+      expect(await repo.migrateAll({ dryRun: true })).to.deep.equal({ scanned: 2, outdated: ['a', 'b'], migrated: 0 })
+      expect(await repo.migrateAll()).to.deep.equal({ scanned: 2, outdated: ['a', 'b'], migrated: 2 })
+      expect((await repo.findAll()).map(it => it.id)).to.deep.equal(['a', 'b'])
+      expect((await repo.migrateAll()).outdated).to.deep.equal([])
+    })
+
+    it('should apply a unit of work\'s writes atomically', async () => {
+      try {
+        await UnitOfWork.transactionally(db, async unitOfWork => {
+          await repo.upsert(widget({ _id: 'a' }), { unitOfWork })
+          await repo.upsert(widget({ _id: 'b' }), { unitOfWork })
+          await unitOfWork.update(db.doc('widgets/missing'), { _size: 1 })
+        })
+        expect.fail('unit of work should have failed')
+      } catch (e) {
+        expect(e.code).to.equal(5)
+      }
+      expect(await repo.findAll()).to.deep.equal([])
+
+      await UnitOfWork.batched(db, async unitOfWork => {
+        await repo.upsert(widget({ _id: 'a' }), { unitOfWork })
+        await repo.upsert(widget({ _id: 'b' }), { unitOfWork })
+      })
+      expect((await repo.findAll()).map(it => it.id)).to.deep.equal(['a', 'b'])
+    })
+  })
+
+  describe('exports & imports', () => {
+    const exported = async repo => {
+      const stream = new PassThrough()
+      let text = ''
+      stream.on('data', it => { text += it })
+      const result = await repo.exportTo(stream, { batchSize: 2 })
+      stream.end()
+      return { result, text }
+    }
+
+    const imported = async (repo, text, options) => {
+      const stream = new PassThrough()
+      stream.end(text)
+      return repo.importFrom(stream, options)
+    }
+
+    it('should round-trip documents exactly', async () => {
+      const source = new InMemoryFirestore()
+      const data = {
+        _id: 'a',
+        _at: new Timestamp(1546300800, 123456789),
+        _delivery: { _type: 'Period', _begin: Timestamp.fromMillis(1546300800000), _end: Timestamp.fromMillis(1546387200000) },
+        _vacation: { _type: 'DatePeriod', _begin: Timestamp.fromMillis(1548979200000) },
+        _day: DayOfWeek.MONDAY.name,
+        _days: [DayOfWeek.TUESDAY.name, DayOfWeek.FRIDAY.name],
+        _where: new GeoPoint(1.5, -2.5),
+        _bytes: Buffer.from([0, 1, 255]),
+        _odd: { $timestamp: 'not really', $ref: 1 },
+        _none: null,
+        _deletedAt: Timestamp.fromMillis(1)
+      }
+      await source.doc('fakes/a').set(data)
+      await source.doc('fakes/b').set({ _id: 'b', _other: source.doc('fakes/a') })
+      await source.doc('fakes/c').set({ _id: 'c' })
+
+      const { result, text } = await exported(new FakeRepository(source))
+      expect(result).to.deep.equal({ exported: 3 })
+      const lines = text.trim().split('\n').map(it => JSON.parse(it))
+      expect(lines.map(it => it.id)).to.deep.equal(['a', 'b', 'c'])
+      expect(lines[0].data._at).to.deep.equal({ $timestamp: '2019-01-01T00:00:00.123456789Z' })
+      expect(lines[0].data._day).to.equal('MONDAY')
+      expect(lines[1].data._other).to.deep.equal({ $ref: 'fakes/a' })
+
+      const target = new InMemoryFirestore()
+      expect(await imported(new FakeRepository(target), text, { batchSize: 2 })).to.deep.equal({ read: 3, imported: 3, errors: [] })
+      expect((await target.doc('fakes/a').get()).data()).to.deep.equal(data)
+      expect((await target.doc('fakes/b').get()).get('_other').isEqual(target.doc('fakes/a'))).to.be.true()
+      expect((await target.doc('fakes/c').get()).data()).to.deep.equal({ _id: 'c' })
+    })
+
+    it('should report per-line errors & skip existing documents when inserting', async () => {
+      const db = new InMemoryFirestore()
+      repo = new FakeRepository(db)
+      await db.doc('fakes/a').set({ _id: 'a', _n: 0 })
+
+      const text = [
+        '{"id":"a","data":{"_id":"a","_n":1}}',
+        'not json',
+        '',
+        '{"id":"b","data":{"_id":"b","_n":1}}',
+        '{"data":{}}',
+        '{"id":"b","data":{"_id":"b","_n":2}}',
+        '{"id":"c","data":{"_at":{"$timestamp":"yesterday"}}}',
+        '{"id":"d","data":{"_id":"d","_n":1}}'
+      ].join('\r\n')
+
+      const report = await imported(repo, text, { mode: 'insert', batchSize: 2 })
+      expect(report.read).to.equal(8)
+      expect(report.imported).to.equal(2)
+      expect(report.errors.map(({ line, id }) => [line, id])).to.deep.equal([[1, 'a'], [2, undefined], [5, undefined], [6, 'b'], [7, undefined]])
+      expect(report.errors[0].error).to.be.an.instanceOf(ObjectExistsError)
+      expect(report.errors[2].error).to.be.an.instanceOf(IllegalArgumentError)
+      expect((await db.doc('fakes/a').get()).get('_n')).to.equal(0)
+      expect((await db.doc('fakes/b').get()).get('_n')).to.equal(1)
+      expect((await db.doc('fakes/d').get()).exists).to.be.true()
+
+      expect(await imported(repo, text, { batchSize: 3 })).to.include({ read: 8, imported: 4 })
+      expect((await db.doc('fakes/a').get()).get('_n')).to.equal(1)
+      expect((await db.doc('fakes/b').get()).get('_n')).to.equal(2)
+
+      try {
+        await repo.importFrom(new PassThrough(), { mode: 'replace' })
+        expect.fail('import should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalArgumentError)
+      }
+    })
+
+    it('should replace soft-deleted documents when inserting, as insert does', async () => {
+      class SoftDeletingFakeRepository extends FakeRepository {
+        get _softDeletes () {
+          return true
+        }
+      }
+      const db = new InMemoryFirestore()
+      repo = new SoftDeletingFakeRepository(db)
+      await db.doc('fakes/a').set({ _id: 'a', _n: 0, _deletedAt: null })
+      await db.doc('fakes/b').set({ _id: 'b', _n: 0, _stale: true, _deletedAt: Timestamp.fromMillis(1) })
+
+      const text = [
+        '{"id":"a","data":{"_id":"a","_n":1,"_deletedAt":null}}',
+        '{"id":"b","data":{"_id":"b","_n":1,"_deletedAt":null}}'
+      ].join('\n')
+
+      const report = await imported(repo, text, { mode: 'insert' })
+      expect(report.imported).to.equal(1)
+      expect(report.errors.map(({ line, id }) => [line, id])).to.deep.equal([[1, 'a']])
+      expect((await db.doc('fakes/a').get()).get('_n')).to.equal(0)
+      expect((await db.doc('fakes/b').get()).data()).to.deep.equal({ _id: 'b', _n: 1, _deletedAt: null })
+      expect((await repo.findById('b')).id).to.equal('b')
+    })
+  })
+
+  describe('caching', () => {
+    let db, now
+
+    class CachedFakeRepository extends FakeRepository {
+      get _cacheOptions () {
+        return { cache: this._testCache || (this._testCache = new LruCache({ now: () => now })), ttl: 1000 }
+      }
+
+      get _softDeletes () {
+        return true
+      }
+    }
+
+    beforeEach(() => {
+      now = 0
+      db = new InMemoryFirestore()
+      repo = new CachedFakeRepository(db)
+    })
+
+    const fake = id => Object.assign(new Fake(), { _id: id })
+
+    it('should read through the cache until its documents expire', async () => {
+      await db.doc('fakes/a').set({ _id: 'a' })
+
+      expect((await repo.findById('a')).id).to.equal('a')
+      await db.doc('fakes/a').delete() // behind the repository's back
+      expect((await repo.getById('a')).id).to.equal('a')
+      expect(await repo.findById('b')).to.be.null()
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 2 })
+
+      now = 1000
+      expect(await repo.findById('a')).to.be.null()
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 3 })
+
+      await db.doc('fakes/a').set({ _id: 'a' })
+      await repo.findById('a')
+      await repo.clearCache()
+      await db.doc('fakes/a').delete()
+      expect(await repo.findById('a')).to.be.null()
+    })
+
+    it('should invalidate cached documents on writes', async () => {
+      await repo.insert(fake('a'))
+      await repo.findById('a')
+      await repo.deleteById('a')
+      expect(await repo.findById('a')).to.be.null()
+      expect((await repo.findById('a', { includeDeleted: true })).id).to.equal('a')
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 2 })
+
+      await repo.restore('a')
+      expect((await repo.findById('a')).id).to.equal('a')
+
+      await repo.upsert(fake('a'))
+      await repo.findById('a')
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 4 })
+    })
+
+    it('should read uncached documents by ids through the cache', async () => {
+      await db.doc('fakes/a').set({ _id: 'a' })
+      await db.doc('fakes/b').set({ _id: 'b' })
+      await repo.findById('a')
+
+      expect((await repo.findByIds(['b', 'a', 'c'])).map(it => it && it.id)).to.deep.equal(['b', 'a', null])
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 3 })
+      expect((await repo.findByIds(['a', 'b'])).map(it => it.id)).to.deep.equal(['a', 'b'])
+      expect(repo.cacheStats).to.deep.equal({ hits: 3, misses: 3 })
+    })
+
+    it('should only invalidate once a unit of work commits & not cache its reads', async () => {
+      await repo.upsert(fake('a'))
+      await repo.findById('a')
+
+      await UnitOfWork.transactionally(db, async unitOfWork => {
+        expect(await repo.findById('a', { unitOfWork })).to.be.an.instanceOf(Fake)
+        await repo.deleteById('a', { unitOfWork })
+        expect(await repo.findById('a')).to.be.an.instanceOf(Fake)
+      })
+      expect(await repo.findById('a')).to.be.null()
+      expect(repo.cacheStats).to.deep.equal({ hits: 1, misses: 2 })
+    })
+  })
+
+  describe('validation', () => {
+    class Shift {}
+    class Task {}
+
+    class ShiftRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'shifts')
+      }
+
+      get _schema () {
+        return {
+          create: () => new Shift(),
+          fields: {
+            id: 'string',
+            name: { type: 'string', required: true, pattern: /^[A-Z]/ },
+            slots: { type: 'int', min: 1, max: 10, default: 1 },
+            rate: { type: 'float', required: true, validate: (it, shift) => it <= 100 || shift._overtime === true || 'is too high' },
+            overtime: 'boolean',
+            startsAt: { type: 'moment', min: '2020-01-01T00:00:00Z' },
+            during: Period,
+            day: DayOfWeek,
+            days: [DayOfWeek],
+            tasks: [{
+              create: () => new Task(),
+              fields: {
+                title: { type: 'string', required: true }
+              }
+            }]
+          }
+        }
+      }
+    }
+
+    class ValidatingShiftRepository extends ShiftRepository {
+      get _validationRules () {
+        return this._schema
+      }
+    }
+
+    const shift = props => Object.assign(new Shift(), { _name: 'Day', _rate: 10 }, props)
+
+    beforeEach(() => {
+      repo = new ValidatingShiftRepository(new InMemoryFirestore())
+    })
+
+    it('should store valid entities', async () => {
+      const valid = shift({
+        _startsAt: moment.utc('2020-06-01T08:00:00Z'),
+        _during: new Period(moment.utc('2020-06-01T08:00:00Z'), moment.utc('2020-06-01T16:00:00Z')),
+        _day: DayOfWeek.MONDAY,
+        _days: [DayOfWeek.TUESDAY],
+        _tasks: [Object.assign(new Task(), { _title: 'sweep' })],
+        _rate: 150,
+        _overtime: true
+      })
+      await repo.insert(valid)
+      expect((await repo.getById(valid._id))._slots).to.equal(1)
+    })
+
+    it('should report every violation', async () => {
+      const during = new Period(moment.utc('2020-06-01T08:00:00Z'), moment.utc('2020-06-01T16:00:00Z'))
+      during._end = moment.utc('2020-06-01T00:00:00Z')
+
+      const invalid = shift({
+        _name: 'night',
+        _slots: 11,
+        _rate: 150,
+        _overtime: 'yes',
+        _startsAt: moment.utc('2019-12-31T00:00:00Z'),
+        _during: during,
+        _day: 'MONDAY',
+        _days: [DayOfWeek.TUESDAY, 2],
+        _tasks: [Object.assign(new Task(), { _title: 'sweep' }), new Task()]
+      })
+
+      try {
+        await repo.upsert(invalid)
+        expect.fail('upsert should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ValidationError)
+        expect(e.code).to.equal('E_VALIDATION')
+        expect(e.info.violations.map(({ path, rule }) => [path, rule])).to.deep.equal([
+          ['name', 'pattern'],
+          ['slots', 'max'],
+          ['rate', 'validate'],
+          ['overtime', 'type'],
+          ['startsAt', 'min'],
+          ['during', 'range'],
+          ['day', 'enum'],
+          ['days.1', 'enum'],
+          ['tasks.1.title', 'required']
+        ])
+        expect(e.info.violations[2].message).to.equal('is too high')
+        expect(e.message).to.contain('name, slots, rate')
+      }
+      expect(await repo.findAll()).to.deep.equal([])
+
+      try {
+        await repo.insert(shift({ _name: undefined, _rate: null }))
+        expect.fail('insert should have failed')
+      } catch (e) {
+        expect(e.info.violations.map(({ path, rule }) => [path, rule])).to.deep.equal([['name', 'required'], ['rate', 'required']])
+      }
+    })
+
+    it('should only validate when given rules, which needn\'t be the schema', async () => {
+      class FakeValidatingRepository extends FakeRepository {
+        get _validationRules () {
+          return { fields: { id: { type: 'string', pattern: /^f/ } } }
+        }
+      }
+
+      const unvalidated = new ShiftRepository(new InMemoryFirestore())
+      await unvalidated.upsert(shift({ _id: 'a', _name: 'night', _slots: 11 }))
+      expect((await unvalidated.getById('a'))._slots).to.equal(11)
+
+      repo = new FakeValidatingRepository(new InMemoryFirestore())
+      await repo.upsert(Object.assign(new Fake(), { _id: 'fine' }))
+      try {
+        await repo.upsert(Object.assign(new Fake(), { _id: 'bad' }))
+        expect.fail('upsert should have failed')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ValidationError)
+      }
+    })
+  })
+
+  describe('zoned periods', () => {
+    class Schedule {}
+
+    class ScheduleRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'schedules')
+      }
+
+      get _zonedPeriods () {
+        return true
+      }
+
+      get _schema () {
+        return {
+          create: () => new Schedule(),
+          fields: {
+            id: 'string',
+            shift: Period,
+            vacation: DatePeriod
+          }
+        }
+      }
+    }
+
+    const zone = 'America/Chicago'
+
+    it('should store & restore the zones of periods & the calendar dates of date periods', async () => {
+      const db = new InMemoryFirestore()
+      repo = new ScheduleRepository(db)
+
+      const shift = new Period(moment.tz('2020-03-06T22:00:00', zone), moment.tz('2020-03-07T06:00:00', zone)) // a Friday night in Chicago, but Saturday in UTC
+      expect(shift.zone).to.equal(zone)
+      const vacation = new DatePeriod(moment.utc('2020-03-09'), moment.utc('2020-03-13'))
+      await repo.upsert(Object.assign(new Schedule(), { _id: 'a', _shift: shift, _vacation: vacation }))
+
+      const doc = (await db.doc('schedules/a').get()).data()
+      expect(doc._shift._zone).to.equal(zone)
+      expect(doc._shift._begin.toMillis()).to.equal(shift._begin.valueOf())
+      expect(doc._vacation).to.deep.equal({ _type: 'DatePeriod', _begin: '2020-03-09', _end: '2020-03-13' })
+
+      const found = await repo.getById('a')
+      expect(found._shift).to.be.an.instanceOf(Period)
+      expect(found._shift.zone).to.equal(zone)
+      expect(found._shift.begin.tz()).to.equal(zone)
+      expect(found._shift.begin.format('dddd')).to.equal('Friday')
+      expect(found._shift.end.isSame(shift._end)).to.be.true()
+      expect(found._vacation).to.be.an.instanceOf(DatePeriod)
+      expect(found._vacation.begin.isSame(vacation._begin)).to.be.true()
+      expect(found._vacation.end.isSame(vacation._end)).to.be.true()
+    })
+
+    it('should take zones from periods & read unzoned documents', async () => {
+      repo = new ScheduleRepository(new InMemoryFirestore())
+
+      const shift = new Period(moment.utc('2020-03-06T04:00:00Z'), moment.utc('2020-03-06T12:00:00Z'), 'Asia/Tokyo')
+      expect(shift.begin.format('HH:mm')).to.equal('13:00')
+      expect(repo._toPeriodDocument(shift)._zone).to.equal('Asia/Tokyo')
+      expect(repo._toPeriodDocument(shift.withZone(null))._zone).to.be.undefined()
+      expect(shift.begin.format('HH:mm')).to.equal('04:00')
+      expect(repo._toPeriodDocument(shift.clone().withZone('Europe/Paris'))._zone).to.equal('Europe/Paris')
+
+      expect(() => new Period(undefined, undefined, 'Nowhere/Special')).to.throw(IllegalArgumentError)
+      expect(() => { shift.zone = 'Nowhere/Special' }).to.throw(IllegalArgumentError)
+
+      const unzoned = repo._fromPeriodDocument({ plain: { _type: 'Period', _begin: Timestamp.fromMillis(0) } })
+      expect(unzoned.zone).to.be.undefined()
+      expect(unzoned.begin.valueOf()).to.equal(0)
+      const legacy = repo._fromDatePeriodDocument({ plain: { _type: 'DatePeriod', _begin: Timestamp.fromMillis(Date.parse('2020-03-09T00:00:00Z')) } })
+      expect(legacy.begin.isSame(moment.utc('2020-03-09'))).to.be.true()
+    })
+
+    it('should not store zones unless opted in', () => {
+      repo = new FakeRepository(dbMock)
+      const shift = new Period(moment.tz('2020-03-06T22:00:00', zone))
+      const vacation = new DatePeriod(moment.utc('2020-03-09'), moment.utc('2020-03-13'))
+
+      const doc = repo._toDocument({ _shift: shift, _vacation: vacation })
+      expect(doc._shift).to.deep.equal({ _type: 'Period', _begin: Timestamp.fromMillis(shift._begin.valueOf()) })
+      expect(doc._vacation._begin).to.be.an.instanceOf(Timestamp)
+    })
+  })
+
+  describe('period queries', () => {
+    class Booking {
+      get id () {
+        return this._id
+      }
+    }
+
+    class BookingRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'bookings')
+      }
+
+      get _softDeletes () {
+        return true
+      }
+
+      get _schema () {
+        return {
+          create: () => new Booking(),
+          fields: {
+            id: 'string',
+            room: 'string',
+            stay: Period
+          }
+        }
+      }
+    }
+
+    class TripRepository extends BookingRepository {
+      get _zonedPeriods () {
+        return true
+      }
+
+      get _schema () {
+        return {
+          create: () => new Booking(),
+          fields: {
+            id: 'string',
+            stay: DatePeriod
+          }
+        }
+      }
+    }
+
+    class NullBoundBookingRepository extends BookingRepository {
+      get _nullPeriodBounds () {
+        return true
+      }
+    }
+
+    const at = it => it && moment.utc(`2020-03-${it}T00:00:00Z`)
+    const period = (begin, end) => new Period(at(begin), at(end))
+    const ids = entities => entities.map(it => it._id)
+
+    const book = async repo => {
+      await Promise.all([
+        ['a', '01', '05', 'x'],
+        ['b', '04', '10', 'y'],
+        ['c', '10', '15', 'x'],
+        ['d', null, '03', 'x'], // open begin
+        ['e', '12', null, 'y'], // open end
+        ['f', null, null, 'x'] // forever
+      ].map(([id, begin, end, room]) => repo.upsert(Object.assign(new Booking(), { _id: id, _room: room, _stay: period(begin, end) }))))
+      await repo.upsert(Object.assign(new Booking(), { _id: 'g', _room: 'x' })) // no period
+      return repo
+    }
+
+    beforeEach(async () => {
+      repo = await book(new BookingRepository(new InMemoryFirestore()))
+    })
+
+    it('should find overlapping periods with half-open semantics whichever bound is compared by Firestore', async () => {
+      for (const it of [repo, await book(new NullBoundBookingRepository(new InMemoryFirestore()))]) {
+        for (const bound of [undefined, 'begin', 'end']) {
+          expect(ids(await it.findOverlapping('_stay', period('05', '10'), {}, { bound }))).to.deep.equal(['f', 'b'])
+          expect(ids(await it.findOverlapping('_stay', period('02', null), {}, { bound }))).to.deep.equal(['d', 'f', 'a', 'b', 'c', 'e'])
+          expect(ids(await it.findOverlapping('_stay', period(null, '02'), {}, { bound }))).to.deep.equal(['d', 'f', 'a'])
+          expect(ids(await it.findOverlapping('_stay', new Period(), {}, { bound }))).to.deep.equal(['d', 'f', 'a', 'b', 'c', 'e'])
+          expect(ids(await it.findContaining('_stay', at('10'), {}, { bound }))).to.deep.equal(['f', 'c'])
+        }
+      }
+    })
+
+    it('should omit missing bounds unless storing null bounds', async () => {
+      const db = new InMemoryFirestore()
+      await book(new BookingRepository(db))
+      expect((await db.doc('bookings/e').get()).get('_stay')).to.not.have.property('_end')
+
+      await book(new NullBoundBookingRepository(db))
+      expect((await db.doc('bookings/e').get()).get('_stay._end')).to.equal(null)
+    })
+
+    it('should find periods stored without null bounds once migrated to null bounds', async () => {
+      class MigratedBookingRepository extends NullBoundBookingRepository {
+        get _migrations () {
+          return [it => it._stay ? { ...it, _stay: { _begin: null, _end: null, ...it._stay } } : it]
+        }
+      }
+      const db = new InMemoryFirestore()
+      await book(new BookingRepository(db))
+      repo = new MigratedBookingRepository(db)
+
+      expect(ids(await repo.findOverlapping('_stay', period('13', '14')))).to.deep.equal(['c'])
+      await repo.migrateAll()
+      expect(ids(await repo.findOverlapping('_stay', period('13', '14')))).to.deep.equal(['f', 'c', 'e'])
+    })
+
+    it('should find periods containing instants & periods', async () => {
+      expect(ids(await repo.findContaining('_stay', at('10')))).to.deep.equal(['f', 'c'])
+      expect(ids(await repo.findOverlapping('_stay', at('04').toDate()))).to.deep.equal(['f', 'a', 'b'])
+      expect(ids(await repo.findContaining('_stay', Timestamp.fromMillis(at('20').valueOf()), {}, { bound: 'begin' }))).to.deep.equal(['f', 'e'])
+      expect(ids(await repo.findContaining('_stay', period('12', '14')))).to.deep.equal(['f', 'c', 'e'])
+      expect(ids(await repo.findContaining('_stay', period('13', null)))).to.deep.equal(['f', 'e'])
+      expect(ids(await repo.findContaining('_stay', period(null, '02'), {}, { bound: 'end' }))).to.deep.equal(['d', 'f'])
+    })
+
+    it('should find periods within periods', async () => {
+      expect(ids(await repo.findWithin('_stay', period('01', '10')))).to.deep.equal(['a', 'b'])
+      expect(ids(await repo.findWithin('_stay', period('04', null), {}, { bound: 'end' }))).to.deep.equal(['b', 'c', 'e'])
+      expect(ids(await repo.findWithin('_stay', period(null, '05')))).to.deep.equal(['d', 'a'])
+      expect(ids(await repo.findWithin('_stay', new Period()))).to.deep.equal(['d', 'f', 'a', 'b', 'c', 'e'])
+
+      try {
+        await repo.findWithin('_stay', at('01'))
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalArgumentError)
+      }
+    })
+
+    it('should apply criteria & exclude deleted entities', async () => {
+      await repo.deleteById('a')
+
+      expect(ids(await repo.findOverlapping('_stay', period('01', '11'), { where: { _room: 'x' } }))).to.deep.equal(['d', 'f', 'c'])
+      expect(ids(await repo.findOverlapping('_stay', period('01', '11'), { where: { _room: 'x' }, includeDeleted: true }))).to.deep.equal(['d', 'f', 'a', 'c'])
+    })
+
+    it('should compare both bounds in memory given range criteria', async () => {
+      for (const it of [repo, await book(new NullBoundBookingRepository(new InMemoryFirestore()))]) {
+        expect(ids(await it.findWithin('_stay', period('01', '16'), { where: { _room: { '>': 'x' } } }))).to.deep.equal(['b'])
+        expect(ids(await it.findOverlapping('_stay', period('11', '13'), { where: { _room: { '>=': 'x' } } }, { bound: 'end' }))).to.deep.equal(['f', 'c', 'e'])
+      }
+    })
+
+    it('should compare the calendar dates of zoned date periods', async () => {
+      repo = new TripRepository(new InMemoryFirestore())
+      const trip = (id, begin, end) => repo.upsert(Object.assign(new Booking(), { _id: id, _stay: new DatePeriod(at(begin), at(end)) }))
+      await trip('a', '01', '05')
+      await trip('b', '05', '09')
+      await trip('c', '09', null)
+
+      expect(ids(await repo.findContaining('_stay', moment.utc('2020-03-05T13:00:00Z')))).to.deep.equal(['b'])
+      expect(ids(await repo.findOverlapping('_stay', new DatePeriod(at('04'), at('06')), {}, { bound: 'begin' }))).to.deep.equal(['a', 'b'])
+      expect(ids(await repo.findWithin('_stay', new DatePeriod(at('05'), null)))).to.deep.equal(['b', 'c'])
+    })
+  })
+
+  describe('converters', () => {
+    class Money {
+      constructor (amount, currency) {
+        this.amount = amount
+        this.currency = currency
+      }
+    }
+
+    class Invoice {
+      get id () {
+        return this._id
+      }
+    }
+
+    class InvoiceRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'invoices')
+      }
+
+      _registerConverters (converters) {
+        return super._registerConverters(converters)
+          .register('Money', {
+            type: Money,
+            toFirestore: it => `${it.currency} ${it.amount.toFixed(2)}`,
+            fromFirestore: it => new Money(parseFloat(it.split(' ')[1]), it.split(' ')[0])
+          })
+      }
+
+      get _schema () {
+        return {
+          create: () => new Invoice(),
+          fields: {
+            id: 'string',
+            total: Money,
+            lines: ['Money'],
+            paidAt: Date,
+            sentAt: 'Timestamp',
+            day: DayOfWeek,
+            term: Period
+          }
+        }
+      }
+    }
+
+    it('should convert registered & built-in types in both directions', async () => {
+      const db = new InMemoryFirestore()
+      repo = new InvoiceRepository(db)
+      const paidAt = new Date('2020-03-06T12:00:00Z')
+      const sentAt = Timestamp.fromMillis(paidAt.getTime() - 1000)
+      const term = new Period(moment.utc('2020-03-01'), moment.utc('2020-04-01'))
+
+      await repo.upsert(Object.assign(new Invoice(), {
+        _id: 'a',
+        _total: new Money(3.5, 'USD'),
+        _lines: [new Money(1, 'USD'), new Money(2.5, 'USD')],
+        _paidAt: paidAt,
+        _sentAt: sentAt,
+        _day: DayOfWeek.FRIDAY,
+        _term: term
+      }))
+
+      const doc = (await db.doc('invoices/a').get()).data()
+      expect(doc._total).to.equal('USD 3.50')
+      expect(doc._lines).to.deep.equal(['USD 1.00', 'USD 2.50'])
+      expect(doc._paidAt).to.be.an.instanceOf(Timestamp)
+      expect(doc._day).to.equal('FRIDAY')
+      expect(doc._term._begin.toMillis()).to.equal(term.begin.valueOf())
+
+      const found = await repo.getById('a')
+      expect(found._total).to.deep.equal(new Money(3.5, 'USD'))
+      expect(found._lines).to.deep.equal([new Money(1, 'USD'), new Money(2.5, 'USD')])
+      expect(found._paidAt).to.be.an.instanceOf(Date)
+      expect(found._paidAt.getTime()).to.equal(paidAt.getTime())
+      expect(found._sentAt.isEqual(sentAt)).to.be.true()
+      expect(found._day).to.equal(DayOfWeek.FRIDAY)
+      expect(found._term.begin.isSame(term.begin)).to.be.true()
+
+      expect((await repo.findAll({ where: { _total: new Money(3.5, 'USD') } })).map(it => it._id)).to.deep.equal(['a'])
+    })
+
+    it('should convert periods by class rather than by name', async () => {
+      class Term extends Period {}
+      const NotAPeriod = class Period {}
+      repo = new InvoiceRepository(new InMemoryFirestore())
+
+      const term = new Term(moment.utc('2020-03-01'), moment.utc('2020-04-01'))
+      expect(repo._converters.of(term).name).to.equal('Period')
+      expect(repo._toPeriodDocument(term)._type).to.equal('Period')
+      expect(repo._converters.of(new DatePeriod(moment.utc('2020-03-01'))).name).to.equal('DatePeriod')
+      expect(repo._converters.of(new NotAPeriod())).to.be.undefined()
+    })
+
+    it('should validate registered types', () => {
+      repo = new InvoiceRepository(new InMemoryFirestore())
+
+      expect(repo._violationsOf({ entity: { _total: 3.5, _paidAt: 'then' }, schema: repo._schema }).map(it => it.message))
+        .to.deep.equal(['must be a Money', 'must be a Date'])
+    })
+
+    it('should reject unregistered types', () => {
+      repo = new InvoiceRepository(new InMemoryFirestore())
+
+      expect(() => repo._toSchemaMapper({ type: 'Decimal' })).to.throw(IllegalArgumentError)
+    })
+  })
+
+  describe('aggregations', () => {
+    class Item {
+      get id () {
+        return this._id
+      }
+    }
+
+    class ItemRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'items')
+      }
+
+      get _softDeletes () {
+        return true
+      }
+
+      get _schema () {
+        return {
+          create: () => new Item(),
+          fields: {
+            id: 'string',
+            day: DayOfWeek,
+            quantity: 'any'
+          }
+        }
+      }
+    }
+
+    beforeEach(async () => {
+      repo = new ItemRepository(new InMemoryFirestore())
+
+      await Promise.all([
+        ['a', DayOfWeek.MONDAY, 1],
+        ['b', DayOfWeek.TUESDAY, 2],
+        ['c', DayOfWeek.MONDAY, 3.5],
+        ['d', DayOfWeek.MONDAY, 'many'],
+        ['e', undefined, 4],
+        ['f', DayOfWeek.TUESDAY, 10]
+      ].map(([id, day, quantity]) => repo.upsert(Object.assign(new Item(), { _id: id, _day: day, _quantity: quantity }))))
+      await repo.deleteById('f')
+    })
+
+    it('should count, sum & average page by page without an aggregation query', async () => {
+      expect(await repo.count()).to.equal(5)
+      expect(await repo.count({ includeDeleted: true }, { pageSize: 2 })).to.equal(6)
+      expect(await repo.count({ where: { _day: DayOfWeek.MONDAY } })).to.equal(3)
+
+      expect(await repo.sum('_quantity', undefined, { pageSize: 2 })).to.equal(10.5)
+      expect(await repo.sum('_quantity', { where: { _day: DayOfWeek.TUESDAY }, includeDeleted: true })).to.equal(12)
+      expect(await repo.sum('_quantity', { where: { _day: DayOfWeek.SUNDAY } })).to.equal(0)
+
+      expect(await repo.average('_quantity', { where: { _day: DayOfWeek.MONDAY } })).to.equal(2.25)
+      expect(await repo.average('_quantity', { where: { _day: DayOfWeek.SUNDAY } })).to.be.null()
+    })
+
+    it('should aggregate range & in criteria page by page', async () => {
+      const where = { _quantity: { '>=': 2, '<': 10 } }
+
+      expect(await repo.count({ where }, { pageSize: 1 })).to.equal(3)
+      expect(await repo.sum('_quantity', { where, includeDeleted: true }, { pageSize: 2 })).to.equal(9.5)
+      expect(await repo.average('_quantity', { where: { ...where, _day: { in: [DayOfWeek.MONDAY, DayOfWeek.TUESDAY] } } }, { pageSize: 1 })).to.equal(2.75)
+      expect(await repo.groupBy('_day', { where, includeDeleted: true }, { pageSize: 1 })).to.deep.equal([
+        { value: 'TUESDAY', count: 1 },
+        { value: 'MONDAY', count: 1 },
+        { value: undefined, count: 1 }
+      ])
+    })
+
+    it('should count by stored value', async () => {
+      expect(await repo.groupBy('_day', undefined, { pageSize: 2 })).to.deep.equal([
+        { value: 'MONDAY', count: 3 },
+        { value: 'TUESDAY', count: 1 },
+        { value: undefined, count: 1 }
+      ])
+      expect(await repo.groupBy('_day', { where: { _quantity: { '>': 1 } }, includeDeleted: true })).to.deep.equal([
+        { value: 'TUESDAY', count: 2 },
+        { value: 'MONDAY', count: 1 },
+        { value: undefined, count: 1 }
+      ])
+    })
+
+    it('should use an aggregation query where supported', async () => {
+      const query = {
+        where: () => query,
+        count: () => ({ get: async () => ({ data: () => ({ count: 42 }) }) }),
+        get: async () => expect.fail('should not have read documents')
+      }
+      repo = new ItemRepository({ collection: () => query })
+
+      expect(await repo.count()).to.equal(42)
+    })
+  })
+
+  describe('encryption', () => {
+    class Patient {
+      get id () {
+        return this._id
+      }
+    }
+
+    const keys = new LocalKeyProvider({ keys: { k1: Buffer.alloc(32, 1), k2: Buffer.alloc(32, 2) }, currentKeyId: 'k1' })
+
+    class PatientRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'patients')
+      }
+
+      get _encryptionOptions () {
+        return {
+          keys,
+          fields: { _ssn: { deterministic: true }, _born: true, '_address._street': true }
+        }
+      }
+
+      get _schema () {
+        return {
+          create: () => new Patient(),
+          fields: {
+            id: 'string',
+            name: 'string',
+            ssn: 'string',
+            born: 'moment',
+            address: { fields: { street: 'string', city: 'string' } }
+          }
+        }
+      }
+    }
+
+    const patient = props => Object.assign(new Patient(), props)
+
+    let db
+
+    beforeEach(async () => {
+      keys._currentKeyId = 'k1'
+      db = new InMemoryFirestore()
+      repo = new PatientRepository(db)
+
+      await repo.upsert(patient({ _id: 'a', _name: 'ann', _ssn: '123-45-6789', _born: moment.utc('1970-01-02'), _address: { _street: '1 Main St', _city: 'Austin' } }))
+      await repo.upsert(patient({ _id: 'b', _name: 'bob', _ssn: '987-65-4321' }))
+    })
+
+    it('should encrypt selected fields at rest & decrypt them on read', async () => {
+      const doc = (await db.doc('patients/a').get()).data()
+      expect(doc._name).to.equal('ann')
+      expect(doc._address._city).to.equal('Austin')
+      for (const it of [doc._ssn, doc._born, doc._address._street]) {
+        expect(it._type).to.equal('Encrypted')
+        expect(it._keyId).to.equal('k1')
+        expect(it._value).to.be.a('string')
+      }
+      expect(JSON.stringify(doc)).to.not.contain('123-45-6789').and.not.contain('Main')
+      expect((await db.doc('patients/b').get()).data()._born).to.be.undefined()
+
+      const found = await repo.getById('a')
+      expect(found._ssn).to.equal('123-45-6789')
+      expect(found._born.isSame(moment.utc('1970-01-02'))).to.be.true()
+      expect(found._address._street).to.equal('1 Main St')
+    })
+
+    it('should look up deterministically encrypted fields by equality only', async () => {
+      expect((await repo.findAll({ where: { _ssn: '987-65-4321' } })).map(it => it._id)).to.deep.equal(['b'])
+      expect((await repo.findAll({ where: [['_ssn', 'in', ['123-45-6789', '000-00-0000']]] })).map(it => it._id)).to.deep.equal(['a'])
+
+      for (const where of [{ _ssn: { '>': '1' } }, { _born: moment.utc('1970-01-02') }]) {
+        try {
+          await repo.findAll({ where })
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(IllegalArgumentError)
+        }
+      }
+    })
+
+    it('should read values stored with old keys & before encryption & re-encrypt them', async () => {
+      await db.doc('patients/c').set({ _name: 'cat', _ssn: '555-55-5555' })
+      keys._currentKeyId = 'k2'
+
+      expect((await repo.getById('a'))._ssn).to.equal('123-45-6789')
+      expect((await repo.getById('c'))._ssn).to.equal('555-55-5555')
+      expect(await repo.findAll({ where: { _ssn: '123-45-6789' } })).to.deep.equal([])
+
+      expect(await repo.reencryptAll({ batchSize: 2 })).to.deep.equal({ scanned: 3, reencrypted: 3 })
+      expect(await repo.reencryptAll()).to.deep.equal({ scanned: 3, reencrypted: 0 })
+
+      expect((await db.doc('patients/c').get()).data()._ssn._keyId).to.equal('k2')
+      expect((await repo.findAll({ where: { _ssn: '123-45-6789' } })).map(it => it._id)).to.deep.equal(['a'])
+      expect((await repo.getById('a'))._born.isSame(moment.utc('1970-01-02'))).to.be.true()
+    })
+
+    it('should fail to read values moved to other fields or documents', async () => {
+      const a = (await db.doc('patients/a').get()).data()
+      await db.doc('patients/c').set({ ...a, _id: 'c' })
+      await db.doc('patients/d').set({ _id: 'd', _ssn: a._ssn })
+      await db.doc('patients/e').set({ _id: 'e', _address: { _street: a._born } })
+
+      expect((await repo.getById('d'))._ssn).to.equal('123-45-6789') // deterministic values are bound to their fields only
+      for (const id of ['c', 'e']) {
+        try {
+          await repo.getById(id)
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(EncryptionError)
+        }
+      }
+    })
+
+    it('should fail to read values whose key is unknown', async () => {
+      const doc = (await db.doc('patients/a').get()).data()
+      doc._ssn._keyId = 'k0'
+      await db.doc('patients/a').set(doc)
+
+      try {
+        await repo.getById('a')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(EncryptionError)
+      }
+    })
+  })
+
+  describe('history', () => {
+    class Account {
+      get id () {
+        return this._id
+      }
+    }
+
+    let millis
+
+    class AccountRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'accounts')
+      }
+
+      get _clock () {
+        return () => Timestamp.fromMillis(millis)
+      }
+
+      get _audited () {
+        return true
+      }
+
+      get _schema () {
+        return {
+          create: () => new Account(),
+          fields: {
+            id: 'string',
+            name: 'string',
+            nickname: 'string',
+            day: DayOfWeek
+          }
+        }
+      }
+    }
+
+    class SoftVersionedAccountRepository extends AccountRepository {
+      get _softDeletes () {
+        return true
+      }
+
+      get _versioned () {
+        return true
+      }
+    }
+
+    const account = props => Object.assign(new Account(), props)
+    const tick = () => { millis++ }
+
+    let db
+
+    beforeEach(() => {
+      millis = Date.UTC(2020, 0, 1)
+      db = new InMemoryFirestore()
+      repo = new AccountRepository(db)
+    })
+
+    it('should record each write with its actor & changes', async () => {
+      await repo.insert(account({ _id: 'a', _name: 'al', _nickname: 'Al', _day: DayOfWeek.MONDAY }), { context: { actor: 'alice' } })
+      await repo.upsert(account({ _id: 'a', _name: 'alan', _day: DayOfWeek.MONDAY }), { context: { actor: { id: 'bob', role: 'admin' } } })
+      await repo.upsert(account({ _id: 'a', _name: 'alan' }), { merge: false })
+      await repo.deleteById('a', { context: { actor: 'alice' } })
+
+      const history = await repo.historyOf('a')
+      expect(history.map(({ sequence, operation, actor, exists }) => ({ sequence, operation, actor, exists }))).to.deep.equal([
+        { sequence: 1, operation: 'insert', actor: 'alice', exists: true },
+        { sequence: 2, operation: 'upsert', actor: { id: 'bob', role: 'admin' }, exists: true },
+        { sequence: 3, operation: 'upsert', actor: null, exists: true },
+        { sequence: 4, operation: 'delete', actor: 'alice', exists: false }
+      ])
+      expect(history.map(it => it.changes)).to.deep.equal([
+        { _id: { to: 'a' }, _name: { to: 'al' }, _nickname: { to: 'Al' }, _day: { to: 'MONDAY' } },
+        { _name: { from: 'al', to: 'alan' } },
+        { _nickname: { from: 'Al' }, _day: { from: 'MONDAY' } },
+        { _id: { from: 'a' }, _name: { from: 'alan' } }
+      ])
+      expect(moment.isMoment(history[0].at)).to.be.true()
+      expect((await db.doc('accounts/a/_history/000000000002').get()).get('sequence')).to.equal(2)
+    })
+
+    it('should rebuild entities as of given instants', async () => {
+      await repo.insert(account({ _id: 'a', _name: 'al', _day: DayOfWeek.MONDAY }))
+      tick()
+      await repo.upsert(account({ _id: 'a', _name: 'alan' }))
+      tick()
+      await repo.deleteById('a')
+
+      const [inserted, upserted, deleted] = await repo.historyOf('a')
+
+      expect(await repo.findAsOf('a', inserted.at.clone().subtract(1, 'ms'))).to.be.null()
+      const first = await repo.findAsOf('a', inserted.at)
+      expect(first).to.be.an.instanceOf(Account)
+      expect(first._name).to.equal('al')
+      expect(first._day).to.equal(DayOfWeek.MONDAY)
+      expect((await repo.findAsOf('a', upserted.at.toDate()))._name).to.equal('alan')
+      expect(await repo.findAsOf('a', Timestamp.fromMillis(deleted.at.valueOf()))).to.be.null()
+      expect(await repo.findAsOf('b', moment.utc())).to.be.null()
+    })
+
+    it('should record soft deletes & restorations of versioned entities', async () => {
+      repo = new SoftVersionedAccountRepository(db)
+      const a = account({ _id: 'a', _name: 'al' })
+
+      await repo.insert(a)
+      tick()
+      await repo.deleteById('a')
+      tick()
+      await repo.restore('a', { context: { actor: 'carol' } })
+      await repo.restore('a') // no change, so not recorded
+
+      const history = await repo.historyOf('a')
+      expect(history.map(it => it.operation)).to.deep.equal(['insert', 'delete', 'restore'])
+      expect(history[1].changes._deletedAt.from).to.be.null()
+      expect(history[1].changes._deletedAt.to).to.be.an.instanceOf(Timestamp)
+      expect(history[2].actor).to.equal('carol')
+      expect(history[0].changes._version).to.deep.equal({ to: 1 })
+      expect(history[2].changes._version).to.deep.equal({ from: 1, to: 2 })
+
+      expect(await repo.findAsOf('a', history[1].at)).to.be.null()
+      expect((await repo.findAsOf('a', history[1].at, { includeDeleted: true }))._version).to.equal(1)
+      expect((await repo.findAsOf('a', history[2].at))._name).to.equal('al')
+    })
+
+    it('should record writes in the same unit of work', async () => {
+      repo = new SoftVersionedAccountRepository(db)
+      const a = account({ _id: 'a', _name: 'al' })
+      await repo.insert(a)
+
+      await UnitOfWork.batched(db, async unitOfWork => {
+        await repo.upsert(account({ _id: 'b', _name: 'bo' }), { unitOfWork })
+        expect((await db.collection('accounts/b/_history').get()).size).to.equal(0)
+      })
+      expect((await repo.historyOf('b')).map(it => it.operation)).to.deep.equal(['upsert'])
+
+      try {
+        await repo.upsert(account({ _id: 'a', _name: 'stale' }))
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ConcurrentModificationError)
+      }
+      expect((await repo.historyOf('a')).length).to.equal(1)
+    })
+
+    it('should record successive writes of the same document in the same unit of work', async () => {
+      await repo.insert(account({ _id: 'a', _name: 'x' }))
+      const upsert = async unitOfWork => {
+        await repo.upsert(account({ _id: 'a', _name: 'al' }), { unitOfWork })
+        await repo.upsert(account({ _id: 'a', _nickname: 'Al' }), { unitOfWork })
+      }
+      await UnitOfWork.batched(db, upsert)
+      await UnitOfWork.transactionally(db, async unitOfWork => {
+        await upsert(unitOfWork)
+        await repo.deleteById('a', { unitOfWork })
+      })
+
+      const history = await repo.historyOf('a')
+      expect(history.map(it => [it.sequence, it.operation])).to.deep.equal([
+        [1, 'insert'], [2, 'upsert'], [3, 'upsert'], [4, 'upsert'], [5, 'upsert'], [6, 'delete']
+      ])
+      expect(history.slice(1).map(it => it.changes)).to.deep.equal([
+        { _name: { from: 'x', to: 'al' } },
+        { _nickname: { to: 'Al' } },
+        {},
+        {},
+        { _id: { from: 'a' }, _name: { from: 'al' }, _nickname: { from: 'Al' } }
+      ])
+      expect(await repo.findAsOf('a', moment.utc(millis))).to.be.null()
+    })
+
+    it('should fail rather than overwrite records written concurrently', async () => {
+      const results = await Promise.all(['al', 'bo'].map(name => UnitOfWork.batched(db, unitOfWork => repo.upsert(account({ _id: 'a', _name: name }), { unitOfWork }))
+        .then(() => 'ok', e => e.code)))
+
+      expect(results.sort()).to.deep.equal([6, 'ok'])
+      expect((await repo.historyOf('a')).length).to.equal(1)
+    })
+  })
+
+  describe('tenancy', () => {
+    class Invoice {
+      get id () {
+        return this._id
+      }
+    }
+
+    class InvoiceRepository extends trait(FirestoreRepository) {
+      constructor (db, tenant) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'invoices', { tenant })
+      }
+
+      get _tenancy () {
+        return 'path'
+      }
+
+      get _schema () {
+        return {
+          create: () => new Invoice(),
+          fields: {
+            id: 'string',
+            amount: 'float'
+          }
+        }
+      }
+    }
+
+    class FieldInvoiceRepository extends InvoiceRepository {
+      get _tenancy () {
+        return 'field'
+      }
+
+      get _audited () {
+        return true
+      }
+    }
+
+    const invoice = props => Object.assign(new Invoice(), props)
+
+    const imported = async (repo, text, options) => {
+      const stream = new PassThrough()
+      stream.end(text)
+      return repo.importFrom(stream, options)
+    }
+
+    const exported = async repo => {
+      const stream = new PassThrough()
+      let text = ''
+      stream.on('data', it => { text += it })
+      await repo.exportTo(stream)
+      stream.end()
+      return text
+    }
+
+    let db
+
+    beforeEach(() => {
+      db = new InMemoryFirestore()
+    })
+
+    it('should store each tenant\'s documents under its own path', async () => {
+      const acme = new InvoiceRepository(db, 'acme')
+      const globex = new InvoiceRepository(db).forTenant('globex')
+
+      await acme.insert(invoice({ _id: 'a', _amount: 1 }))
+      await globex.insert(invoice({ _id: 'a', _amount: 2 }))
+      await globex.insert(invoice({ _id: 'b', _amount: 3 }))
+
+      expect((await db.doc('tenants/acme/invoices/a').get()).get('_amount')).to.equal(1)
+      expect((await db.doc('tenants/globex/invoices/a').get()).get('_amount')).to.equal(2)
+
+      expect((await acme.getById('a'))._amount).to.equal(1)
+      expect(await acme.findById('b')).to.be.null()
+      expect((await acme.findAll()).map(it => it.id)).to.deep.equal(['a'])
+      expect(await globex.count()).to.equal(2)
+
+      expect(await acme.deleteById('b')).to.be.false()
+      expect(await globex.findById('b')).to.be.ok()
+
+      const scoped = acme.scopedTo('tenants/acme/customers/c')
+      expect(scoped._path).to.equal('tenants/acme/customers/c/invoices')
+      expect(() => acme.scopedTo('tenants/globex/customers/c')).to.throw(IllegalArgumentError)
+    })
+
+    it('should reject ids that would escape the tenant\'s collection', async () => {
+      const acme = new InvoiceRepository(db, 'acme')
+      await new InvoiceRepository(db, 'globex').insert(invoice({ _id: 'a', _amount: 2 }))
+
+      for (const id of ['../../globex/invoices/a', 'a/b/c']) {
+        try {
+          await acme.findById(id)
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(IllegalArgumentError)
+        }
+      }
+      expect(() => new InvoiceRepository(db, 'acme/x')).to.throw(IllegalArgumentError)
+    })
+
+    it('should require a tenant', async () => {
+      const repo = new InvoiceRepository(db)
+
+      for (const it of [() => repo.findById('a'), () => repo.findAll(), () => repo.upsert(invoice({ _id: 'a' })), () => imported(repo, '')]) {
+        try {
+          await it()
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(IllegalStateError)
+        }
+      }
+
+      const unscoped = new (class extends trait(FirestoreRepository) {})()
+      unscoped._initFirestoreRepository(db, 'things')
+      expect(() => unscoped.forTenant('acme')).to.throw(IllegalStateError)
+    })
+
+    it('should stamp & enforce tenant ids in a shared collection', async () => {
+      const acme = new FieldInvoiceRepository(db, 'acme')
+      const globex = acme.forTenant('globex')
+
+      await acme.insert(invoice({ _id: 'a', _amount: 1 }), { context: { actor: 'ann' } })
+      await globex.insert(invoice({ _id: 'b', _amount: 2 }))
+      expect((await db.doc('invoices/a').get()).get('_tenantId')).to.equal('acme')
+
+      expect(await globex.findById('a')).to.be.null()
+      expect((await globex.findByIds(['a', 'b'])).map(it => it && it.id)).to.deep.equal([null, 'b'])
+      try {
+        await globex.getById('a')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ObjectNotFoundError)
+      }
+      expect((await globex.findAll()).map(it => it.id)).to.deep.equal(['b'])
+      expect(await acme.count()).to.equal(1)
+
+      for (const it of [() => globex.insert(invoice({ _id: 'a', _amount: 9 })), () => globex.upsert(invoice({ _id: 'a', _amount: 9 }))]) {
+        try {
+          await it()
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e).to.be.an.instanceOf(ObjectExistsError)
+        }
+      }
+      expect(await globex.deleteById('a')).to.be.false()
+      expect((await acme.getById('a'))._amount).to.equal(1)
+
+      expect((await acme.historyOf('a')).map(it => it.actor)).to.deep.equal(['ann'])
+      expect(await globex.historyOf('a')).to.deep.equal([])
+    })
+
+    it('should export & import only the tenant\'s documents', async () => {
+      const acme = new FieldInvoiceRepository(db, 'acme')
+      const globex = acme.forTenant('globex')
+      await acme.insert(invoice({ _id: 'a', _amount: 1 }))
+      await globex.insert(invoice({ _id: 'b', _amount: 2 }))
+
+      const text = await exported(globex)
+      expect(text.trim().split('\n')).to.have.lengthOf(1)
+
+      const report = await imported(acme, `${text}{"id":"c","data":{"_id":"c","_amount":3}}\n`)
+      expect(report.imported).to.equal(1)
+      expect(report.errors.map(({ line, id, error }) => ({ line, id, error: error.constructor }))).to.deep.equal([{ line: 1, id: 'b', error: ObjectExistsError }])
+      expect((await acme.findAll()).map(it => it.id)).to.deep.equal(['a', 'c'])
+      expect((await globex.getById('b'))._amount).to.equal(2)
+    })
+  })
+
+  describe('hooks & events', () => {
+    class Order {
+      get id () {
+        return this._id
+      }
+    }
+
+    class OrderRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'orders')
+      }
+
+      get _schema () {
+        return {
+          create: () => new Order(),
+          fields: {
+            id: 'string',
+            status: 'string',
+            total: 'float'
+          }
+        }
+      }
+    }
+
+    class OutboxOrderRepository extends OrderRepository {
+      get _outbox () {
+        return true
+      }
+
+      get _clock () {
+        return () => Timestamp.fromMillis(Date.UTC(2020, 2, 1)) // so that all events are written within the same millisecond
+      }
+    }
+
+    const order = props => Object.assign(new Order(), props)
+
+    let db
+
+    beforeEach(() => {
+      db = new InMemoryFirestore()
+      repo = new OrderRepository(db)
+    })
+
+    it('should let before hooks change or veto writes', async () => {
+      repo
+        .before('upsert', ({ entity }) => { entity._status = entity._status || 'new' })
+        .before('insert', ({ entity }) => order({ ...entity, _total: entity._total * 2 }))
+        .before('upsert', ({ entity }) => entity._total >= 0)
+        .before('delete', ({ entity }) => {
+          if (entity._status === 'shipped') throw new IllegalStateError({ msg: 'shipped' })
+        })
+
+      await repo.upsert(order({ _id: 'a', _total: 1 }))
+      await repo.insert(order({ _id: 'b', _total: 2, _status: 'shipped' }))
+      expect((await repo.getById('a'))._status).to.equal('new')
+      expect((await repo.getById('b'))._total).to.equal(4)
+
+      try {
+        await repo.upsert(order({ _id: 'a', _total: -1 }))
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VetoedError)
+        expect(e.info).to.deep.equal({ operation: 'upsert', id: 'a' })
+      }
+      expect((await repo.getById('a'))._total).to.equal(1)
+
+      try {
+        await repo.deleteById('b')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalStateError)
+      }
+      expect(await repo.deleteById('a')).to.be.true()
+      expect(await repo.findById('b')).to.be.ok()
+
+      expect(() => repo.before('save', () => {})).to.throw(IllegalArgumentError)
+    })
+
+    it('should run after hooks within the write\'s unit of work', async () => {
+      const audit = db.collection('audit')
+      const hook = async ({ operation, id, unitOfWork }) => unitOfWork.set(audit.doc(), { operation, id })
+      repo.after('upsert', hook).after('delete', hook)
+
+      await repo.upsert(order({ _id: 'a', _total: 1 }))
+      await repo.deleteById('a')
+      expect((await audit.get()).docs.map(it => it.data()).sort((a, b) => a.operation.localeCompare(b.operation))).to.deep.equal([
+        { operation: 'delete', id: 'a' },
+        { operation: 'upsert', id: 'a' }
+      ])
+
+      try {
+        await UnitOfWork.batched(db, async unitOfWork => {
+          await repo.upsert(order({ _id: 'b' }), { unitOfWork })
+          throw new Error('boom')
+        })
+      } catch (e) {
+        expect(e.message).to.equal('boom')
+      }
+      expect((await audit.get()).size).to.equal(2)
+
+      repo.removeHook('upsert', hook)
+      await repo.upsert(order({ _id: 'c' }))
+      expect((await audit.get()).size).to.equal(2)
+    })
+
+    it('should run load hooks for each found entity', async () => {
+      await repo.upsert(order({ _id: 'a', _total: 1 }))
+      await repo.upsert(order({ _id: 'b', _total: 2 }))
+
+      const loaded = []
+      repo
+        .before('load', ({ entity }) => { entity._total = entity._total * 10 })
+        .after('load', ({ id }) => { loaded.push(id) })
+
+      expect((await repo.getById('a'))._total).to.equal(10)
+      expect((await repo.findAll()).map(it => it._total)).to.deep.equal([10, 20])
+      expect((await repo.findByIds(['b', 'c'])).map(it => it && it._total)).to.deep.equal([20, null])
+      expect((await repo.findPage()).items).to.have.lengthOf(2)
+      expect(loaded).to.deep.equal(['a', 'a', 'b', 'b', 'a', 'b'])
+
+      repo.before('load', () => false)
+      try {
+        await repo.findById('a')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VetoedError)
+      }
+    })
+
+    it('should notify listeners once writes are committed', async () => {
+      const events = []
+      const listener = ({ operation, id, entity, context }) => events.push({ operation, id, status: entity._status, actor: context?.actor })
+      repo.on('insert', listener).on('upsert', listener).on('delete', listener)
+
+      await repo.insert(order({ _id: 'a', _status: 'new' }), { context: { actor: 'ann' } })
+      await UnitOfWork.transactionally(db, async unitOfWork => {
+        await repo.upsert(order({ _id: 'a', _status: 'paid' }), { unitOfWork })
+        expect(events).to.have.lengthOf(1)
+      })
+      try {
+        await UnitOfWork.transactionally(db, async unitOfWork => {
+          await repo.upsert(order({ _id: 'a', _status: 'lost' }), { unitOfWork })
+          throw new Error('boom')
+        })
+      } catch (e) {
+        expect(e.message).to.equal('boom')
+      }
+      await repo.scopedTo('customers/c').deleteById('a')
+      await repo.deleteById('a')
+
+      expect(events).to.deep.equal([
+        { operation: 'insert', id: 'a', status: 'new', actor: 'ann' },
+        { operation: 'upsert', id: 'a', status: 'paid', actor: undefined },
+        { operation: 'delete', id: 'a', status: 'paid', actor: undefined }
+      ])
+
+      const errors = []
+      repo.off('delete', listener).once('upsert', () => { throw new Error('listener') })
+      await repo.upsert(order({ _id: 'b' }))
+      repo.on('error', e => errors.push(e.message))
+      repo.once('upsert', () => { throw new Error('listener') })
+      await repo.upsert(order({ _id: 'c' }))
+      expect(errors).to.deep.equal(['listener'])
+      expect(await repo.count()).to.equal(2)
+    })
+
+    it('should write outbox events atomically with their writes', async () => {
+      repo = new OutboxOrderRepository(db)
+
+      await repo.upsert(order({ _id: 'a', _status: 'new' }), { context: { actor: 'ann' } })
+      repo.before('upsert', () => false)
+      try {
+        await repo.upsert(order({ _id: 'b' }))
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VetoedError)
+      }
+      await repo.deleteById('a')
+
+      const events = []
+      await new OutboxRelay({ db, publish: async it => events.push(it) }).relay()
+      expect(events.map(({ operation, collection, id, data, actor, tenant }) => ({ operation, collection, id, data, actor, tenant }))).to.deep.equal([
+        { operation: 'upsert', collection: 'orders', id: 'a', data: { _id: 'a', _status: 'new' }, actor: 'ann', tenant: null },
+        { operation: 'delete', collection: 'orders', id: 'a', data: null, actor: null, tenant: null }
+      ])
+      expect(events[0].at).to.be.an.instanceOf(Timestamp)
+      expect(events[1].sequence).to.be.above(events[0].sequence)
+    })
+
+    it('should hook, notify & write outbox events for restorations', async () => {
+      class SoftOutboxOrderRepository extends OutboxOrderRepository {
+        get _softDeletes () {
+          return true
+        }
+      }
+      repo = new SoftOutboxOrderRepository(db)
+
+      const events = []
+      repo
+        .before('restore', ({ entity }) => { entity._status = 'reopened' })
+        .on('restore', ({ operation, id, entity }) => events.push({ operation, id, status: entity._status }))
+
+      await repo.upsert(order({ _id: 'a', _status: 'new' }))
+      await repo.deleteById('a')
+      await repo.restore('a')
+      await repo.restore('a')
+      expect(events).to.deep.equal([{ operation: 'restore', id: 'a', status: 'reopened' }])
+      expect((await repo.getById('a'))._status).to.equal('reopened')
+
+      const relayed = []
+      await new OutboxRelay({ db, publish: async it => relayed.push(it) }).relay()
+      expect(relayed.map(({ operation, data }) => [operation, data._status, data._deletedAt])).to.deep.equal([
+        ['upsert', 'new', null],
+        ['delete', 'new', relayed[1].data._deletedAt],
+        ['restore', 'reopened', null]
+      ])
+
+      repo.before('restore', () => false)
+      await repo.deleteById('a')
+      try {
+        await repo.restore('a')
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VetoedError)
+      }
+      expect(await repo.findById('a')).to.be.null()
+    })
+  })
+
+  describe('blobs', () => {
+    class Claim {
+      get id () {
+        return this._id
+      }
+    }
+
+    class ScanRepository extends trait(CloudStorageRepository) {
+      constructor (bucket) {
+        super(...arguments)
+        this._initCloudStorageRepository(bucket, 'scans')
+      }
+    }
+
+    let dir, db, scans
+
+    class ClaimRepository extends trait(FirestoreRepository) {
+      constructor (db) {
+        super(...arguments)
+        this._initFirestoreRepository(db, 'claims')
+      }
+
+      get _schema () {
+        return {
+          create: () => new Claim(),
+          fields: {
+            id: 'string',
+            form: { type: 'blob', repository: () => scans },
+            photos: [{ type: 'blob', repository: () => scans }],
+            items: [{ fields: { receipt: { type: 'blob', repository: () => scans } } }]
+          }
+        }
+      }
+
+      get _validationRules () {
+        return this._schema
+      }
+    }
+
+    class SoftClaimRepository extends ClaimRepository {
+      get _softDeletes () {
+        return true
+      }
+    }
+
+    const claim = props => Object.assign(new Claim(), props)
+    const names = async () => (await scans.listBlobs()).items.map(it => it.name)
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scans-'))
+      scans = new ScanRepository(new FileSystemBucket({ dir }))
+      db = new InMemoryFirestore()
+      repo = new ClaimRepository(db)
+
+      for (const it of ['a/form', 'a/1', 'a/2', 'a/receipt', 'b/form']) await scans.saveBlob(it, it)
+    })
+
+    afterEach(() => fs.remove(dir))
+
+    it('should store blob references by name & load them as BlobReferences', async () => {
+      await repo.upsert(claim({
+        _id: 'a',
+        _form: scans.blobReference('a/form'),
+        _photos: ['a/1', scans.blobReference('a/2')],
+        _items: [{ _receipt: 'a/receipt' }]
+      }))
+      expect((await db.doc('claims/a').get()).data()).to.deep.equal({
+        _id: 'a',
+        _form: 'a/form',
+        _photos: ['a/1', 'a/2'],
+        _items: [{ _receipt: 'a/receipt' }]
+      })
+
+      const found = await repo.getById('a')
+      expect(found._form).to.be.an.instanceOf(BlobReference)
+      expect(found._form.repository).to.equal(scans)
+      expect((await found._form.get()).data.toString()).to.equal('a/form')
+      expect(found._photos.map(it => it.name)).to.deep.equal(['a/1', 'a/2'])
+      expect(found._items[0]._receipt.path).to.equal('scans/a/receipt')
+
+      try {
+        await repo.upsert(claim({ _id: 'c', _form: 42 }))
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(ValidationError)
+        expect(e.info.violations.map(it => it.path)).to.deep.equal(['form'])
+      }
+    })
+
+    it('should delete the blobs of deleted entities once the deletion is committed', async () => {
+      await repo.upsert(claim({ _id: 'a', _form: 'a/form', _photos: ['a/1', 'a/2'], _items: [{ _receipt: 'a/receipt' }, {}] }))
+      await repo.upsert(claim({ _id: 'b', _form: 'b/form' }))
+
+      try {
+        await UnitOfWork.transactionally(db, async unitOfWork => {
+          await repo.deleteById('a', { unitOfWork })
+          throw new Error('boom')
+        })
+      } catch (e) {
+        expect(e.message).to.equal('boom')
+      }
+      expect(await names()).to.have.lengthOf(5)
+
+      expect(await repo.deleteById('a')).to.be.true()
+      expect(await names()).to.deep.equal(['b/form'])
+    })
+
+    it('should keep the blobs of soft-deleted entities', async () => {
+      repo = new SoftClaimRepository(db)
+      await repo.upsert(claim({ _id: 'b', _form: 'b/form' }))
+
+      await repo.deleteById('b')
+      expect(await names()).to.include('b/form')
+      expect((await (await repo.restore('b'))._form.get()).data.toString()).to.equal('b/form')
+    })
+
+    it('should report blobs that fail to be deleted as errors', async () => {
+      await repo.upsert(claim({ _id: 'a', _form: 'a/form', _photos: ['a/1'] }))
+      await repo.upsert(claim({ _id: 'b', _form: 'b/form' }))
+      const errors = []
+      repo.on('error', e => errors.push(e))
+
+      const deleteBlob = scans.deleteBlob
+      scans.deleteBlob = async name => name === 'a/1' ? Promise.reject(new Error('unavailable')) : deleteBlob.call(scans, name)
+
+      expect(await repo.deleteById('a')).to.be.true()
+      expect(errors.map(it => it.message)).to.deep.equal(['unavailable'])
+      expect(await names()).to.include.members(['a/1', 'a/2', 'a/receipt', 'b/form']).and.not.include('a/form')
+    })
+  })
 })
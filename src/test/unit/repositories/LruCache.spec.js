@@ -0,0 +1,50 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const LruCache = require('../../../main/repositories/LruCache')
+
+describe('unit tests of LruCache', () => {
+  it('should evict the least recently used values', () => {
+    const cache = new LruCache({ maxSize: 2 })
+
+    cache.set('a', 1)
+    cache.set('b', 2)
+    expect(cache.get('a')).to.equal(1)
+    cache.set('c', 3)
+
+    expect(cache.get('b')).to.be.undefined()
+    expect(cache.get('a')).to.equal(1)
+    expect(cache.get('c')).to.equal(3)
+    expect(cache.size).to.equal(2)
+    expect(cache.evictions).to.equal(1)
+
+    cache.delete('a')
+    expect(cache.get('a')).to.be.undefined()
+    cache.clear()
+    expect(cache.size).to.equal(0)
+  })
+
+  it('should expire values', () => {
+    let now = 0
+    const cache = new LruCache({ ttl: 100, now: () => now })
+
+    cache.set('a', 1)
+    cache.set('b', 2, { ttl: 200 })
+    cache.set('c', 3, { ttl: 0 })
+
+    now = 99
+    expect(cache.get('a')).to.equal(1)
+    now = 100
+    expect(cache.get('a')).to.be.undefined()
+    expect(cache.get('b')).to.equal(2)
+    now = 1e9
+    expect(cache.get('b')).to.be.undefined()
+    expect(cache.get('c')).to.equal(3)
+    expect(cache.size).to.equal(1)
+  })
+})
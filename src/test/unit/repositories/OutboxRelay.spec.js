@@ -0,0 +1,59 @@
+/* global describe, it, beforeEach */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { Timestamp } = require('@google-cloud/firestore')
+const OutboxRelay = require('../../../main/repositories/OutboxRelay')
+const InMemoryFirestore = require('../../../main/testing/InMemoryFirestore')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+
+describe('unit tests of OutboxRelay', () => {
+  let db
+
+  const event = (id, millis, sequence = millis * 1000) => db.collection('_outbox').doc(id).set({ operation: 'upsert', id, at: Timestamp.fromMillis(millis), sequence })
+
+  beforeEach(async () => {
+    db = new InMemoryFirestore()
+    await event('c', 3000)
+    await event('a', 1000)
+    await event('b', 2000)
+    await event('x', 1000, 999999) // written just before a, in the same millisecond
+  })
+
+  it('should publish events oldest first & delete them', async () => {
+    const published = []
+    const relay = new OutboxRelay({ db, publish: async it => published.push(it), batchSize: 2 })
+
+    expect(await relay.relay()).to.equal(4)
+    expect(published.map(it => it.eventId)).to.deep.equal(['x', 'a', 'b', 'c'])
+    expect(published[0].operation).to.equal('upsert')
+    expect((await db.collection('_outbox').get()).size).to.equal(0)
+
+    expect(await relay.relay()).to.equal(0)
+  })
+
+  it('should keep events that fail to publish', async () => {
+    const relay = new OutboxRelay({
+      db,
+      publish: async it => {
+        if (it.eventId === 'b') throw new Error('unavailable')
+      }
+    })
+
+    try {
+      await relay.relay()
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e.message).to.equal('unavailable')
+    }
+    expect((await db.collection('_outbox').get()).docs.map(it => it.id).sort()).to.deep.equal(['b', 'c'])
+  })
+
+  it('should require a database & publish function', () => {
+    expect(() => new OutboxRelay({ db })).to.throw(IllegalArgumentError)
+  })
+})
@@ -0,0 +1,101 @@
+/* global describe, it */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const UnitOfWork = require('../../../main/repositories/UnitOfWork')
+
+const refMock = (log, name) => ({
+  get: async () => log.push(['get', name]),
+  set: async (...args) => log.push(['set', name, ...args]),
+  update: async (...args) => log.push(['update', name, ...args]),
+  delete: async () => log.push(['delete', name])
+})
+
+const writerMock = (log, kind) => ({
+  get: async ref => log.push([`${kind}.get`]),
+  set: (ref, ...args) => log.push([`${kind}.set`, ...args]),
+  update: (ref, ...args) => log.push([`${kind}.update`, ...args]),
+  delete: ref => log.push([`${kind}.delete`]),
+  commit: async () => log.push([`${kind}.commit`])
+})
+
+describe('unit tests of UnitOfWork', () => {
+  it('should read & write directly', async () => {
+    const log = []
+    const ref = refMock(log, 'a')
+    const unitOfWork = new UnitOfWork()
+
+    expect(unitOfWork.direct).to.equal(true)
+    expect(unitOfWork.transactional).to.equal(false)
+
+    await unitOfWork.get(ref)
+    await unitOfWork.set(ref, { x: 1 }, { merge: true })
+    await unitOfWork.update(ref, { x: 2 })
+    await unitOfWork.delete(ref)
+
+    expect(log).to.deep.equal([
+      ['get', 'a'],
+      ['set', 'a', { x: 1 }, { merge: true }],
+      ['update', 'a', { x: 2 }],
+      ['delete', 'a']
+    ])
+  })
+
+  it('should read through the transaction & queue writes until the work is done', async () => {
+    const log = []
+    const ref = refMock(log, 'a')
+    let options
+    const db = {
+      runTransaction: async (fn, it) => {
+        options = it
+        return fn(writerMock(log, 'tx'))
+      }
+    }
+
+    const result = await UnitOfWork.transactionally(db, async unitOfWork => {
+      expect(unitOfWork.transactional).to.equal(true)
+      await unitOfWork.set(ref, { x: 1 })
+      await unitOfWork.get(ref) // reads may follow writes
+      await unitOfWork.delete(ref)
+      expect(log).to.deep.equal([['tx.get']])
+      return 'done'
+    }, { maxAttempts: 2 })
+
+    expect(result).to.equal('done')
+    expect(options).to.deep.equal({ maxAttempts: 2 })
+    expect(log).to.deep.equal([['tx.get'], ['tx.set', { x: 1 }, undefined], ['tx.delete']])
+  })
+
+  it('should read directly & commit writes in a batch', async () => {
+    const log = []
+    const ref = refMock(log, 'a')
+    const db = { batch: () => writerMock(log, 'batch') }
+
+    await UnitOfWork.batched(db, async unitOfWork => {
+      expect(unitOfWork.direct).to.equal(false)
+      expect(unitOfWork.transactional).to.equal(false)
+      await unitOfWork.update(ref, { x: 1 })
+      await unitOfWork.get(ref)
+    })
+
+    expect(log).to.deep.equal([['get', 'a'], ['batch.update', { x: 1 }], ['batch.commit']])
+  })
+
+  it('should call functions after commit', async () => {
+    const log = []
+    const ref = refMock(log, 'a')
+    const db = { batch: () => writerMock(log, 'batch') }
+
+    await new UnitOfWork().afterCommit(() => log.push(['direct']))
+    await UnitOfWork.batched(db, async unitOfWork => {
+      await unitOfWork.afterCommit(() => log.push(['committed']))
+      await unitOfWork.set(ref, { x: 1 })
+    })
+
+    expect(log).to.deep.equal([['direct'], ['batch.set', { x: 1 }, undefined], ['batch.commit'], ['committed']])
+  })
+})
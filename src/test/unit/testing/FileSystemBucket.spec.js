@@ -0,0 +1,90 @@
+/* global describe, it, beforeEach, afterEach */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const FileSystemBucket = require('../../../main/testing/FileSystemBucket')
+
+describe('unit tests of FileSystemBucket', () => {
+  let dir, bucket
+
+  const text = async stream => {
+    let it = ''
+    for await (const chunk of stream) it += chunk
+    return it
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-'))
+    bucket = new FileSystemBucket({ dir, clock: () => new Date('2020-01-01T00:00:00Z') })
+  })
+
+  afterEach(() => fs.remove(dir))
+
+  it('should save, read & delete files', async () => {
+    const file = bucket.file('a/b.txt')
+    expect((await file.exists())[0]).to.be.false()
+
+    await file.save('hello', { contentType: 'text/plain', metadata: { metadata: { by: 'ann' } } })
+    expect((await file.exists())[0]).to.be.true()
+    expect((await file.download())[0].toString()).to.equal('hello')
+    expect(await text(file.createReadStream())).to.equal('hello')
+    expect((await file.getMetadata())[0]).to.deep.equal({
+      name: 'a/b.txt',
+      bucket: 'local',
+      contentType: 'text/plain',
+      size: '5',
+      updated: '2020-01-01T00:00:00.000Z',
+      metadata: { by: 'ann' }
+    })
+
+    await file.delete()
+    for (const it of [() => file.download(), () => file.getMetadata(), () => file.delete(), () => text(file.createReadStream())]) {
+      try {
+        await it()
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e.code).to.equal(404)
+      }
+    }
+  })
+
+  it('should save files written to streams', async () => {
+    await new Promise((resolve, reject) => {
+      const stream = bucket.file('a').createWriteStream({ metadata: { contentType: 'text/csv' } })
+      stream.on('finish', resolve).on('error', reject)
+      stream.write('x,')
+      stream.end('y')
+    })
+
+    const [metadata] = await bucket.file('a').getMetadata()
+    expect(metadata.contentType).to.equal('text/csv')
+    expect((await bucket.file('a').download())[0].toString()).to.equal('x,y')
+  })
+
+  it('should list files by prefix, page by page', async () => {
+    for (const it of ['x/2', 'x/1', 'y/1', 'x/3']) await bucket.file(it).save(it)
+
+    const [first, next] = await bucket.getFiles({ prefix: 'x/', maxResults: 2, autoPaginate: false })
+    expect(first.map(it => it.name)).to.deep.equal(['x/1', 'x/2'])
+    expect(first[0].metadata.size).to.equal('3')
+
+    const [second, last] = await bucket.getFiles(next)
+    expect(second.map(it => it.name)).to.deep.equal(['x/3'])
+    expect(last).to.be.null()
+  })
+
+  it('should keep files within its directory', async () => {
+    await bucket.file('../../escaped').save('x')
+    await bucket.file('..').save('y')
+
+    expect(fs.readdirSync(path.join(dir, 'objects')).sort()).to.deep.equal(['%2E%2E', '%2E%2E%2F%2E%2E%2Fescaped'])
+    expect((await bucket.getFiles())[0].map(it => it.name)).to.deep.equal(['..', '../../escaped'])
+  })
+})
@@ -0,0 +1,380 @@
+/* global describe, it, beforeEach */
+
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { Timestamp, FieldPath, FieldValue } = require('@google-cloud/firestore')
+const InMemoryFirestore = require('../../../main/testing/InMemoryFirestore')
+const IllegalArgumentError = require('@scispike/nodejs-support').errors.IllegalArgumentError
+const IllegalStateError = require('@scispike/nodejs-support').errors.IllegalStateError
+
+describe('unit tests of InMemoryFirestore', () => {
+  let db, millis
+
+  beforeEach(() => {
+    millis = Date.parse('2020-01-01T00:00:00Z')
+    db = new InMemoryFirestore({ clock: () => Timestamp.fromMillis(millis) })
+  })
+
+  describe('documents', () => {
+    it('should set, get & delete a document', async () => {
+      const ref = db.collection('things').doc('a')
+      expect((await ref.get()).exists).to.be.false()
+      expect((await ref.get()).data()).to.be.undefined()
+
+      await ref.set({ name: 'a', tags: ['x'], nested: { n: 1 } })
+      const snapshot = await ref.get()
+      expect(snapshot.exists).to.be.true()
+      expect(snapshot.id).to.equal('a')
+      expect(snapshot.ref.path).to.equal('things/a')
+      expect(snapshot.data()).to.deep.equal({ name: 'a', tags: ['x'], nested: { n: 1 } })
+      expect(snapshot.get('nested.n')).to.equal(1)
+      expect(snapshot.get(new FieldPath('nested', 'n'))).to.equal(1)
+      expect(snapshot.createTime.toMillis()).to.equal(millis)
+
+      await ref.delete()
+      expect((await ref.get()).exists).to.be.false()
+    })
+
+    it('should store copies of the data written & read', async () => {
+      const ref = db.doc('things/a')
+      const data = { nested: { n: 1 } }
+      await ref.set(data)
+      data.nested.n = 2
+      ;(await ref.get()).data().nested.n = 3
+      expect((await ref.get()).get('nested.n')).to.equal(1)
+    })
+
+    it('should replace unless merging', async () => {
+      const ref = db.doc('things/a')
+      await ref.set({ a: 1, nested: { x: 1, y: 1 } })
+      await ref.set({ b: 2, nested: { y: 2 } }, { merge: true })
+      expect((await ref.get()).data()).to.deep.equal({ a: 1, b: 2, nested: { x: 1, y: 2 } })
+
+      await ref.set({ a: 3, b: 3 }, { mergeFields: ['a'] })
+      expect((await ref.get()).data()).to.deep.equal({ a: 3, b: 2, nested: { x: 1, y: 2 } })
+
+      await ref.set({ c: 3 })
+      expect((await ref.get()).data()).to.deep.equal({ c: 3 })
+    })
+
+    it('should update fields by path & fail to update missing documents', async () => {
+      const ref = db.doc('things/a')
+      await ref.set({ a: 1, nested: { x: 1, y: 1 } })
+      await ref.update({ 'nested.x': 2, b: 2 })
+      await ref.update('c', 3, new FieldPath('nested', 'z'), 4)
+      expect((await ref.get()).data()).to.deep.equal({ a: 1, b: 2, c: 3, nested: { x: 2, y: 1, z: 4 } })
+
+      try {
+        await db.doc('things/b').update({ a: 1 })
+        expect.fail('update should have failed')
+      } catch (e) {
+        expect(e.code).to.equal(5)
+      }
+    })
+
+    it('should fail to create existing documents', async () => {
+      const ref = db.doc('things/a')
+      await ref.create({ a: 1 })
+      try {
+        await ref.create({ a: 2 })
+        expect.fail('create should have failed')
+      } catch (e) {
+        expect(e.code).to.equal(6)
+      }
+      expect((await ref.get()).data()).to.deep.equal({ a: 1 })
+    })
+
+    it('should apply field transforms', async () => {
+      const ref = db.doc('things/a')
+      await ref.set({ n: 1, tags: ['a', 'b'], gone: true, at: FieldValue.serverTimestamp() })
+      millis += 1000
+      await ref.update({
+        n: FieldValue.increment(2),
+        tags: FieldValue.arrayUnion('b', 'c'),
+        gone: FieldValue.delete(),
+        at: FieldValue.serverTimestamp()
+      })
+      await ref.update({ tags: FieldValue.arrayRemove('a') })
+
+      const data = (await ref.get()).data()
+      expect(data.n).to.equal(3)
+      expect(data.tags).to.deep.equal(['b', 'c'])
+      expect(data).not.to.have.property('gone')
+      expect(data.at.toMillis()).to.equal(millis)
+    })
+
+    it('should round-trip timestamps & references & convert dates to timestamps', async () => {
+      const ref = db.doc('things/a')
+      const at = new Timestamp(1577836800, 123456789)
+      const other = db.doc('others/b')
+      await ref.set({ at, on: new Date(millis), other, atAll: [at] })
+
+      const data = (await ref.get()).data()
+      expect(data.at).to.be.an.instanceOf(Timestamp)
+      expect(data.at.isEqual(at)).to.be.true()
+      expect(data.atAll[0].isEqual(at)).to.be.true()
+      expect(data.on).to.be.an.instanceOf(Timestamp)
+      expect(data.on.toMillis()).to.equal(millis)
+      expect(data.other.isEqual(other)).to.be.true()
+      expect(data.other.constructor.name).to.equal('DocumentReference')
+    })
+
+    it('should reject values Firestore rejects', async () => {
+      const ref = db.doc('things/a')
+      class Custom {}
+      for (const data of [{ a: undefined }, { a: [[1]] }, { a: new Custom() }, { a: FieldValue.delete() }, { a: [FieldValue.serverTimestamp()] }]) {
+        expect(() => ref.set(data)).to.throw(IllegalArgumentError)
+      }
+      expect(() => db.doc('things')).to.throw(IllegalArgumentError)
+      expect(() => db.collection('things/a')).to.throw(IllegalArgumentError)
+    })
+
+    it('should give increasing write times even if the clock stands still', async () => {
+      const first = await db.doc('things/a').set({ a: 1 })
+      const second = await db.doc('things/a').set({ a: 2 })
+      expect(first.writeTime.toMillis()).to.equal(millis)
+      expect(second.writeTime.toMillis()).to.equal(millis)
+      expect(second.writeTime.nanoseconds).to.be.greaterThan(first.writeTime.nanoseconds)
+
+      const snapshot = await db.doc('things/a').get()
+      expect(snapshot.createTime.isEqual(first.writeTime)).to.be.true()
+      expect(snapshot.updateTime.isEqual(second.writeTime)).to.be.true()
+    })
+
+    it('should navigate collections & subcollections', async () => {
+      await db.collection('things').doc('a').collection('parts').doc('p').set({ p: 1 })
+      const ref = await db.collection('things').add({ b: 1 })
+
+      expect(ref.id).to.have.lengthOf(20)
+      expect(ref.parent.path).to.equal('things')
+      expect(db.doc('things/a/parts/p').parent.parent.path).to.equal('things/a')
+      expect((await db.listCollections()).map(it => it.id)).to.deep.equal(['things'])
+      expect((await db.doc('things/a').listCollections()).map(it => it.path)).to.deep.equal(['things/a/parts'])
+      expect((await db.collection('things').listDocuments()).map(it => it.id)).to.deep.equal([ref.id])
+      expect((await db.getAll(db.doc('things/a/parts/p'), db.doc('things/x'))).map(it => it.exists)).to.deep.equal([true, false])
+    })
+  })
+
+  describe('queries', () => {
+    beforeEach(async () => {
+      const things = db.collection('things')
+      await things.doc('a').set({ n: 3, s: 'x', tags: ['red'], at: Timestamp.fromMillis(3) })
+      await things.doc('b').set({ n: 1, s: 'y', tags: ['red', 'blue'], at: Timestamp.fromMillis(1) })
+      await things.doc('c').set({ n: 2, s: 'x', tags: [], at: Timestamp.fromMillis(2) })
+      await things.doc('d').set({ n: '2', s: null })
+      await db.doc('others/e').set({ n: 2 })
+    })
+
+    const ids = snapshot => snapshot.docs.map(it => it.id)
+
+    it('should filter', async () => {
+      const things = db.collection('things')
+      expect(ids(await things.get())).to.deep.equal(['a', 'b', 'c', 'd'])
+      expect(ids(await things.where('s', '==', 'x').get())).to.deep.equal(['a', 'c'])
+      expect(ids(await things.where('s', '==', null).get())).to.deep.equal(['d'])
+      expect(ids(await things.where('n', '>=', 2).get())).to.deep.equal(['c', 'a'])
+      expect(ids(await things.where('n', '<', 3).where('s', '==', 'x').get())).to.deep.equal(['c'])
+      expect(ids(await things.where('at', '>', Timestamp.fromMillis(1)).get())).to.deep.equal(['c', 'a'])
+      expect(ids(await things.where('tags', 'array-contains', 'red').get())).to.deep.equal(['a', 'b'])
+      expect(ids(await things.where(FieldPath.documentId(), '>', 'b').get())).to.deep.equal(['c', 'd'])
+      expect(ids(await things.where('n', '>', 1).where('n', '<=', 3).orderBy('n', 'desc').get())).to.deep.equal(['a', 'c'])
+    })
+
+    it('should reject queries that Firestore rejects', async () => {
+      const things = db.collection('things')
+      for (const op of ['like', 'in', 'array-contains-any', '!=']) {
+        expect(() => things.where('n', op, [1])).to.throw(IllegalArgumentError)
+      }
+      expect(() => things.where('s', '>', null)).to.throw(IllegalArgumentError)
+      expect(() => things.where('n', '<', NaN)).to.throw(IllegalArgumentError)
+      expect(() => things.orderBy('n').startAfter(1).where('s', '==', 'x')).to.throw(IllegalStateError)
+
+      for (const query of [
+        things.where('n', '>', 1).where('at', '<', Timestamp.fromMillis(3)),
+        things.where('n', '>', 1).orderBy('s'),
+        things.where('tags', 'array-contains', 'red').where('tags', 'array-contains', 'blue')
+      ]) {
+        try {
+          await query.get()
+          expect.fail('should have thrown')
+        } catch (e) {
+          expect(e.code).to.equal(3)
+        }
+      }
+
+      const errors = []
+      const unsubscribe = things.where('n', '>', 1).orderBy('s').onSnapshot(() => {}, e => errors.push(e.code))
+      await db.settle()
+      unsubscribe()
+      expect(errors).to.deep.equal([3])
+    })
+
+    it('should order, limit & offset', async () => {
+      const things = db.collection('things')
+      expect(ids(await things.orderBy('n').get())).to.deep.equal(['b', 'c', 'a', 'd'])
+      expect(ids(await things.orderBy('n', 'desc').limit(2).get())).to.deep.equal(['d', 'a'])
+      expect(ids(await things.orderBy('s').orderBy('n').get())).to.deep.equal(['d', 'c', 'a', 'b'])
+      expect(ids(await things.orderBy('at').offset(1).get())).to.deep.equal(['c', 'a'])
+      expect(ids(await things.orderBy(FieldPath.documentId(), 'desc').get())).to.deep.equal(['d', 'c', 'b', 'a'])
+    })
+
+    it('should honor cursors', async () => {
+      const things = db.collection('things').orderBy('s')
+      expect(ids(await things.startAfter('x').get())).to.deep.equal(['b'])
+      expect(ids(await things.startAt('x').get())).to.deep.equal(['a', 'c', 'b'])
+      expect(ids(await things.startAfter('x', 'a').get())).to.deep.equal(['c', 'b'])
+      expect(ids(await things.endBefore('x', 'c').get())).to.deep.equal(['d', 'a'])
+      expect(ids(await things.endAt('x').get())).to.deep.equal(['d', 'a', 'c'])
+
+      const c = await db.doc('things/c').get()
+      expect(ids(await things.startAfter(c).get())).to.deep.equal(['b'])
+      expect(() => things.startAfter('x').orderBy('n')).to.throw(IllegalStateError)
+    })
+
+    it('should report query snapshot details', async () => {
+      const snapshot = await db.collection('things').where('s', '==', 'x').get()
+      expect(snapshot.size).to.equal(2)
+      expect(snapshot.empty).to.be.false()
+      expect(snapshot.docChanges().map(it => [it.type, it.doc.id, it.newIndex])).to.deep.equal([['added', 'a', 0], ['added', 'c', 1]])
+      const seen = []
+      snapshot.forEach(it => seen.push(it.id))
+      expect(seen).to.deep.equal(['a', 'c'])
+    })
+  })
+
+  describe('transactions & batches', () => {
+    it('should commit a transaction\'s writes only when its function resolves', async () => {
+      const a = db.doc('things/a')
+      const b = db.doc('things/b')
+      await a.set({ n: 1 })
+
+      const result = await db.runTransaction(async tx => {
+        const snapshot = await tx.get(a)
+        tx.update(a, { n: snapshot.get('n') + 1 }).set(b, { n: 1 })
+        expect((await b.get()).exists).to.be.false()
+        return 'done'
+      })
+
+      expect(result).to.equal('done')
+      expect((await a.get()).get('n')).to.equal(2)
+      expect((await b.get()).get('n')).to.equal(1)
+    })
+
+    it('should not apply writes of a rejected transaction', async () => {
+      const a = db.doc('things/a')
+      try {
+        await db.runTransaction(async tx => {
+          tx.set(a, { n: 1 })
+          throw new Error('boom')
+        })
+        expect.fail('transaction should have rejected')
+      } catch (e) {
+        expect(e.message).to.equal('boom')
+      }
+      expect((await a.get()).exists).to.be.false()
+    })
+
+    it('should require reads before writes', async () => {
+      try {
+        await db.runTransaction(async tx => {
+          tx.set(db.doc('things/a'), { n: 1 })
+          await tx.get(db.doc('things/b'))
+        })
+        expect.fail('transaction should have rejected')
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(IllegalStateError)
+      }
+    })
+
+    it('should retry on contention & give up after the maximum attempts', async () => {
+      const a = db.doc('things/a')
+      await a.set({ n: 0 })
+
+      let attempts = 0
+      await db.runTransaction(async tx => {
+        const snapshot = await tx.get(a)
+        if (++attempts === 1) await a.update({ n: 10 })
+        tx.update(a, { n: snapshot.get('n') + 1 })
+      })
+      expect(attempts).to.equal(2)
+      expect((await a.get()).get('n')).to.equal(11)
+
+      attempts = 0
+      try {
+        await db.runTransaction(async tx => {
+          attempts++
+          await tx.get(a)
+          await a.update({ n: FieldValue.increment(1) })
+          tx.update(a, { n: 0 })
+        }, { maxAttempts: 3 })
+        expect.fail('transaction should have rejected')
+      } catch (e) {
+        expect(e.code).to.equal(10)
+      }
+      expect(attempts).to.equal(3)
+      expect((await a.get()).get('n')).to.equal(14)
+    })
+
+    it('should commit batches atomically', async () => {
+      await db.doc('things/a').set({ n: 1 })
+
+      const batch = db.batch()
+      batch.set(db.doc('things/b'), { n: 2 }).delete(db.doc('things/a')).update(db.doc('things/missing'), { n: 3 })
+      try {
+        await batch.commit()
+        expect.fail('commit should have failed')
+      } catch (e) {
+        expect(e.code).to.equal(5)
+      }
+      expect((await db.doc('things/a').get()).exists).to.be.true()
+      expect((await db.doc('things/b').get()).exists).to.be.false()
+
+      const results = await db.batch().set(db.doc('things/b'), { n: 2 }).delete(db.doc('things/a')).commit()
+      expect(results).to.have.lengthOf(2)
+      expect((await db.doc('things/a').get()).exists).to.be.false()
+      expect((await db.doc('things/b').get()).exists).to.be.true()
+    })
+  })
+
+  describe('listeners', () => {
+    it('should notify document listeners asynchronously', async () => {
+      const ref = db.doc('things/a')
+      const seen = []
+      const unsubscribe = ref.onSnapshot(it => seen.push(it.exists && it.get('n')))
+      expect(seen).to.deep.equal([])
+
+      await db.settle()
+      await ref.set({ n: 1 })
+      await db.doc('things/b').set({ n: 2 })
+      await ref.update({ n: 3 })
+      await db.settle()
+      unsubscribe()
+      await ref.delete()
+      await db.settle()
+
+      expect(seen).to.deep.equal([false, 1, 3])
+    })
+
+    it('should notify query listeners of changes', async () => {
+      await db.doc('things/a').set({ s: 'x' })
+      const seen = []
+      const unsubscribe = db.collection('things').where('s', '==', 'x').onSnapshot(it => {
+        seen.push(it.docChanges().map(change => `${change.type} ${change.doc.id}`))
+      })
+      await db.settle()
+
+      await db.doc('things/b').set({ s: 'x' })
+      await db.doc('things/c').set({ s: 'y' })
+      await db.doc('things/a').update({ n: 1 })
+      await db.doc('things/b').update({ s: 'y' })
+      await db.settle()
+      unsubscribe()
+
+      expect(seen).to.deep.equal([['added a'], ['added b'], ['modified a'], ['removed b']])
+    })
+  })
+})